@@ -0,0 +1,278 @@
+/**
+ * Advanced Protection Options
+ * Handles the "Advanced" section of the config panel: validation against the
+ * router's documented ranges, conversion to POST /protect fields, and
+ * per-user defaults stored in localStorage.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY_PREFIX = 'artorize-advanced-options';
+  const PROCESSORS = ['metadata', 'imagehash', 'dhash', 'blockhash', 'stegano', 'tineye'];
+
+  // Field rules, keyed by POST /protect field name (see docs/ROUTER-API.md)
+  const FIELDS = {
+    watermark_text: { type: 'text', label: 'Watermark text' },
+    tree_ring_frequency: { type: 'float', label: 'Tree-ring frequency', min: 1, max: 32, step: 0.1 },
+    tree_ring_amplitude: { type: 'float', label: 'Tree-ring amplitude', min: 1, max: 64, step: 0.1 },
+    enable_stegano_embed: { type: 'boolean' },
+    stegano_message: { type: 'text', label: 'Hidden message' },
+    c2pa_claim_generator: { type: 'text', label: 'Claim generator' },
+    c2pa_vendor: { type: 'text', label: 'Vendor' },
+    c2pa_assertions: { type: 'json', label: 'C2PA assertions' },
+    processors: { type: 'processors' },
+    max_stage_dim: { type: 'int', label: 'Max stage dimension', min: 128, max: 4096, step: 1 },
+    enable_tineye: { type: 'boolean' }
+  };
+
+  let storageKey = STORAGE_KEY_PREFIX;
+
+  function getInput(key) {
+    return document.querySelector(`[data-advanced-option="${key}"]`);
+  }
+
+  /**
+   * Read every input. Empty fields are left out so the router defaults apply.
+   * @returns {{ options: Object, errors: string[] }}
+   */
+  function collect() {
+    const options = {};
+    const errors = [];
+
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = getInput(key);
+      if (!input) return;
+
+      input.removeAttribute('aria-invalid');
+      input.classList.remove('border-red-500');
+      const fail = (message) => {
+        errors.push(message);
+        input.setAttribute('aria-invalid', 'true');
+        input.classList.add('border-red-500');
+      };
+
+      switch (field.type) {
+        case 'boolean':
+          if (input.checked) options[key] = true;
+          break;
+
+        case 'processors': {
+          const checked = Array.from(input.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(box => box.value)
+            .filter(value => PROCESSORS.includes(value));
+          if (checked.length > 0) options[key] = checked;
+          break;
+        }
+
+        case 'float':
+        case 'int': {
+          const raw = input.value.trim();
+          if (!raw) break;
+          const value = Number(raw);
+          const error = checkNumber(field, value);
+          if (error) {
+            fail(error);
+          } else {
+            options[key] = value;
+          }
+          break;
+        }
+
+        case 'json': {
+          const raw = input.value.trim();
+          if (!raw) break;
+          try {
+            const value = JSON.parse(raw);
+            if (value === null || typeof value !== 'object') {
+              fail(`${field.label} must be a JSON array or object`);
+            } else {
+              options[key] = value;
+            }
+          } catch (e) {
+            fail(`${field.label} is not valid JSON`);
+          }
+          break;
+        }
+
+        default: {
+          const value = input.value.trim();
+          if (value) options[key] = value;
+        }
+      }
+    });
+
+    // A hidden message only makes sense when embedding is enabled
+    if (options.stegano_message && !options.enable_stegano_embed) {
+      delete options.stegano_message;
+    }
+
+    return { options, errors };
+  }
+
+  /**
+   * Validate an options object that did not come from the inputs (e.g. an
+   * imported preset) with the same rules. Unknown keys are dropped.
+   * @param {Object} values - Candidate options
+   * @returns {{ options: Object, errors: string[] }}
+   */
+  function sanitize(values = {}) {
+    const options = {};
+    const errors = [];
+
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const value = values[key];
+      if (value === undefined || value === null || value === '') return;
+
+      switch (field.type) {
+        case 'boolean':
+          if (value === true) options[key] = true;
+          break;
+
+        case 'processors':
+          if (Array.isArray(value)) {
+            const valid = value.filter(item => PROCESSORS.includes(item));
+            if (valid.length > 0) options[key] = valid;
+          }
+          break;
+
+        case 'float':
+        case 'int': {
+          const error = checkNumber(field, Number(value));
+          if (error) {
+            errors.push(error);
+          } else {
+            options[key] = Number(value);
+          }
+          break;
+        }
+
+        case 'json':
+          if (typeof value === 'object') {
+            options[key] = value;
+          } else {
+            errors.push(`${field.label} must be a JSON array or object`);
+          }
+          break;
+
+        default:
+          if (typeof value === 'string' && value.trim()) options[key] = value.trim();
+      }
+    });
+
+    return { options, errors };
+  }
+
+  /**
+   * @param {Object} field - Numeric field rule
+   * @param {number} value - Parsed value
+   * @returns {string|null} Error message, or null when valid
+   */
+  function checkNumber(field, value) {
+    if (!Number.isFinite(value) || (field.type === 'int' && !Number.isInteger(value))) {
+      return `${field.label} must be ${field.type === 'int' ? 'a whole number' : 'a number'}`;
+    }
+    if (value < field.min || value > field.max) {
+      return `${field.label} must be between ${field.min} and ${field.max}`;
+    }
+    return null;
+  }
+
+  /**
+   * Fill the inputs from a saved options object (missing keys are cleared)
+   * @param {Object} values - Options as returned by collect()
+   */
+  function apply(values = {}) {
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = getInput(key);
+      if (!input) return;
+
+      const value = values[key];
+      if (field.type === 'boolean') {
+        input.checked = value === true;
+      } else if (field.type === 'processors') {
+        const selected = Array.isArray(value) ? value : [];
+        input.querySelectorAll('input[type="checkbox"]').forEach(box => {
+          box.checked = selected.includes(box.value);
+        });
+      } else if (field.type === 'json') {
+        input.value = value ? JSON.stringify(value, null, 2) : '';
+      } else {
+        input.value = value !== undefined && value !== null ? value : '';
+      }
+    });
+  }
+
+  function loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function setStatus(message, type = 'info') {
+    const statusEl = document.getElementById('advanced-options-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `text-xs ${type === 'error' ? 'text-red-600' : 'text-subtle'}`;
+  }
+
+  function handleSave() {
+    const { options, errors } = collect();
+    if (errors.length > 0) {
+      setStatus(errors[0], 'error');
+      return;
+    }
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(options));
+      setStatus('Saved as your defaults');
+    } catch (e) {
+      setStatus('Could not save defaults in this browser', 'error');
+    }
+  }
+
+  function handleReset() {
+    apply({});
+    try {
+      localStorage.removeItem(storageKey);
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode)
+    }
+    setStatus('Reset to router defaults');
+  }
+
+  /**
+   * Wire the Advanced section and load the user's saved defaults
+   * @param {Object|null} user - Authenticated user (defaults are stored per user ID)
+   */
+  function init(user) {
+    const userId = user && (user.id || user._id || user.email);
+    storageKey = userId ? `${STORAGE_KEY_PREFIX}:${userId}` : STORAGE_KEY_PREFIX;
+
+    // Apply the documented ranges to the numeric inputs
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = getInput(key);
+      if (input && field.min !== undefined) {
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+      }
+    });
+
+    apply(loadSaved());
+
+    const saveBtn = document.getElementById('advanced-options-save');
+    const resetBtn = document.getElementById('advanced-options-reset');
+    if (saveBtn) saveBtn.addEventListener('click', handleSave);
+    if (resetBtn) resetBtn.addEventListener('click', handleReset);
+  }
+
+  // Expose for dashboard-v2.js
+  window.AdvancedOptions = {
+    init,
+    collect,
+    apply,
+    sanitize
+  };
+})();
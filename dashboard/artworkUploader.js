@@ -5,6 +5,12 @@
  * from the Artorizer Router API.
  */
 
+// localStorage key for resumable chunked upload sessions
+const UPLOAD_SESSIONS_KEY = 'artorize-upload-sessions';
+
+// Lifetime of a stored session when neither the router nor the config sets one (24 hours)
+const DEFAULT_UPLOAD_SESSION_TTL = 86400000;
+
 class ArtworkUploader {
   constructor(config = window.ArtorizeConfig) {
     this.config = config;
@@ -12,6 +18,8 @@ class ArtworkUploader {
     this.cdnUrl = config.CDN_URL;
     this.authToken = config.AUTH_TOKEN;
     this.pollingConfig = config.POLLING;
+    this.chunkSupport = undefined; // resolved lazily by _getChunkSupport()
+    this.onRetry = null; // Callback({ label, attempt, maxRetries, delay, status, message }) before each automatic retry
   }
 
   /**
@@ -47,30 +55,38 @@ class ArtworkUploader {
   /**
    * Submit artwork for protection
    * @param {Object} params - Submission parameters
-   * @param {File} params.imageFile - Image file to upload
+   * @param {File} [params.imageFile] - Image file to upload
+   * @param {string} [params.imageUrl] - Public http(s) URL of an image, used instead of imageFile
    * @param {string} params.artist_name - Artist name (required)
    * @param {string} params.artwork_title - Artwork title (required)
    * @param {string} [params.artwork_description] - Artwork description
    * @param {Date|string} [params.artwork_creation_time] - Creation time
    * @param {string[]} [params.tags] - Tags array
    * @param {Object} [params.protectionOptions] - Protection layer options
+   * @param {boolean} [params.allow_duplicate] - Protect again even if the artwork already exists
+   * @param {AbortSignal} [params.signal] - Aborts the upload; rejects with an AbortError
    * @param {Function} [onProgress] - Upload progress callback (0-100)
-   * @returns {Promise<Object>} { job_id, status }
+   * @returns {Promise<Object>} { job_id, status } or, for duplicates, { job_id, status: 'exists', artwork }
+   * @throws {Error} If protectionOptions contain a value missing from ProtectionRegistry,
+   *   or the upload budget is used up (`rateLimited` set, see RateLimits)
    */
   async submitArtwork(params, onProgress = null) {
     const {
       imageFile,
+      imageUrl,
       artist_name,
       artwork_title,
       artwork_description,
       artwork_creation_time,
       tags,
-      protectionOptions = {}
+      protectionOptions = {},
+      allow_duplicate,
+      signal
     } = params;
 
     // Validate required fields
-    if (!imageFile) {
-      throw new Error('Image file is required');
+    if (!imageFile && !imageUrl) {
+      throw new Error('Image file or URL is required');
     }
     if (!artist_name || artist_name.trim().length === 0) {
       throw new Error('Artist name is required');
@@ -79,125 +95,972 @@ class ArtworkUploader {
       throw new Error('Artwork title is required');
     }
 
-    // Validate file size
-    if (imageFile.size > this.config.UPLOAD.MAX_FILE_SIZE) {
-      const maxMB = Math.round(this.config.UPLOAD.MAX_FILE_SIZE / 1024 / 1024);
-      throw new Error(`File size ${Math.round(imageFile.size / 1024 / 1024)}MB exceeds maximum ${maxMB}MB`);
-    }
+    if (imageFile) {
+      // Validate file size
+      if (imageFile.size > this.config.UPLOAD.MAX_FILE_SIZE) {
+        const maxMB = Math.round(this.config.UPLOAD.MAX_FILE_SIZE / 1024 / 1024);
+        throw new Error(`File size ${Math.round(imageFile.size / 1024 / 1024)}MB exceeds maximum ${maxMB}MB`);
+      }
 
-    // Validate file type
-    if (!this.config.UPLOAD.ACCEPTED_TYPES.includes(imageFile.type)) {
-      throw new Error(`File type ${imageFile.type} not accepted. Use: ${this.config.UPLOAD.ACCEPTED_TYPES.join(', ')}`);
+      // Validate file type
+      if (!this.config.UPLOAD.ACCEPTED_TYPES.includes(imageFile.type)) {
+        throw new Error(`File type ${imageFile.type} not accepted. Use: ${this.config.UPLOAD.ACCEPTED_TYPES.join(', ')}`);
+      }
     }
 
-    // Build multipart form data
-    const formData = new FormData();
-    formData.append('image', imageFile);
-    formData.append('artist_name', artist_name.trim());
-    formData.append('artwork_title', artwork_title.trim());
+    // Collect metadata and protection options (merged with defaults)
+    const fields = {
+      artist_name: artist_name.trim(),
+      artwork_title: artwork_title.trim()
+    };
 
     if (artwork_description && artwork_description.trim()) {
-      formData.append('artwork_description', artwork_description.trim());
+      fields.artwork_description = artwork_description.trim();
     }
 
     if (artwork_creation_time) {
-      const isoDate = artwork_creation_time instanceof Date
+      fields.artwork_creation_time = artwork_creation_time instanceof Date
         ? artwork_creation_time.toISOString()
         : artwork_creation_time;
-      formData.append('artwork_creation_time', isoDate);
     }
 
     if (tags && tags.length > 0) {
-      formData.append('tags', tags.join(','));
+      fields.tags = tags;
     }
 
-    // Add protection options (merge with defaults)
-    const finalOptions = {
-      ...this.config.DEFAULTS,
-      ...protectionOptions
-    };
+    Object.assign(fields, this.config.DEFAULTS, protectionOptions);
+
+    // Never send a layer flag or watermark strategy the router would reject
+    ProtectionRegistry.validateProtectionOptions(fields);
 
-    for (const [key, value] of Object.entries(finalOptions)) {
-      formData.append(key, value);
+    if (allow_duplicate) {
+      fields.allow_duplicate = true;
+    }
+
+    if (signal && signal.aborted) {
+      throw ArtworkUploader.abortError();
+    }
+
+    // Hold back submissions the router would reject with 429
+    if (!RateLimits.canSpend('uploads')) {
+      throw RateLimits.exhaustedError('uploads');
+    }
+    if (!RateLimits.canSpend('general')) {
+      throw RateLimits.exhaustedError('general');
+    }
+
+    // Remote images are fetched by the router itself
+    if (!imageFile) {
+      const url = ArtworkUploader.validateImageUrl(imageUrl);
+      if (onProgress) {
+        onProgress(0);
+      }
+      const response = await this._postProtectJson({ ...fields, image_url: url }, signal);
+      if (onProgress) {
+        onProgress(100);
+      }
+      return response;
+    }
+
+    // Large files go through the resumable chunked path when the router supports it
+    const chunkConfig = this.config.UPLOAD.CHUNKED;
+    if (chunkConfig && chunkConfig.ENABLED && imageFile.size >= chunkConfig.THRESHOLD) {
+      const support = await this._getChunkSupport();
+      if (support) {
+        return this._submitChunked(imageFile, fields, support, onProgress, signal);
+      }
+      console.log('[Uploader] Router does not advertise chunked uploads, using single request');
+    }
+
+    // Build multipart form data
+    const formData = new FormData();
+    formData.append('image', imageFile);
+
+    for (const [key, value] of Object.entries(fields)) {
+      formData.append(key, ArtworkUploader._formValue(value));
     }
 
     // Submit to router
     try {
-      const xhr = new XMLHttpRequest();
+      return await this._withRetry(
+        () => this._postProtectMultipart(formData, onProgress, signal),
+        { label: 'upload', signal }
+      );
+    } catch (error) {
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('Failed to submit artwork:', error);
+      }
+      throw error;
+    }
+  }
 
-      // Track upload progress
-      if (onProgress) {
-        xhr.upload.addEventListener('progress', (e) => {
-          if (e.lengthComputable) {
-            const percentComplete = Math.round((e.loaded / e.total) * 100);
-            onProgress(percentComplete);
+  /**
+   * POST a multipart protection request with upload progress
+   * @param {FormData} formData - Image and fields
+   * @param {Function} [onProgress] - Upload progress callback (0-100)
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object>} { job_id, status }
+   */
+  _postProtectMultipart(formData, onProgress = null, signal = null) {
+    const xhr = new XMLHttpRequest();
+
+    // Track upload progress
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          const percentComplete = Math.round((e.loaded / e.total) * 100);
+          onProgress(percentComplete);
+        }
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const releaseSignal = ArtworkUploader._abortXhrOnSignal(xhr, signal, reject);
+      xhr.addEventListener('loadend', releaseSignal);
+
+      xhr.open('POST', `${this.routerUrl}/protect`);
+
+      // Enable credentials for session cookie authentication
+      xhr.withCredentials = true;
+
+      // Set headers (excluding Content-Type - browser sets it with boundary)
+      if (this.authToken) {
+        xhr.setRequestHeader('Authorization', `Bearer ${this.authToken}`);
+      }
+
+      xhr.onload = () => {
+        RateLimits.record('uploads', name => xhr.getResponseHeader(name), xhr.status);
+        RateLimits.count('general');
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          try {
+            resolve(JSON.parse(xhr.responseText));
+          } catch (e) {
+            reject(new Error(`Invalid JSON response: ${xhr.responseText}`));
+          }
+        } else {
+          let message = `HTTP ${xhr.status}: ${xhr.statusText}`;
+          try {
+            message = JSON.parse(xhr.responseText).error || message;
+          } catch (e) {
+            // Not a JSON error body - keep the status line
           }
-        });
+          reject(ArtworkUploader._httpError(message, xhr.status, xhr.getResponseHeader('Retry-After')));
+        }
+      };
+
+      xhr.onerror = () => reject(new Error('Network error during upload'));
+      xhr.ontimeout = () => reject(new Error('Upload timeout'));
+
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Run a request under the RETRY policy. Retryable HTTP statuses (and, for
+   * idempotent requests, network errors) are retried after the router's
+   * Retry-After, or with jittered exponential backoff when it sends none.
+   * @param {Function} request - Returns a promise for one attempt
+   * @param {Object} [options]
+   * @param {string} [options.label] - What is being retried, passed to onRetry
+   * @param {boolean} [options.idempotent] - Safe to repeat after a network error
+   * @param {AbortSignal} [options.signal] - Cancels the wait between attempts
+   * @returns {Promise<*>} Result of the first successful attempt
+   * @throws {Error} The last error, with `retriesExhausted` set once retries ran out
+   */
+  async _withRetry(request, options = {}) {
+    const policy = this.config.RETRY;
+    const { label = 'request', idempotent = false, signal = null } = options;
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!policy || !policy.ENABLED || !ArtworkUploader._isRetryable(error, policy, idempotent)) {
+          throw error;
+        }
+
+        const delay = typeof error.retryAfter === 'number'
+          ? error.retryAfter
+          : this._backoffDelay(attempt);
+
+        if (attempt >= policy.MAX_RETRIES || delay > policy.MAX_DELAY) {
+          const retries = attempt === 1 ? '1 retry' : `${attempt} retries`;
+          const wait = delay >= 60000 ? `${Math.ceil(delay / 60000)} min` : `${Math.ceil(delay / 1000)}s`;
+          const finalError = new Error(attempt > 0
+            ? `${error.message} (gave up after ${retries})`
+            : `${error.message} (try again in ${wait})`);
+          finalError.status = error.status;
+          finalError.retryAfter = error.retryAfter;
+          finalError.retriesExhausted = true;
+          throw finalError;
+        }
+
+        attempt++;
+        console.warn(`[Uploader] ${label} failed (${error.message}), retry ${attempt}/${policy.MAX_RETRIES} in ${delay}ms`);
+        if (this.onRetry) {
+          this.onRetry({
+            label,
+            attempt,
+            maxRetries: policy.MAX_RETRIES,
+            delay,
+            status: error.status || null,
+            message: error.message
+          });
+        }
+
+        await ArtworkUploader._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Jittered exponential backoff for a retry
+   * @param {number} attempt - Retries made so far (0 for the first)
+   * @returns {number} Delay in ms, capped at RETRY.MAX_DELAY
+   */
+  _backoffDelay(attempt) {
+    const { BASE_DELAY, MAX_DELAY, JITTER } = this.config.RETRY;
+    const base = Math.min(BASE_DELAY * Math.pow(2, attempt), MAX_DELAY);
+    const spread = base * (JITTER || 0);
+    return Math.round(Math.min(MAX_DELAY, Math.max(0, base - spread + Math.random() * spread * 2)));
+  }
+
+  /**
+   * @param {Error} error - Failed attempt
+   * @param {Object} policy - RETRY config
+   * @param {boolean} idempotent - Request can be repeated after a network error
+   *   or a gateway error; submissions only retry SUBMIT_RETRY_STATUSES
+   * @returns {boolean} True if another attempt may succeed
+   */
+  static _isRetryable(error, policy, idempotent) {
+    if (ArtworkUploader.isAbortError(error)) {
+      return false;
+    }
+    if (error.status) {
+      const statuses = idempotent ? policy.RETRY_STATUSES : (policy.SUBMIT_RETRY_STATUSES || [429, 503]);
+      return statuses.includes(error.status);
+    }
+    // fetch() rejects with a TypeError when the router cannot be reached
+    return idempotent && error instanceof TypeError;
+  }
+
+  /**
+   * Error for a non-2xx response, carrying what the retry policy needs
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @param {string|null} [retryAfterHeader] - Raw Retry-After header
+   * @returns {Error} Error with `status` and `retryAfter` (ms, or null)
+   */
+  static _httpError(message, status, retryAfterHeader = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = ArtworkUploader.parseRetryAfter(retryAfterHeader);
+    return error;
+  }
+
+  /**
+   * Build an _httpError() from a failed fetch response, using the router's
+   * `error` message when the body has one
+   * @param {Response} response - Non-2xx response
+   * @returns {Promise<Error>}
+   */
+  static async _responseError(response) {
+    const body = await response.json().catch(() => ({}));
+    return ArtworkUploader._httpError(
+      body.error || `HTTP ${response.status}: ${response.statusText}`,
+      response.status,
+      response.headers.get('Retry-After')
+    );
+  }
+
+  /**
+   * @param {string|null} value - Retry-After header (seconds or HTTP date)
+   * @returns {number|null} Delay in ms, or null if absent or unparseable
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Abort an XHR when the signal fires, rejecting with an AbortError
+   * @param {XMLHttpRequest} xhr - Request to abort
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @param {Function} reject - Promise reject of the request
+   * @returns {Function} Detaches the abort listener
+   */
+  static _abortXhrOnSignal(xhr, signal, reject) {
+    xhr.onabort = () => reject(ArtworkUploader.abortError());
+    if (!signal) return () => {};
+
+    const onAbort = () => xhr.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * Error used when a caller cancels an upload or job tracking
+   * @returns {Error} Error named 'AbortError', matching fetch's abort rejection
+   */
+  static abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * @param {Error} error - Caught error
+   * @returns {boolean} True if the operation was cancelled through an AbortSignal
+   */
+  static isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+  }
+
+  /**
+   * Wait, waking early with an AbortError if the signal fires
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<void>}
+   */
+  static _sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(ArtworkUploader.abortError());
+        return;
       }
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(ArtworkUploader.abortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
 
-      const response = await new Promise((resolve, reject) => {
-        xhr.open('POST', `${this.routerUrl}/protect`);
+  /**
+   * Look for an already protected copy of a file by its SHA-256 checksum
+   * @param {File} file - Image file about to be uploaded
+   * @param {Function} [onProgress] - Hashing progress callback (0-100)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the lookup; rejects with an AbortError
+   * @returns {Promise<Object>} { checksum, exists, matches }
+   */
+  async findExistingArtwork(file, onProgress = null, options = {}) {
+    const { signal } = options;
+    const checksum = await this.computeChecksum(file, onProgress);
+    if (signal && signal.aborted) {
+      throw ArtworkUploader.abortError();
+    }
+    const { exists, matches } = await this.checkExists(checksum, { signal });
+    return { checksum, exists, matches };
+  }
 
-        // Enable credentials for session cookie authentication
-        xhr.withCredentials = true;
+  /**
+   * SHA-256 of a file as 64-char lowercase hex. Large files are hashed in a
+   * Web Worker, slice by slice, so the page stays responsive and the file
+   * is never held in memory as a whole.
+   * @param {File} file - File to hash
+   * @param {Function} [onProgress] - Progress callback (0-100)
+   * @returns {Promise<string>} Hex checksum
+   */
+  async computeChecksum(file, onProgress = null) {
+    const checkConfig = this.config.UPLOAD.DUPLICATE_CHECK || {};
 
-        // Set headers (excluding Content-Type - browser sets it with boundary)
-        if (this.authToken) {
-          xhr.setRequestHeader('Authorization', `Bearer ${this.authToken}`);
+    if (typeof Worker !== 'undefined' && checkConfig.WORKER_URL && file.size >= checkConfig.WORKER_THRESHOLD) {
+      try {
+        return await this._computeChecksumInWorker(file, checkConfig.WORKER_URL, onProgress);
+      } catch (error) {
+        console.warn('[Uploader] Checksum worker failed, hashing on main thread:', error.message);
+      }
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    if (onProgress) {
+      onProgress(100);
+    }
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  _computeChecksumInWorker(file, workerUrl, onProgress) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(workerUrl);
+
+      worker.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === 'progress') {
+          if (onProgress) onProgress(message.percent);
+          return;
+        }
+        worker.terminate();
+        if (message.type === 'done') {
+          resolve(message.checksum);
+        } else {
+          reject(new Error(message.message || 'Checksum failed'));
         }
+      };
 
-        xhr.onload = () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            try {
-              resolve(JSON.parse(xhr.responseText));
-            } catch (e) {
-              reject(new Error(`Invalid JSON response: ${xhr.responseText}`));
-            }
-          } else {
-            try {
-              const error = JSON.parse(xhr.responseText);
-              reject(new Error(error.error || `HTTP ${xhr.status}: ${xhr.statusText}`));
-            } catch (e) {
-              reject(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
-            }
-          }
-        };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'Checksum worker error'));
+      };
 
-        xhr.onerror = () => reject(new Error('Network error during upload'));
-        xhr.ontimeout = () => reject(new Error('Upload timeout'));
+      worker.postMessage({ file });
+    });
+  }
 
-        xhr.send(formData);
-      });
+  /**
+   * Ask the backend whether an artwork with this checksum already exists
+   * @param {string} checksum - 64-char SHA-256 hex
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} { exists, matchCount, matches }
+   */
+  async checkExists(checksum, options = {}) {
+    const { signal } = options;
+    try {
+      const response = await RateLimits.fetch(
+        `${this.routerUrl}/artworks/check-exists?checksum=${encodeURIComponent(checksum)}`,
+        this._buildFetchOptions({ method: 'GET', signal })
+      );
 
-      return response;
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return {
+        exists: Boolean(data.exists),
+        matchCount: data.matchCount || 0,
+        matches: data.matches || []
+      };
     } catch (error) {
-      console.error('Failed to submit artwork:', error);
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('Failed to check for existing artwork:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Check whether the router advertises chunked uploads. Only a definite
+   * answer (200, or 404 for a router without the endpoint) is cached per
+   * instance; after a transient failure the next large upload asks again.
+   * @returns {Promise<Object|null>} { chunk_size, session_ttl } or null when unsupported
+   */
+  async _getChunkSupport() {
+    if (this.chunkSupport !== undefined) {
+      return this.chunkSupport;
+    }
+
+    try {
+      const response = await RateLimits.fetch(`${this.routerUrl}/uploads/config`,
+        this._buildFetchOptions({ method: 'GET' })
+      );
+      if (response.status === 404) {
+        this.chunkSupport = null;
+      } else if (response.ok) {
+        const data = await response.json();
+        this.chunkSupport = data && data.chunked ? data : null;
+      } else {
+        console.warn(`[Uploader] Chunk support check failed: HTTP ${response.status}`);
+        return null;
+      }
+    } catch (error) {
+      console.warn('[Uploader] Chunk support check failed:', error);
+      return null;
+    }
+
+    return this.chunkSupport;
+  }
+
+  /**
+   * Upload a file in chunks, then submit it for protection by upload ID.
+   * Sessions are remembered in localStorage so re-selecting the same file
+   * after a reload only sends the chunks the router has not received yet.
+   * @param {File} imageFile - Image file to upload
+   * @param {Object} fields - Metadata and protection options
+   * @param {Object} support - Router chunk configuration from _getChunkSupport()
+   * @param {Function} [onProgress] - Upload progress callback (0-100)
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object>} { job_id, status }
+   */
+  async _submitChunked(imageFile, fields, support, onProgress = null, signal = null) {
+    const chunkConfig = this.config.UPLOAD.CHUNKED;
+    const fingerprint = ArtworkUploader.fileFingerprint(imageFile);
+
+    let session = await this._resumeUploadSession(fingerprint, imageFile, signal);
+    if (!session) {
+      session = await this._createUploadSession(imageFile, support.chunk_size || chunkConfig.CHUNK_SIZE, signal);
+      const ttl = support.session_ttl ? support.session_ttl * 1000 : chunkConfig.SESSION_TTL;
+      ArtworkUploader._saveUploadSession(fingerprint, session, ttl);
+    }
+
+    const { upload_id: uploadId, chunk_size: chunkSize } = session;
+    const totalChunks = Math.ceil(imageFile.size / chunkSize);
+    const received = new Set(session.received_chunks || []);
+
+    // Bytes confirmed by the router; in-flight bytes are added on top
+    let confirmedBytes = 0;
+    received.forEach(index => {
+      confirmedBytes += Math.min(chunkSize, imageFile.size - index * chunkSize);
+    });
+
+    const reportProgress = (inFlightBytes) => {
+      if (onProgress) {
+        onProgress(Math.round(((confirmedBytes + inFlightBytes) / imageFile.size) * 100));
+      }
+    };
+    reportProgress(0);
+
+    for (let index = 0; index < totalChunks; index++) {
+      if (received.has(index)) continue;
+      if (signal && signal.aborted) {
+        // Keep the session so a later attempt resumes from the confirmed chunks
+        throw ArtworkUploader.abortError();
+      }
+
+      const start = index * chunkSize;
+      const end = Math.min(start + chunkSize, imageFile.size);
+
+      await this._sendChunkWithRetry(uploadId, index, imageFile.slice(start, end), start, imageFile.size, reportProgress, signal);
+
+      confirmedBytes += end - start;
+      received.add(index);
+      reportProgress(0);
+    }
+
+    const result = await this._postProtectJson({ ...fields, upload_id: uploadId }, signal);
+    ArtworkUploader._clearUploadSession(fingerprint);
+    return result;
+  }
+
+  /**
+   * Submit a JSON protection request (remote image URL or finished chunked upload)
+   * @param {Object} body - Metadata and protection fields plus image_url or upload_id
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object>} { job_id, status }
+   */
+  async _postProtectJson(body, signal = null) {
+    try {
+      return await this._withRetry(async () => {
+        const response = await RateLimits.fetch(`${this.routerUrl}/protect`,
+          this._buildFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+          }),
+          'uploads'
+        );
+
+        if (!response.ok) {
+          throw await ArtworkUploader._responseError(response);
+        }
+
+        return response.json();
+      }, { label: 'upload', signal });
+    } catch (error) {
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('Failed to submit artwork:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize a field for multipart submission: lists of plain values are
+   * comma-separated, structured values (e.g. c2pa_assertions) are sent as JSON
+   * @param {*} value - Field value
+   * @returns {string|*} Form value
+   */
+  static _formValue(value) {
+    if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+      return value.join(',');
+    }
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  /**
+   * Validate a remote image URL before handing it to the router. Addresses
+   * that are private by their literal host are rejected early; a public name
+   * that resolves to a private address can only be caught by the router.
+   * @param {string} value - URL entered by the user
+   * @returns {string} Normalized URL
+   * @throws {Error} If the URL is not a usable public http(s) address
+   */
+  static validateImageUrl(value) {
+    const trimmed = (value || '').trim();
+    if (!trimmed) {
+      throw new Error('Image URL is required');
+    }
+    if (trimmed.length > 2048) {
+      throw new Error('Image URL is too long (max 2048 characters)');
+    }
+
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch (e) {
+      throw new Error('Please enter a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Image URL must start with http:// or https://');
+    }
+    if (url.username || url.password) {
+      throw new Error('Image URL must not contain credentials');
+    }
+    if (ArtworkUploader._isPrivateHost(url.hostname)) {
+      throw new Error('Image URL must be publicly reachable');
+    }
+
+    return url.href;
+  }
+
+  /**
+   * True for localhost and for loopback, private, carrier-grade NAT, link-local
+   * and unspecified IP literals: 0/8, 10/8, 100.64/10, 127/8, 169.254/16,
+   * 172.16/12, 192.168/16, ::, ::1, fc00::/7 (unique local), fe80::/10 and
+   * IPv4-mapped forms of these
+   * @param {string} hostname - URL.hostname (already normalized by the URL parser)
+   * @returns {boolean}
+   */
+  static _isPrivateHost(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      return true;
+    }
+
+    const isPrivateIPv4 = ([a, b]) =>
+      a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+
+    const ipv4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(host);
+    if (ipv4) {
+      return isPrivateIPv4(ipv4.slice(1).map(Number));
+    }
+
+    if (!host.startsWith('[')) {
+      return false;
+    }
+    const ipv6 = host.slice(1, -1);
+    if (ipv6 === '::' || ipv6 === '::1') {
+      return true;
+    }
+    // IPv4-mapped (::ffff:a.b.c.d), which the URL parser writes as two hex groups
+    const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ipv6);
+    if (mapped) {
+      const high = parseInt(mapped[1], 16);
+      return isPrivateIPv4([high >> 8, high & 0xff]);
+    }
+    const first = ipv6.startsWith('::') ? 0 : parseInt(ipv6.split(':')[0], 16);
+    return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80;
+  }
+
+  /**
+   * Open a new chunked upload session on the router
+   * @param {File} imageFile - File being uploaded
+   * @param {number} chunkSize - Requested chunk size in bytes
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object>} { upload_id, chunk_size, received_chunks }
+   */
+  async _createUploadSession(imageFile, chunkSize, signal = null) {
+    const response = await RateLimits.fetch(`${this.routerUrl}/uploads`,
+      this._buildFetchOptions({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: imageFile.name,
+          size: imageFile.size,
+          mime_type: imageFile.type,
+          chunk_size: chunkSize
+        }),
+        signal
+      })
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Failed to start upload: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      upload_id: data.upload_id,
+      chunk_size: data.chunk_size || chunkSize,
+      received_chunks: []
+    };
+  }
+
+  /**
+   * Look up a stored session for this file and ask the router which chunks it already has
+   * @param {string} fingerprint - File fingerprint
+   * @param {File} imageFile - File being uploaded
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @returns {Promise<Object|null>} Session with received_chunks, or null to start over
+   */
+  async _resumeUploadSession(fingerprint, imageFile, signal = null) {
+    const stored = ArtworkUploader._loadUploadSessions()[fingerprint];
+    if (!stored) return null;
+
+    try {
+      const response = await RateLimits.fetch(`${this.routerUrl}/uploads/${stored.upload_id}`,
+        this._buildFetchOptions({ method: 'GET', signal })
+      );
+      if (!response.ok) {
+        // Expired or unknown session - start a fresh one
+        ArtworkUploader._clearUploadSession(fingerprint);
+        return null;
+      }
+
+      const data = await response.json();
+      if (data.size && data.size !== imageFile.size) {
+        ArtworkUploader._clearUploadSession(fingerprint);
+        return null;
+      }
+
+      console.log(`[Uploader] Resuming upload ${stored.upload_id} (${(data.received_chunks || []).length} chunks already received)`);
+      return {
+        upload_id: stored.upload_id,
+        chunk_size: data.chunk_size || stored.chunk_size,
+        received_chunks: data.received_chunks || []
+      };
+    } catch (error) {
+      if (ArtworkUploader.isAbortError(error)) throw error;
+      console.warn('[Uploader] Could not resume upload session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send one chunk, retrying with exponential backoff on failure
+   */
+  async _sendChunkWithRetry(uploadId, index, blob, start, totalSize, reportProgress, signal = null) {
+    const { MAX_RETRIES, RETRY_DELAY } = this.config.UPLOAD.CHUNKED;
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this._sendChunk(uploadId, index, blob, start, totalSize, reportProgress, signal);
+      } catch (error) {
+        // Drop the partial bytes of the failed attempt from progress
+        reportProgress(0);
+
+        if (ArtworkUploader.isAbortError(error)) {
+          throw error;
+        }
+
+        if (attempt >= MAX_RETRIES || error.retryable === false) {
+          throw new Error(`Chunk ${index + 1} failed after ${attempt + 1} attempt(s): ${error.message}`);
+        }
+
+        const delay = typeof error.retryAfter === 'number' ? error.retryAfter : RETRY_DELAY * Math.pow(2, attempt);
+        console.warn(`[Uploader] Chunk ${index + 1} failed (${error.message}), retrying in ${delay}ms`);
+        if (this.onRetry) {
+          this.onRetry({
+            label: 'chunk upload',
+            attempt: attempt + 1,
+            maxRetries: MAX_RETRIES,
+            delay,
+            status: error.status || null,
+            message: error.message
+          });
+        }
+        await ArtworkUploader._sleep(delay, signal);
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * PUT a single chunk with upload progress
+   * @returns {Promise<void>}
+   */
+  _sendChunk(uploadId, index, blob, start, totalSize, reportProgress, signal = null) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const releaseSignal = ArtworkUploader._abortXhrOnSignal(xhr, signal, reject);
+      xhr.addEventListener('loadend', releaseSignal);
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          reportProgress(e.loaded);
+        }
+      });
+
+      xhr.open('PUT', `${this.routerUrl}/uploads/${uploadId}/chunks/${index}`);
+      xhr.withCredentials = true;
+      xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+      xhr.setRequestHeader('Content-Range', `bytes ${start}-${start + blob.size - 1}/${totalSize}`);
+      if (this.authToken) {
+        xhr.setRequestHeader('Authorization', `Bearer ${this.authToken}`);
+      }
+
+      xhr.onload = () => {
+        RateLimits.record('general', name => xhr.getResponseHeader(name), xhr.status);
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve();
+        } else {
+          const error = ArtworkUploader._httpError(`HTTP ${xhr.status}: ${xhr.statusText}`, xhr.status, xhr.getResponseHeader('Retry-After'));
+          // Client errors other than timeouts/rate limits will not succeed on retry
+          error.retryable = xhr.status >= 500 || xhr.status === 408 || xhr.status === 429;
+          reject(error);
+        }
+      };
+
+      xhr.onerror = () => reject(new Error('Network error during chunk upload'));
+      xhr.ontimeout = () => reject(new Error('Chunk upload timeout'));
+
+      xhr.send(blob);
+    });
+  }
+
+  /**
+   * Identify a file across page reloads without reading its contents
+   * @param {File} file
+   * @returns {string} Fingerprint
+   */
+  static fileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified || 0}`;
+  }
+
+  /**
+   * Stored upload sessions, without the ones that have expired on the router.
+   * Expired sessions are removed from storage as they are found.
+   * @returns {Object} Fingerprint -> { upload_id, chunk_size, created_at, expires_at }
+   */
+  static _loadUploadSessions() {
+    let sessions;
+    try {
+      sessions = JSON.parse(localStorage.getItem(UPLOAD_SESSIONS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+
+    const now = Date.now();
+    const expired = Object.keys(sessions).filter(fingerprint => {
+      const session = sessions[fingerprint] || {};
+      const expiresAt = session.expires_at || (session.created_at || 0) + DEFAULT_UPLOAD_SESSION_TTL;
+      return expiresAt <= now;
+    });
+    if (expired.length > 0) {
+      expired.forEach(fingerprint => delete sessions[fingerprint]);
+      try {
+        localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+      } catch (e) {
+        // Ignore storage errors
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * @param {string} fingerprint - File fingerprint
+   * @param {Object} session - { upload_id, chunk_size }
+   * @param {number} [ttl] - How long the router keeps the session (ms)
+   */
+  static _saveUploadSession(fingerprint, session, ttl = DEFAULT_UPLOAD_SESSION_TTL) {
+    try {
+      const sessions = ArtworkUploader._loadUploadSessions();
+      const createdAt = Date.now();
+      sessions[fingerprint] = {
+        upload_id: session.upload_id,
+        chunk_size: session.chunk_size,
+        created_at: createdAt,
+        expires_at: createdAt + (ttl || DEFAULT_UPLOAD_SESSION_TTL)
+      };
+      localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode) - resume just won't be available
+    }
+  }
+
+  static _clearUploadSession(fingerprint) {
+    try {
+      const sessions = ArtworkUploader._loadUploadSessions();
+      delete sessions[fingerprint];
+      localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
   /**
    * Get job status
    * @param {string} jobId - Job ID returned from submitArtwork
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<Object>} Job status object
    */
-  async getJobStatus(jobId) {
+  async getJobStatus(jobId, options = {}) {
+    const { signal } = options;
     try {
-      const response = await fetch(`${this.routerUrl}/jobs/${jobId}`,
-        this._buildFetchOptions({ method: 'GET' })
+      return await this._withRetry(async () => {
+        const response = await RateLimits.fetch(`${this.routerUrl}/jobs/${jobId}`,
+          this._buildFetchOptions({ method: 'GET', signal })
+        );
+
+        if (!response.ok) {
+          if (response.status === 404) {
+            throw new Error('Job not found');
+          }
+          throw await ArtworkUploader._responseError(response);
+        }
+
+        return response.json();
+      }, { label: 'status check', idempotent: true, signal });
+    } catch (error) {
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('Failed to get job status:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the router to stop a job. Routers without POST /jobs/:id/cancel
+   * answer 404/405/501; the job then keeps running server-side.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if the router cancelled the job
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await RateLimits.fetch(`${this.routerUrl}/jobs/${jobId}/cancel`,
+        this._buildFetchOptions({ method: 'POST' })
       );
 
+      if (response.status === 404 || response.status === 405 || response.status === 501) {
+        return false;
+      }
+      // Already finished - nothing left to cancel
+      if (response.status === 409) {
+        return false;
+      }
       if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Job not found');
-        }
         const error = await response.json().catch(() => ({}));
         throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
       }
 
-      return await response.json();
+      return true;
     } catch (error) {
-      console.error('Failed to get job status:', error);
+      console.error('Failed to cancel job:', error);
       throw error;
     }
   }
@@ -205,28 +1068,34 @@ class ArtworkUploader {
   /**
    * Get complete job result
    * @param {string} jobId - Job ID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<Object>} Complete job result with URLs
    */
-  async getJobResult(jobId) {
+  async getJobResult(jobId, options = {}) {
+    const { signal } = options;
     try {
-      const response = await fetch(`${this.routerUrl}/jobs/${jobId}/result`,
-        this._buildFetchOptions({ method: 'GET' })
-      );
+      return await this._withRetry(async () => {
+        const response = await RateLimits.fetch(`${this.routerUrl}/jobs/${jobId}/result`,
+          this._buildFetchOptions({ method: 'GET', signal })
+        );
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Job not found');
-        }
-        if (response.status === 409) {
-          throw new Error('Job is still processing');
+        if (!response.ok) {
+          if (response.status === 404) {
+            throw new Error('Job not found');
+          }
+          if (response.status === 409) {
+            throw new Error('Job is still processing');
+          }
+          throw await ArtworkUploader._responseError(response);
         }
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
-      }
 
-      return await response.json();
+        return response.json();
+      }, { label: 'result', idempotent: true, signal });
     } catch (error) {
-      console.error('Failed to get job result:', error);
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('Failed to get job result:', error);
+      }
       throw error;
     }
   }
@@ -235,31 +1104,27 @@ class ArtworkUploader {
    * Poll job status until completion or failure
    * @param {string} jobId - Job ID to poll
    * @param {Function} onStatusUpdate - Callback(status) called on each poll
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops polling; rejects with an AbortError
    * @returns {Promise<Object>} Final job result
    */
-  async pollJobUntilComplete(jobId, onStatusUpdate = null) {
+  async pollJobUntilComplete(jobId, onStatusUpdate = null, options = {}) {
+    const { signal } = options;
     let attempt = 0;
     let delay = this.pollingConfig.INITIAL_DELAY;
 
     while (attempt < this.pollingConfig.MAX_ATTEMPTS) {
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await ArtworkUploader._sleep(delay, signal);
 
-      const status = await this.getJobStatus(jobId);
+      const status = await this.getJobStatus(jobId, { signal });
 
       if (onStatusUpdate) {
         onStatusUpdate(status);
       }
 
       // Check terminal states
-      if (status.status === 'completed' || status.status === 'failed') {
-        // Fetch complete result
-        try {
-          return await this.getJobResult(jobId);
-        } catch (error) {
-          // If result fetch fails, return status object
-          console.warn('Failed to fetch complete result, returning status:', error);
-          return status;
-        }
+      if (ArtworkUploader.isTerminalStatus(status)) {
+        return this._resultOrStatus(jobId, status, signal);
       }
 
       // Increment attempt and apply backoff
@@ -273,6 +1138,260 @@ class ArtworkUploader {
     throw new Error(`Job polling timeout after ${this.pollingConfig.MAX_ATTEMPTS} attempts`);
   }
 
+  /**
+   * Track a job until completion, preferring the push-based progress stream
+   * and falling back to polling when the stream is unavailable
+   * @param {string} jobId - Job ID to track
+   * @param {Function} onStatusUpdate - Callback(status) called on each update
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops tracking; rejects with an AbortError
+   * @returns {Promise<Object>} Final job result
+   */
+  async trackJob(jobId, onStatusUpdate = null, options = {}) {
+    const streamConfig = this.config.PROGRESS_STREAM;
+
+    if (streamConfig && streamConfig.ENABLED) {
+      try {
+        return await this.streamJobUntilComplete(jobId, onStatusUpdate, options);
+      } catch (error) {
+        if (!error.streamUnavailable) {
+          throw error;
+        }
+        console.warn(`[Uploader] Progress stream unavailable (${error.message}), falling back to polling`);
+      }
+    }
+
+    return this.pollJobUntilComplete(jobId, onStatusUpdate, options);
+  }
+
+  /**
+   * Receive job status pushes over SSE or WebSocket until the job finishes.
+   * Transient drops reconnect with the last event ID so no update is lost.
+   * Rejects with `error.streamUnavailable = true` when the stream cannot be
+   * used or stays silent for STALL_TIMEOUT, so callers can fall back to polling.
+   * @param {string} jobId - Job ID to watch
+   * @param {Function} onStatusUpdate - Callback(status) called on each push
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Closes the stream; rejects with an AbortError
+   * @returns {Promise<Object>} Final job result
+   */
+  streamJobUntilComplete(jobId, onStatusUpdate = null, options = {}) {
+    const { signal } = options;
+    const { TRANSPORT, MAX_RECONNECTS, RECONNECT_DELAY, STALL_TIMEOUT } = this.config.PROGRESS_STREAM;
+    const useWebSocket = TRANSPORT === 'websocket';
+
+    const unavailable = (message) => {
+      const error = new Error(message);
+      error.streamUnavailable = true;
+      return error;
+    };
+
+    if (useWebSocket ? typeof WebSocket === 'undefined' : typeof EventSource === 'undefined') {
+      return Promise.reject(unavailable(`${useWebSocket ? 'WebSocket' : 'EventSource'} not supported`));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(ArtworkUploader.abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      let channel = null;
+      let lastEventId = null;
+      let reconnects = 0;
+      let connected = false;
+      let finished = false;
+      let stallTimer = null;
+
+      // Every way out goes through here, so a long-lived signal keeps no dead listener
+      const finish = () => {
+        finished = true;
+        clearTimeout(stallTimer);
+        channel.close();
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        if (finished) return;
+        finish();
+        reject(ArtworkUploader.abortError());
+      };
+
+      // Restarted by every message; an open stream that goes quiet is given up on
+      const watchForStall = () => {
+        clearTimeout(stallTimer);
+        if (!STALL_TIMEOUT) return;
+        stallTimer = setTimeout(() => {
+          if (finished) return;
+          finish();
+          reject(unavailable(`no progress for ${Math.ceil(STALL_TIMEOUT / 1000)}s`));
+        }, STALL_TIMEOUT);
+      };
+
+      const handlers = {
+        onOpen: () => {
+          connected = true;
+          reconnects = 0;
+          watchForStall();
+        },
+        onMessage: () => {
+          if (!finished) watchForStall();
+        },
+        onStatus: (status, eventId) => {
+          if (finished) return;
+          if (eventId) lastEventId = eventId;
+
+          if (onStatusUpdate) {
+            try {
+              onStatusUpdate(status);
+            } catch (error) {
+              finish();
+              reject(error);
+              return;
+            }
+          }
+
+          if (ArtworkUploader.isTerminalStatus(status)) {
+            finish();
+            this._resultOrStatus(jobId, status, signal).then(resolve, reject);
+          }
+        },
+        onDrop: () => {
+          if (finished) return;
+
+          if (!connected) {
+            finish();
+            reject(unavailable('could not connect'));
+            return;
+          }
+          if (reconnects >= MAX_RECONNECTS) {
+            finish();
+            reject(unavailable(`gave up after ${MAX_RECONNECTS} reconnects`));
+            return;
+          }
+
+          clearTimeout(stallTimer);
+          channel.close();
+
+          const delay = RECONNECT_DELAY * Math.pow(2, reconnects);
+          reconnects++;
+          connected = false;
+          console.warn(`[Uploader] Progress stream dropped, reconnecting in ${delay}ms (${reconnects}/${MAX_RECONNECTS})`);
+          setTimeout(connect, delay);
+        }
+      };
+
+      const connect = () => {
+        // A reconnect may have been scheduled before the caller cancelled
+        if (finished) return;
+        channel = useWebSocket
+          ? this._openJobSocket(jobId, lastEventId, handlers)
+          : this._openJobEventSource(jobId, lastEventId, handlers);
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      connect();
+    });
+  }
+
+  /**
+   * Open an SSE channel: GET /jobs/:id/events, one JSON status per message
+   * @returns {Object} { close }
+   */
+  _openJobEventSource(jobId, lastEventId, handlers) {
+    const query = lastEventId ? `?last_event_id=${encodeURIComponent(lastEventId)}` : '';
+    const source = new EventSource(`${this.routerUrl}/jobs/${jobId}/events${query}`, {
+      withCredentials: true
+    });
+
+    source.onopen = handlers.onOpen;
+    source.onmessage = (e) => {
+      handlers.onMessage();
+      const status = ArtworkUploader._parseStatusMessage(e.data);
+      if (!status) {
+        console.warn('[Uploader] Ignoring malformed progress event:', e.data);
+        return;
+      }
+      handlers.onStatus(status, e.lastEventId);
+    };
+    // Take over reconnection from the browser so resume and fallback stay under our control
+    source.onerror = handlers.onDrop;
+
+    return { close: () => source.close() };
+  }
+
+  /**
+   * Open a WebSocket channel: /jobs/:id/ws, one JSON status (with optional event_id) per message
+   * @returns {Object} { close }
+   */
+  _openJobSocket(jobId, lastEventId, handlers) {
+    const wsBase = this.routerUrl.replace(/^http/, 'ws');
+    const query = lastEventId ? `?last_event_id=${encodeURIComponent(lastEventId)}` : '';
+    const socket = new WebSocket(`${wsBase}/jobs/${jobId}/ws${query}`);
+    let closedByClient = false;
+
+    socket.onopen = handlers.onOpen;
+    socket.onmessage = (e) => {
+      handlers.onMessage();
+      const status = ArtworkUploader._parseStatusMessage(e.data);
+      if (!status) {
+        console.warn('[Uploader] Ignoring malformed progress message:', e.data);
+        return;
+      }
+      handlers.onStatus(status, status.event_id);
+    };
+    socket.onclose = () => {
+      if (!closedByClient) handlers.onDrop();
+    };
+
+    return {
+      close: () => {
+        closedByClient = true;
+        socket.close();
+      }
+    };
+  }
+
+  /**
+   * @param {string} data - Progress stream message body
+   * @returns {Object|null} Job status, or null if the message is not a JSON object
+   */
+  static _parseStatusMessage(data) {
+    try {
+      const status = JSON.parse(data);
+      return status && typeof status === 'object' ? status : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the complete result for a finished job, falling back to its status
+   * @param {string} jobId - Job ID
+   * @param {Object} status - Terminal status object
+   * @param {AbortSignal} [signal] - Cancellation signal; aborting rejects instead of falling back
+   * @returns {Promise<Object>} Job result or status
+   */
+  async _resultOrStatus(jobId, status, signal = null) {
+    try {
+      return await this.getJobResult(jobId, { signal });
+    } catch (error) {
+      if (ArtworkUploader.isAbortError(error)) throw error;
+      // If result fetch fails, return status object
+      console.warn('Failed to fetch complete result, returning status:', error);
+      return status;
+    }
+  }
+
+  /**
+   * @param {Object} status - Job status object
+   * @returns {boolean} True if the job has finished (completed, failed or cancelled)
+   */
+  static isTerminalStatus(status) {
+    return status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled';
+  }
+
   /**
    * Download protected image blob
    * @param {string} jobId - Job ID
@@ -281,21 +1400,23 @@ class ArtworkUploader {
    */
   async downloadVariant(jobId, variant = 'protected') {
     try {
-      const response = await fetch(`${this.routerUrl}/jobs/${jobId}/download/${variant}`,
-        this._buildFetchOptions({ method: 'GET' })
-      );
+      return await this._withRetry(async () => {
+        const response = await RateLimits.fetch(`${this.routerUrl}/jobs/${jobId}/download/${variant}`,
+          this._buildFetchOptions({ method: 'GET' })
+        );
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          throw new Error('Job or variant not found');
-        }
-        if (response.status === 409) {
-          throw new Error('Job is still processing');
+        if (!response.ok) {
+          if (response.status === 404) {
+            throw new Error('Job or variant not found');
+          }
+          if (response.status === 409) {
+            throw new Error('Job is still processing');
+          }
+          throw await ArtworkUploader._responseError(response);
         }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
 
-      return await response.blob();
+        return response.blob();
+      }, { label: 'download', idempotent: true });
     } catch (error) {
       console.error(`Failed to download ${variant}:`, error);
       throw error;
@@ -0,0 +1,296 @@
+/**
+ * Billing Modal Logic
+ * Credits ledger next to the settings modal: balance and plan from
+ * GET /credits/me, every debit, top-up and refund from
+ * GET /credits/transactions, monthly totals, a date range filter and CSV export
+ */
+
+(function() {
+  'use strict';
+
+  const PAGE_SIZE = 100;
+  const MAX_PAGES = 20;      // Stop after this many pages of one range
+  const DEFAULT_MONTHS = 3;  // Range shown when the modal is first opened
+
+  let transactions = [];     // CreditsLedger.normalize() output for the current range
+  let truncated = false;     // More transactions exist than were loaded
+  let loadId = 0;            // Drops responses for a superseded range
+
+  const modal = document.getElementById('billing-modal');
+  const modalContent = modal?.querySelector('.billing-modal-content');
+  const modalBackdrop = modal?.querySelector('.billing-modal-backdrop');
+  const closeButtons = modal?.querySelectorAll('.billing-modal-close');
+
+  function routerUrl() {
+    return window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
+  }
+
+  function byId(id) {
+    return document.getElementById(id);
+  }
+
+  function formatAmount(amount) {
+    return amount > 0 ? `+${amount}` : String(amount);
+  }
+
+  function formatMonth(month) {
+    const [year, index] = month.split('-').map(Number);
+    return new Date(year, index - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
+  function openBillingModal() {
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    requestAnimationFrame(() => {
+      if (modalBackdrop) modalBackdrop.style.opacity = '1';
+      if (modalContent) {
+        modalContent.style.opacity = '1';
+        modalContent.style.transform = 'scale(1)';
+      }
+    });
+
+    const fromInput = byId('billing-from');
+    if (fromInput && !fromInput.value) {
+      const start = new Date();
+      start.setMonth(start.getMonth() - (DEFAULT_MONTHS - 1), 1);
+      fromInput.value = CreditsLedger.localDate(start);
+    }
+    loadAccount();
+    loadTransactions();
+  }
+
+  function closeBillingModal() {
+    if (!modal) return;
+    if (modalBackdrop) modalBackdrop.style.opacity = '0';
+    if (modalContent) {
+      modalContent.style.opacity = '0';
+      modalContent.style.transform = 'scale(0.95)';
+    }
+    setTimeout(() => { modal.classList.add('hidden'); }, 200);
+  }
+
+  async function loadAccount() {
+    const balanceEl = byId('billing-balance');
+    const planEl = byId('billing-plan');
+    try {
+      const response = await RateLimits.fetch(`${routerUrl()}/credits/me`, {
+        credentials: 'include'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+
+      if (balanceEl) balanceEl.textContent = Number.isFinite(data.balance) ? data.balance : '–';
+      if (planEl) {
+        const max = window.CreditEstimator ? window.CreditEstimator.planMax(data) : null;
+        planEl.textContent = data.plan?.name
+          ? `${data.plan.name}${max ? ` · ${max} credits` : ''}`
+          : (max ? `${max} credits` : '–');
+      }
+      // Keep the header ring and cost estimate in step with what is shown here
+      if (typeof window.updateCreditsUI === 'function' && window.CreditEstimator) {
+        window.CreditEstimator.setAccount(data);
+        window.updateCreditsUI(data.balance, window.CreditEstimator.planMax(data));
+      }
+    } catch (error) {
+      console.warn('[Billing] Failed to fetch credits:', error);
+      if (balanceEl) balanceEl.textContent = '–';
+      if (planEl) planEl.textContent = '–';
+    }
+  }
+
+  function rangeParams() {
+    const from = byId('billing-from')?.value || '';
+    const to = byId('billing-to')?.value || '';
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    // Send the range as local day boundaries
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return { from, to, params };
+  }
+
+  async function loadTransactions() {
+    const id = ++loadId;
+    const loading = byId('billing-loading');
+    const errorEl = byId('billing-error');
+    const { from, to, params } = rangeParams();
+
+    if (from && to && from > to) {
+      showError('The start date is after the end date');
+      return;
+    }
+
+    if (loading) loading.style.display = 'flex';
+    if (errorEl) errorEl.style.display = 'none';
+    setExportEnabled(false);
+
+    try {
+      const loaded = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        if (cursor) params.set('cursor', cursor);
+        const response = await RateLimits.fetch(`${routerUrl()}/credits/transactions?${params}`, {
+          credentials: 'include'
+        });
+        if (response.status === 404) {
+          throw new Error('Billing history is not available on this server yet');
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        if (id !== loadId) return;
+
+        (data.transactions || []).forEach(raw => {
+          const transaction = CreditsLedger.normalize(raw);
+          if (transaction) {
+            loaded.push(transaction);
+          } else {
+            console.warn('[Billing] Skipping transaction without a valid date:', raw);
+          }
+        });
+        cursor = data.next_cursor || null;
+        pages++;
+      } while (cursor && pages < MAX_PAGES);
+
+      // The router may not filter by date; apply the range here too
+      transactions = CreditsLedger.filterByDate(loaded, from, to)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      truncated = Boolean(cursor);
+      render();
+    } catch (error) {
+      if (id !== loadId) return;
+      console.error('[Billing] Failed to load transactions:', error);
+      transactions = [];
+      truncated = false;
+      render();
+      showError(`Could not load billing history: ${error.message}`);
+    } finally {
+      if (id === loadId && loading) loading.style.display = 'none';
+    }
+  }
+
+  function showError(message) {
+    const errorEl = byId('billing-error');
+    if (!errorEl) return;
+    errorEl.textContent = message;
+    errorEl.style.display = 'block';
+  }
+
+  function setExportEnabled(enabled) {
+    const exportBtn = byId('billing-export');
+    if (exportBtn) exportBtn.disabled = !enabled;
+  }
+
+  function render() {
+    renderTotals();
+    renderMonths();
+    renderTransactions();
+    setExportEnabled(transactions.length > 0);
+
+    const countEl = byId('billing-count');
+    if (countEl) {
+      const count = transactions.length === 1 ? '1 transaction' : `${transactions.length} transactions`;
+      countEl.textContent = truncated ? `${count} (most recent only, narrow the range for more)` : count;
+    }
+  }
+
+  function renderTotals() {
+    const months = CreditsLedger.monthlyTotals(transactions);
+    const used = months.reduce((sum, month) => sum + month.used, 0);
+    const added = months.reduce((sum, month) => sum + month.added, 0);
+    const usedEl = byId('billing-used');
+    const addedEl = byId('billing-added');
+    if (usedEl) usedEl.textContent = used;
+    if (addedEl) addedEl.textContent = added;
+  }
+
+  function renderMonths() {
+    const list = byId('billing-months-list');
+    const table = byId('billing-months-table');
+    if (!list) return;
+
+    const months = CreditsLedger.monthlyTotals(transactions);
+    if (table) table.style.display = months.length > 0 ? 'table' : 'none';
+    list.innerHTML = months.map(month => `
+      <tr style="border-bottom:1px solid var(--art-border-subtle);">
+        <td style="padding:0.5rem var(--art-space-5);font-size:var(--art-text-sm);color:var(--art-text);">${formatMonth(month.month)}</td>
+        <td style="padding:0.5rem 0.75rem;font-size:var(--art-text-sm);text-align:right;font-variant-numeric:tabular-nums;">${month.used}</td>
+        <td style="padding:0.5rem 0.75rem;font-size:var(--art-text-sm);text-align:right;font-variant-numeric:tabular-nums;">${month.topUps}</td>
+        <td style="padding:0.5rem 0.75rem;font-size:var(--art-text-sm);text-align:right;font-variant-numeric:tabular-nums;">${month.jobs}</td>
+        <td style="padding:0.5rem var(--art-space-5);font-size:var(--art-text-sm);text-align:right;font-variant-numeric:tabular-nums;color:${month.net < 0 ? 'var(--art-danger)' : 'var(--art-success)'};">${formatAmount(month.net)}</td>
+      </tr>`).join('');
+  }
+
+  function renderTransactions() {
+    const list = byId('billing-list');
+    const table = byId('billing-table');
+    const empty = byId('billing-empty');
+    if (!list) return;
+
+    if (table) table.style.display = transactions.length > 0 ? 'table' : 'none';
+    if (empty) empty.style.display = transactions.length > 0 ? 'none' : 'flex';
+
+    list.innerHTML = transactions.map(transaction => {
+      const date = new Date(transaction.createdAt);
+      const subject = transaction.artworkTitle || transaction.description ||
+        (transaction.jobId ? `Job ${transaction.jobId.slice(0, 8)}` : CreditsLedger.TYPE_LABELS[transaction.type]);
+      const reference = [
+        transaction.jobId ? `Job ${transaction.jobId}` : '',
+        transaction.artworkId ? `Artwork ${transaction.artworkId}` : ''
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <tr style="border-bottom:1px solid var(--art-border-subtle);">
+          <td style="padding:0.625rem var(--art-space-5);font-size:var(--art-text-xs);color:var(--art-text-faint);white-space:nowrap;" title="${window.escapeHtml(date.toLocaleString())}">
+            ${window.escapeHtml(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }))}
+          </td>
+          <td style="padding:0.625rem 0.75rem;font-size:var(--art-text-sm);color:var(--art-text);max-width:220px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${window.escapeHtml(reference)}">
+            ${window.escapeHtml(subject)}
+          </td>
+          <td style="padding:0.625rem 0.75rem;font-size:var(--art-text-xs);color:var(--art-text-muted);white-space:nowrap;">${CreditsLedger.TYPE_LABELS[transaction.type]}</td>
+          <td style="padding:0.625rem 0.75rem;font-size:var(--art-text-sm);text-align:right;font-variant-numeric:tabular-nums;color:${transaction.amount < 0 ? 'var(--art-text)' : 'var(--art-success)'};">${formatAmount(transaction.amount)}</td>
+          <td style="padding:0.625rem var(--art-space-5);font-size:var(--art-text-xs);text-align:right;font-variant-numeric:tabular-nums;color:var(--art-text-faint);">${transaction.balanceAfter ?? '–'}</td>
+        </tr>`;
+    }).join('');
+  }
+
+  function exportCSV() {
+    if (transactions.length === 0) return;
+    const { from, to } = rangeParams();
+    const blob = new Blob([CreditsLedger.toCSV(transactions)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `artorize-credits-${from || 'start'}-to-${to || CreditsLedger.localDate(new Date())}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function setupModalListeners() {
+    if (closeButtons) {
+      closeButtons.forEach(btn => btn.addEventListener('click', closeBillingModal));
+    }
+    if (modalBackdrop) {
+      modalBackdrop.addEventListener('click', closeBillingModal);
+    }
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !modal?.classList.contains('hidden')) closeBillingModal();
+    });
+
+    ['billing-from', 'billing-to'].forEach(id => {
+      const input = byId(id);
+      if (input) input.addEventListener('change', loadTransactions);
+    });
+    const exportBtn = byId('billing-export');
+    if (exportBtn) exportBtn.addEventListener('click', exportCSV);
+  }
+
+  window.openBillingModal = openBillingModal;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupModalListeners);
+  } else {
+    setupModalListeners();
+  }
+})();
@@ -0,0 +1,303 @@
+/**
+ * Comparison Modes
+ * View modes for the before/after viewer besides the slider wipe: side by
+ * side, absolute difference (plain, ×10, ×50) and blink. The difference is
+ * computed in the browser from the original and protected blobs that
+ * dashboard-v2.js already downloaded, once per result.
+ */
+
+(function() {
+  'use strict';
+
+  const MODES = {
+    slider: { label: 'Slider' },
+    side: { label: 'Side by side' },
+    diff: { label: 'Difference', amplify: 1 },
+    diff10: { label: 'Difference ×10', amplify: 10 },
+    diff50: { label: 'Difference ×50', amplify: 50 },
+    blink: { label: 'Blink' }
+  };
+  const BLINK_INTERVAL = 500; // ms per image
+
+  let mode = 'slider';
+  let sources = null;          // { original: Blob, protected: Blob }
+  let difference = null;       // Promise of { width, height, pixels, maxDifference, changed, resized }
+  let sliderPosition = '50%';  // Restored when returning to the slider
+  let blinkTimer = null;
+  let showingOriginal = false;
+
+  function byId(id) {
+    return document.getElementById(id);
+  }
+
+  function setStatus(message, type = 'info') {
+    const statusEl = byId('comparison-mode-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `text-xs ${type === 'error' ? 'text-red-600' : 'text-subtle'}`;
+  }
+
+  function decodeToPixels(bitmap, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+  }
+
+  /**
+   * Per-channel |protected - original| at the protected image's size
+   * @returns {Promise<Object>} { width, height, pixels (RGBA), maxDifference, changed (0-1), resized }
+   */
+  async function computeDifference(originalBlob, protectedBlob) {
+    const [originalBitmap, protectedBitmap] = await Promise.all([
+      createImageBitmap(originalBlob),
+      createImageBitmap(protectedBlob)
+    ]);
+
+    const width = protectedBitmap.width;
+    const height = protectedBitmap.height;
+    const resized = originalBitmap.width !== width || originalBitmap.height !== height;
+
+    const pixels = decodeToPixels(originalBitmap, width, height);
+    const protectedPixels = decodeToPixels(protectedBitmap, width, height);
+    originalBitmap.close();
+    protectedBitmap.close();
+
+    // Reuse the original's buffer for the result
+    let maxDifference = 0;
+    let changed = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const r = Math.abs(protectedPixels[i] - pixels[i]);
+      const g = Math.abs(protectedPixels[i + 1] - pixels[i + 1]);
+      const b = Math.abs(protectedPixels[i + 2] - pixels[i + 2]);
+      const peak = Math.max(r, g, b);
+      if (peak > 0) changed++;
+      if (peak > maxDifference) maxDifference = peak;
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = 255;
+    }
+
+    return { width, height, pixels, maxDifference, changed: changed / (width * height), resized };
+  }
+
+  async function drawDifference(amplify) {
+    const canvas = byId('comparison-diff');
+    if (!canvas || !sources) return;
+
+    if (!difference) {
+      const { original, protected: protectedBlob } = sources;
+      setStatus('Computing difference...');
+      // Let the status paint before decoding
+      difference = new Promise(resolve => setTimeout(resolve, 0))
+        .then(() => computeDifference(original, protectedBlob));
+    }
+
+    const requested = difference;
+    let result;
+    try {
+      result = await requested;
+    } catch (error) {
+      // Allow another attempt
+      if (requested === difference) difference = null;
+      throw error;
+    }
+    if (requested !== difference || !MODES[mode].amplify || MODES[mode].amplify !== amplify) return;
+
+    let { pixels } = result;
+    if (amplify !== 1) {
+      pixels = new Uint8ClampedArray(result.pixels.length);
+      for (let i = 0; i < pixels.length; i += 4) {
+        // Uint8ClampedArray saturates at 255
+        pixels[i] = result.pixels[i] * amplify;
+        pixels[i + 1] = result.pixels[i + 1] * amplify;
+        pixels[i + 2] = result.pixels[i + 2] * amplify;
+        pixels[i + 3] = 255;
+      }
+    }
+
+    canvas.width = result.width;
+    canvas.height = result.height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, result.width, result.height), 0, 0);
+    canvas.style.display = 'block';
+
+    const percent = result.changed * 100;
+    setStatus(`${percent < 0.1 && percent > 0 ? '<0.1' : percent.toFixed(1)}% of pixels changed, largest change ${result.maxDifference}/255` +
+      (result.resized ? ' (original resized to match)' : ''));
+  }
+
+  function stopBlink() {
+    if (blinkTimer) {
+      clearInterval(blinkTimer);
+      blinkTimer = null;
+    }
+  }
+
+  function startBlink() {
+    const overlay = byId('comparison-overlay');
+    if (!overlay) return;
+
+    const flip = () => {
+      showingOriginal = !showingOriginal;
+      overlay.style.width = showingOriginal ? '100%' : '0%';
+      setStatus(showingOriginal ? 'Showing original' : 'Showing protected');
+    };
+    showingOriginal = false;
+    flip();
+    blinkTimer = setInterval(flip, BLINK_INTERVAL);
+  }
+
+  /**
+   * Put every layer back in its slider-mode state
+   */
+  function restoreLayout() {
+    const container = byId('image-comparison-container');
+    const protectedImg = byId('comparison-protected');
+    const maskCanvas = byId('comparison-mask');
+    const overlay = byId('comparison-overlay');
+    const originalImg = byId('comparison-original');
+    const slider = byId('comparison-slider');
+    const diffCanvas = byId('comparison-diff');
+
+    stopBlink();
+    if (container) delete container.dataset.zoomPanes;
+    if (protectedImg) {
+      protectedImg.style.width = '';
+      protectedImg.style.marginLeft = '';
+    }
+    if (maskCanvas) {
+      maskCanvas.style.left = '';
+      maskCanvas.style.width = '';
+    }
+    if (overlay) {
+      overlay.classList.remove('bg-background');
+      overlay.style.width = sliderPosition;
+    }
+    if (slider) {
+      slider.style.left = sliderPosition;
+      slider.style.display = sources ? 'block' : 'none';
+    }
+    if (originalImg && container) originalImg.style.width = `${container.clientWidth}px`;
+    if (diffCanvas) diffCanvas.style.display = 'none';
+    setStatus('');
+  }
+
+  /**
+   * Switch the viewer to a mode
+   * @param {string} next - Key of MODES
+   */
+  function setMode(next) {
+    if (!MODES[next]) return;
+
+    const container = byId('image-comparison-container');
+    const overlay = byId('comparison-overlay');
+    const slider = byId('comparison-slider');
+    if (mode === 'slider' && overlay) sliderPosition = overlay.style.width || '50%';
+
+    mode = next;
+    const select = byId('comparison-view-mode');
+    if (select) select.value = next;
+
+    restoreLayout();
+    if (next !== 'slider' && sources) {
+      applyMode(next, container, overlay, slider);
+    }
+
+    // Layer sizes may have changed; let the zoom re-apply
+    if (window.ComparisonZoom) window.ComparisonZoom.refresh();
+  }
+
+  /**
+   * Lay the layers out for any mode other than the slider
+   */
+  function applyMode(next, container, overlay, slider) {
+    if (slider) slider.style.display = 'none';
+
+    if (next === 'side') {
+      // Original in the left half, protected (and its mask) in the right half
+      const protectedImg = byId('comparison-protected');
+      const maskCanvas = byId('comparison-mask');
+      const originalImg = byId('comparison-original');
+      container.dataset.zoomPanes = '2';
+      protectedImg.style.width = '50%';
+      protectedImg.style.marginLeft = '50%';
+      if (maskCanvas) {
+        maskCanvas.style.left = '50%';
+        maskCanvas.style.width = '50%';
+      }
+      overlay.style.width = '50%';
+      overlay.classList.add('bg-background');
+      originalImg.style.width = `${container.clientWidth / 2}px`;
+    } else if (next === 'blink') {
+      startBlink();
+    } else {
+      drawDifference(MODES[next].amplify).catch(error => {
+        console.error('[Comparison] Difference failed:', error);
+        setStatus(`Could not compute difference: ${error.message}`, 'error');
+      });
+    }
+  }
+
+  /**
+   * Use a new result's images; the viewer starts in slider mode
+   * @param {Blob} originalBlob
+   * @param {Blob} protectedBlob
+   */
+  function setImages(originalBlob, protectedBlob) {
+    sources = { original: originalBlob, protected: protectedBlob };
+    difference = null;
+    sliderPosition = '50%';
+    mode = 'slider';
+    restoreLayout();
+
+    const select = byId('comparison-view-mode');
+    if (select) select.value = 'slider';
+    const controls = byId('comparison-mode-controls');
+    if (controls) controls.style.display = '';
+  }
+
+  /**
+   * Hide the mode controls and drop the cached difference
+   */
+  function reset() {
+    sources = null;
+    difference = null;
+    sliderPosition = '50%';
+    mode = 'slider';
+    restoreLayout();
+
+    const select = byId('comparison-view-mode');
+    if (select) select.value = 'slider';
+    const controls = byId('comparison-mode-controls');
+    if (controls) controls.style.display = 'none';
+  }
+
+  /**
+   * @returns {string} Current mode
+   */
+  function getMode() {
+    return mode;
+  }
+
+  function init() {
+    const select = byId('comparison-view-mode');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(MODES)
+      .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    select.addEventListener('change', () => setMode(select.value));
+  }
+
+  // Expose for dashboard-v2.js
+  window.ComparisonModes = {
+    init,
+    setImages,
+    setMode,
+    getMode,
+    reset
+  };
+})();
@@ -0,0 +1,398 @@
+/**
+ * Comparison Zoom
+ * Zoom, pan, 1:1 pixel mode and a loupe for the before/after viewer.
+ * Every element in the comparison container marked with `data-zoom-layer`
+ * gets the same transform, so the original, protected image and mask stay
+ * aligned while the slider's clip stays in screen space.
+ *
+ * When the container has `data-zoom-panes="2"` (side by side), the layers are
+ * laid out in two equal columns and the view is kept in sync per column.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_ZOOM = 8;          // 800%
+  const ZOOM_STEP = 1.25;      // +/- buttons
+  const WHEEL_SPEED = 0.002;   // per pixel of wheel delta
+  const PAN_THRESHOLD = 3;     // px of movement before a press counts as a pan
+  const LOUPE_SIZE = 128;      // px per loupe image
+  const LOUPE_ZOOM = 4;        // screen pixels per image pixel in the loupe
+
+  let active = false;
+  let scale = 1;
+  // Translation as a fraction of the layer size, so resizing keeps the view
+  let panX = 0;
+  let panY = 0;
+  let pan = null;              // { x, y, panX, panY, moved } while dragging
+  let pinch = null;            // { distance, scale } while pinching
+  let suppressClick = false;   // Swallow the click that ends a pan (it would move the slider)
+  let loupeEnabled = false;
+  let loupe = null;
+
+  function getContainer() {
+    return document.getElementById('image-comparison-container');
+  }
+
+  function getLayers() {
+    const container = getContainer();
+    return container ? Array.from(container.querySelectorAll('[data-zoom-layer]')) : [];
+  }
+
+  /**
+   * Number of side-by-side columns the layers are laid out in
+   * @returns {number}
+   */
+  function paneCount() {
+    const container = getContainer();
+    return (container && Number(container.dataset.zoomPanes)) || 1;
+  }
+
+  function isOnSlider(target) {
+    const slider = document.getElementById('comparison-slider');
+    return Boolean(slider && slider.contains(target));
+  }
+
+  /**
+   * Zoom at which one image pixel covers one device pixel
+   * @returns {number}
+   */
+  function actualSizeScale() {
+    const container = getContainer();
+    const img = document.getElementById('comparison-protected');
+    if (!container || !img || !img.naturalWidth || !container.clientWidth) return 1;
+
+    // Layers are object-fit: contain, so at 100% the image is scaled by `fit`
+    const fit = Math.min(container.clientWidth / paneCount() / img.naturalWidth, container.clientHeight / img.naturalHeight);
+    return 1 / (fit * (window.devicePixelRatio || 1));
+  }
+
+  function maxScale() {
+    return Math.max(MAX_ZOOM, actualSizeScale());
+  }
+
+  function clampPan() {
+    // Keep the layers covering the container: translation between (1 - scale) and 0
+    panX = Math.min(0, Math.max(1 - scale, panX));
+    panY = Math.min(0, Math.max(1 - scale, panY));
+  }
+
+  function apply() {
+    const container = getContainer();
+    if (!container) return;
+
+    clampPan();
+    const pixelated = scale >= actualSizeScale();
+
+    getLayers().forEach(layer => {
+      // Pan is relative to each layer's own box, so every column shows the same region
+      layer.style.transformOrigin = '0 0';
+      layer.style.transform = scale === 1 ? '' : `translate(${panX * layer.offsetWidth}px, ${panY * layer.offsetHeight}px) scale(${scale})`;
+      layer.style.imageRendering = pixelated && scale > 1 ? 'pixelated' : '';
+    });
+
+    container.style.cursor = scale > 1 ? (pan ? 'grabbing' : 'grab') : '';
+    // Let the browser scroll the page at 100%, but keep pinches for the viewer
+    container.style.touchAction = scale > 1 ? 'none' : 'pan-y';
+
+    const levelEl = document.getElementById('comparison-zoom-level');
+    if (levelEl) levelEl.textContent = `${Math.round(scale * 100)}%`;
+  }
+
+  /**
+   * Zoom keeping the point under (clientX, clientY) in place
+   * @param {number} nextScale - Requested zoom (clamped to 1..maxScale())
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  function zoomAt(nextScale, clientX, clientY) {
+    const container = getContainer();
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    const target = Math.min(maxScale(), Math.max(1, nextScale));
+    // Point under the cursor, as a fraction of the unzoomed layer (of its column)
+    const panes = paneCount();
+    const x = ((clientX - rect.left) / rect.width * panes) % 1;
+    const y = (clientY - rect.top) / rect.height;
+    const contentX = (x - panX) / scale;
+    const contentY = (y - panY) / scale;
+
+    scale = target;
+    panX = x - contentX * scale;
+    panY = y - contentY * scale;
+    apply();
+  }
+
+  function zoomAtCenter(nextScale) {
+    const container = getContainer();
+    if (!container) return;
+    const rect = container.getBoundingClientRect();
+    // Center of the (first) column
+    zoomAt(nextScale, rect.left + rect.width / paneCount() / 2, rect.top + rect.height / 2);
+  }
+
+  function fit() {
+    scale = 1;
+    panX = 0;
+    panY = 0;
+    apply();
+  }
+
+  // Loupe
+
+  function createLoupe() {
+    const el = document.createElement('div');
+    el.id = 'comparison-loupe';
+    el.className = 'fixed z-50 flex gap-1 rounded-[10px] border border-gray-200 bg-background p-1 shadow-lg pointer-events-none';
+    el.style.display = 'none';
+    el.innerHTML = ['Original', 'Protected'].map(label => `
+      <figure class="stack gap-0.5">
+        <canvas width="${LOUPE_SIZE}" height="${LOUPE_SIZE}" class="rounded" style="width: ${LOUPE_SIZE}px; height: ${LOUPE_SIZE}px;"></canvas>
+        <figcaption class="text-center text-xs text-subtle">${label}</figcaption>
+      </figure>`).join('');
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function hideLoupe() {
+    if (loupe) loupe.style.display = 'none';
+  }
+
+  /**
+   * Cursor position on an image's content box, as fractions
+   * @returns {{ u: number, v: number }|null} null outside the image
+   */
+  function imagePoint(img, clientX, clientY) {
+    if (!img.naturalWidth) return null;
+
+    // The bounding box includes the zoom transform; the image is contained inside it
+    const rect = img.getBoundingClientRect();
+    const fitScale = Math.min(rect.width / img.naturalWidth, rect.height / img.naturalHeight);
+    const contentWidth = img.naturalWidth * fitScale;
+    const contentHeight = img.naturalHeight * fitScale;
+    const u = (clientX - rect.left - (rect.width - contentWidth) / 2) / contentWidth;
+    const v = (clientY - rect.top - (rect.height - contentHeight) / 2) / contentHeight;
+
+    return u >= 0 && u <= 1 && v >= 0 && v <= 1 ? { u, v } : null;
+  }
+
+  function drawLoupe(canvas, img, { u, v }) {
+    const ctx = canvas.getContext('2d');
+    const region = LOUPE_SIZE / LOUPE_ZOOM;
+
+    ctx.fillStyle = '#f3f4f6';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!img || !img.naturalWidth) return;
+
+    // Whole source pixels so each one maps to a LOUPE_ZOOM-sized block
+    const sx = Math.floor(u * img.naturalWidth) - region / 2;
+    const sy = Math.floor(v * img.naturalHeight) - region / 2;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(img, sx, sy, region, region, 0, 0, canvas.width, canvas.height);
+
+    // Outline the pixel under the cursor
+    const center = region / 2 * LOUPE_ZOOM;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(center - 0.5, center - 0.5, LOUPE_ZOOM + 1, LOUPE_ZOOM + 1);
+  }
+
+  function updateLoupe(clientX, clientY) {
+    const protectedImg = document.getElementById('comparison-protected');
+    const originalImg = document.getElementById('comparison-original');
+    // Side by side, the cursor may be over either image
+    const point = (protectedImg && imagePoint(protectedImg, clientX, clientY)) ||
+      (originalImg && imagePoint(originalImg, clientX, clientY));
+    if (!point) {
+      hideLoupe();
+      return;
+    }
+
+    if (!loupe) loupe = createLoupe();
+    const [originalCanvas, protectedCanvas] = loupe.querySelectorAll('canvas');
+    drawLoupe(originalCanvas, originalImg, point);
+    drawLoupe(protectedCanvas, protectedImg, point);
+
+    loupe.style.display = 'flex';
+    // Beside the cursor, flipped when it would leave the viewport
+    const offset = 16;
+    const { width, height } = loupe.getBoundingClientRect();
+    const left = clientX + offset + width > window.innerWidth ? clientX - offset - width : clientX + offset;
+    const top = clientY + offset + height > window.innerHeight ? clientY - offset - height : clientY + offset;
+    loupe.style.left = `${Math.max(0, left)}px`;
+    loupe.style.top = `${Math.max(0, top)}px`;
+  }
+
+  function setLoupeEnabled(enabled) {
+    loupeEnabled = enabled;
+    const button = document.getElementById('comparison-loupe-toggle');
+    if (button) {
+      button.setAttribute('aria-pressed', String(enabled));
+      button.classList.toggle('artorize-btn-primary', enabled);
+      button.classList.toggle('artorize-btn-secondary', !enabled);
+    }
+    if (!enabled) hideLoupe();
+  }
+
+  // Pointer handling
+
+  function startPan(clientX, clientY) {
+    pan = { x: clientX, y: clientY, panX, panY, moved: false };
+    hideLoupe();
+  }
+
+  function movePan(clientX, clientY) {
+    const container = getContainer();
+    if (!pan || !container) return;
+
+    const dx = clientX - pan.x;
+    const dy = clientY - pan.y;
+    if (!pan.moved && Math.hypot(dx, dy) < PAN_THRESHOLD) return;
+
+    pan.moved = true;
+    panX = pan.panX + dx / (container.clientWidth / paneCount());
+    panY = pan.panY + dy / container.clientHeight;
+    apply();
+  }
+
+  function endPan() {
+    if (!pan) return;
+    suppressClick = pan.moved;
+    pan = null;
+    apply();
+  }
+
+  function touchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  }
+
+  function bindEvents(container) {
+    container.addEventListener('wheel', (e) => {
+      if (!active) return;
+      const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? container.clientHeight : 1;
+      const nextScale = Math.min(maxScale(), Math.max(1, scale * Math.exp(-e.deltaY * unit * WHEEL_SPEED)));
+      // At the limits the wheel scrolls the page as usual
+      if (nextScale === scale) return;
+      e.preventDefault();
+      zoomAt(nextScale, e.clientX, e.clientY);
+    }, { passive: false });
+
+    container.addEventListener('mousedown', (e) => {
+      suppressClick = false;
+      if (!active || e.button !== 0 || scale <= 1 || isOnSlider(e.target)) return;
+      e.preventDefault();
+      startPan(e.clientX, e.clientY);
+    });
+    window.addEventListener('mousemove', (e) => movePan(e.clientX, e.clientY));
+    window.addEventListener('mouseup', endPan);
+
+    // Runs before the slider's click-to-jump handler
+    container.addEventListener('click', (e) => {
+      if (!suppressClick) return;
+      suppressClick = false;
+      e.stopImmediatePropagation();
+      e.preventDefault();
+    }, true);
+
+    container.addEventListener('touchstart', (e) => {
+      if (!active) return;
+      if (e.touches.length === 2) {
+        pan = null;
+        pinch = { distance: touchDistance(e.touches), scale };
+        e.preventDefault();
+      } else if (e.touches.length === 1 && scale > 1 && !isOnSlider(e.target)) {
+        startPan(e.touches[0].clientX, e.touches[0].clientY);
+      }
+    }, { passive: false });
+
+    container.addEventListener('touchmove', (e) => {
+      if (pinch && e.touches.length === 2) {
+        e.preventDefault();
+        const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+        const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+        zoomAt(pinch.scale * touchDistance(e.touches) / pinch.distance, midX, midY);
+      } else if (pan && e.touches.length === 1) {
+        e.preventDefault();
+        movePan(e.touches[0].clientX, e.touches[0].clientY);
+      }
+    }, { passive: false });
+
+    container.addEventListener('touchend', (e) => {
+      if (e.touches.length < 2) pinch = null;
+      if (e.touches.length === 0) endPan();
+    });
+
+    container.addEventListener('mousemove', (e) => {
+      if (active && loupeEnabled && !pan) updateLoupe(e.clientX, e.clientY);
+    });
+    container.addEventListener('mouseleave', hideLoupe);
+
+    // Keep the view (stored as fractions) and the 1:1 limit in step with the layout
+    new ResizeObserver(() => {
+      if (active) apply();
+    }).observe(container);
+  }
+
+  /**
+   * Show the zoom controls for a new result, starting fitted to the container
+   */
+  function show() {
+    active = true;
+    fit();
+    const controls = document.getElementById('comparison-zoom-controls');
+    if (controls) controls.style.display = '';
+  }
+
+  /**
+   * Re-apply the current view after the layers were resized or rearranged
+   */
+  function refresh() {
+    if (active) apply();
+  }
+
+  /**
+   * Hide the zoom controls and clear any zoom from the layers
+   */
+  function reset() {
+    fit();
+    active = false;
+    pan = null;
+    pinch = null;
+    hideLoupe();
+    const controls = document.getElementById('comparison-zoom-controls');
+    if (controls) controls.style.display = 'none';
+  }
+
+  function init() {
+    const container = getContainer();
+    if (!container) return;
+    bindEvents(container);
+
+    const bind = (id, handler) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    };
+    bind('comparison-zoom-in', () => zoomAtCenter(scale * ZOOM_STEP));
+    bind('comparison-zoom-out', () => zoomAtCenter(scale / ZOOM_STEP));
+    bind('comparison-zoom-fit', fit);
+    bind('comparison-zoom-actual', () => zoomAtCenter(actualSizeScale()));
+    bind('comparison-loupe-toggle', () => setLoupeEnabled(!loupeEnabled));
+
+    // 1:1 depends on the image size, so refresh once a new result has loaded
+    const protectedImg = document.getElementById('comparison-protected');
+    if (protectedImg) {
+      protectedImg.addEventListener('load', () => {
+        if (active) apply();
+      });
+    }
+  }
+
+  // Expose for dashboard-v2.js
+  window.ComparisonZoom = {
+    init,
+    show,
+    refresh,
+    reset
+  };
+})();
@@ -40,6 +40,84 @@ const ArtorizeConfig = {
     BACKOFF_MULTIPLIER: 1.2
   },
 
+  // Push-based job progress (falls back to POLLING when unavailable)
+  PROGRESS_STREAM: {
+    ENABLED: true,
+
+    // 'sse' (GET /jobs/:id/events) or 'websocket' (/jobs/:id/ws)
+    TRANSPORT: 'sse',
+
+    // Reconnect attempts after a dropped stream before falling back to polling
+    MAX_RECONNECTS: 5,
+
+    // Initial reconnect delay (ms), doubled on each attempt
+    RECONNECT_DELAY: 1000,
+
+    // Fall back to polling when the stream is open but silent this long (ms)
+    STALL_TIMEOUT: 60000
+  },
+
+  // Automatic retries for submit, status, result and download requests
+  RETRY: {
+    ENABLED: true,
+
+    // Retries after the first failed attempt before giving up
+    MAX_RETRIES: 4,
+
+    // Initial backoff delay (ms), doubled on each retry. A Retry-After
+    // header from the router takes precedence.
+    BASE_DELAY: 2000,
+
+    // Longest single wait (ms). A Retry-After beyond this fails straight away
+    // (e.g. an hourly upload limit) instead of leaving the user waiting.
+    MAX_DELAY: 60000,
+
+    // Random spread applied to backoff delays (0.5 = +/-50%)
+    JITTER: 0.5,
+
+    // Retried HTTP statuses for status, result and download requests
+    RETRY_STATUSES: [408, 429, 502, 503, 504],
+
+    // Retried statuses for POST /protect: only answers that mean the job was
+    // not accepted (503 while the processor circuit breaker is open, 429 when
+    // a rate limit is hit). A 502/504/408 may come after the router already
+    // created the job, and a retry would submit and charge it twice.
+    SUBMIT_RETRY_STATUSES: [429, 503]
+  },
+
+  // Client-side request budget, mirroring the backend's per-IP limits. Only
+  // enforced once RateLimit-* / X-RateLimit-* response headers or a 429 report
+  // it; these limits fill in what the headers leave out. Set to null to disable.
+  RATE_LIMITS: {
+    // All requests: 300 per 15 minutes
+    GENERAL: { LIMIT: 300, WINDOW: 900000 },
+
+    // Submissions (POST /protect): 30 per hour
+    UPLOADS: { LIMIT: 30, WINDOW: 3600000 }
+  },
+
+  // Credit estimates shown before submitting. GET /credits/me takes
+  // precedence when it returns the plan's allowance or a price list. These
+  // prices are only a guide: submissions are never blocked on them.
+  CREDITS: {
+    // Full credits ring when the plan's allowance is unknown (free tier)
+    DEFAULT_MAX: 50,
+
+    PRICING: {
+      // Flat cost of every job
+      BASE: 1,
+
+      // Per layer, for each started PIXELS_PER_UNIT processed pixels
+      LAYERS: { fawkes: 2, photoguard: 2, mist: 2, nightshade: 3, c2pa: 0, watermark: 0 },
+
+      // 512×512, the router's default max_stage_dim
+      PIXELS_PER_UNIT: 262144,
+
+      // Stage size assumed when max_stage_dim is left empty
+      DEFAULT_STAGE_DIM: 512
+    }
+  },
+
   // Default protection options
   DEFAULTS: {
     include_hash_analysis: true,
@@ -58,7 +136,67 @@ const ArtorizeConfig = {
     MAX_FILE_SIZE: 268435456,
 
     // Accepted image MIME types
-    ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/tiff']
+    ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'],
+
+    // Resumable chunked uploads (used only when the router advertises support)
+    CHUNKED: {
+      ENABLED: true,
+
+      // Files at or above this size are uploaded in chunks (16MB)
+      THRESHOLD: 16777216,
+
+      // Chunk size when the router does not specify one (8MB)
+      CHUNK_SIZE: 8388608,
+
+      // Retries per chunk before the upload fails
+      MAX_RETRIES: 3,
+
+      // Initial retry delay (ms), doubled on each retry
+      RETRY_DELAY: 1000,
+
+      // How long the router keeps an unfinished upload session (ms) when
+      // GET /uploads/config has no session_ttl. Older sessions are not resumed.
+      SESSION_TTL: 86400000
+    },
+
+    // SHA-256 duplicate check against GET /artworks/check-exists before uploading
+    DUPLICATE_CHECK: {
+      ENABLED: true,
+
+      // Files at or above this size are hashed in a Web Worker (8MB)
+      WORKER_THRESHOLD: 8388608,
+
+      // Worker script, relative to the dashboard page
+      WORKER_URL: 'checksumWorker.js'
+    }
+  },
+
+  // SAC mask decoding and rendering
+  SAC: {
+    // Masks with at least this many pixels are fetched, parsed and rendered
+    // in a Web Worker (1 megapixel)
+    WORKER_THRESHOLD: 1048576,
+
+    // Worker script, relative to the dashboard page
+    WORKER_URL: 'sacWorker.js'
+  },
+
+  // PSNR / SSIM / CIEDE2000 between the original and protected images
+  METRICS: {
+    // Longest side the images are downscaled to before measuring
+    MAX_DIMENSION: 2048,
+
+    // Side of the square tiles the images are read back in
+    TILE_SIZE: 512,
+
+    // Worker script, relative to the dashboard page
+    WORKER_URL: 'metricsWorker.js'
+  },
+
+  // Batch upload queue
+  QUEUE: {
+    // Number of artworks uploaded and processed at the same time
+    CONCURRENCY: 2
   }
 };
 
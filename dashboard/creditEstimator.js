@@ -0,0 +1,240 @@
+/**
+ * Credit Estimator
+ * Prices the selected layers for the selected image(s) before submitting,
+ * shows "This will cost N credits" next to the Protect button, and stops a
+ * submission the balance can't cover. Only prices from GET /credits/me are
+ * binding; without them the configured ArtorizeConfig.CREDITS prices give a
+ * rough guide that never blocks a submission.
+ */
+
+(function() {
+  'use strict';
+
+  let account = null;  // Last GET /credits/me response
+  let images = [];     // { width, height } per selected image; null while unknown
+  let measureId = 0;   // Drops sizes of a superseded selection
+  let current = null;  // Last estimate
+
+  function creditsConfig() {
+    return window.ArtorizeConfig?.CREDITS || {};
+  }
+
+  /**
+   * Price list in use: the router's, else the configured one
+   * @returns {Object} { base, layers, pixelsPerUnit, defaultStageDim }
+   */
+  function pricing() {
+    const configured = creditsConfig().PRICING || {};
+    const remote = account && account.pricing ? account.pricing : {};
+    return {
+      base: remote.base ?? configured.BASE ?? 0,
+      layers: { ...(configured.LAYERS || {}), ...(remote.layers || {}) },
+      pixelsPerUnit: remote.pixels_per_unit || configured.PIXELS_PER_UNIT || 262144,
+      defaultStageDim: remote.default_max_stage_dim || configured.DEFAULT_STAGE_DIM || 512
+    };
+  }
+
+  /**
+   * Credits the current plan allows, used as the full credits ring
+   * @param {Object} [data] - GET /credits/me response
+   * @returns {number}
+   */
+  function planMax(data = account) {
+    const max = data && (data.plan?.max_credits ?? data.max_credits);
+    return Number.isFinite(max) && max > 0 ? max : (creditsConfig().DEFAULT_MAX || 50);
+  }
+
+  /**
+   * Cost of protecting images with a set of layers. Images are processed with
+   * their longest side capped at maxStageDim; an unknown size is priced as a
+   * full maxStageDim square.
+   * @param {string[]} protections - Selected layer keys
+   * @param {Array<Object|null>} sizes - { width, height } per image
+   * @param {number} maxStageDim - Longest processed side
+   * @param {Object} prices - From pricing()
+   * @returns {Object} { total, perImage, approximate }
+   */
+  function estimate(protections, sizes, maxStageDim, prices) {
+    const layerCost = protections.reduce((sum, key) => sum + (prices.layers[key] || 0), 0);
+
+    const perImage = sizes.map(size => {
+      let pixels = maxStageDim * maxStageDim;
+      if (size) {
+        const scale = Math.min(1, maxStageDim / Math.max(size.width, size.height));
+        pixels = Math.round(size.width * scale) * Math.round(size.height * scale);
+      }
+      const units = Math.max(1, Math.ceil(pixels / prices.pixelsPerUnit));
+      return prices.base + layerCost * units;
+    });
+
+    return {
+      total: perImage.reduce((sum, cost) => sum + cost, 0),
+      perImage,
+      approximate: sizes.some(size => !size)
+    };
+  }
+
+  function readStageDim(fallback) {
+    const input = document.querySelector('[data-advanced-option="max_stage_dim"]');
+    const value = input ? Number(input.value.trim()) : NaN;
+    return input && input.value.trim() && Number.isInteger(value) && value > 0 ? value : fallback;
+  }
+
+  function selectedLayers() {
+    return Array.from(document.querySelectorAll('.protection-card.selected'))
+      .map(card => card.getAttribute('data-protection'));
+  }
+
+  function balance() {
+    return account && Number.isFinite(account.balance) ? account.balance : null;
+  }
+
+  // True when the router has told us its prices
+  function hasRouterPricing() {
+    return Boolean(account && account.pricing && typeof account.pricing === 'object');
+  }
+
+  function render() {
+    const el = document.getElementById('credit-estimate');
+    if (!el) return;
+
+    if (!current) {
+      el.style.display = 'none';
+      el.textContent = '';
+      return;
+    }
+
+    const { total, approximate, guessed } = current;
+    const available = balance();
+    const prefix = guessed ? 'about ' : (approximate ? 'up to ' : '');
+    const amount = `${prefix}${total} credit${total === 1 ? '' : 's'}`;
+    const batch = images.length > 1 ? ` for ${images.length} images` : '';
+
+    if (!approximate && !guessed && available !== null && total > available) {
+      el.textContent = `Needs ${amount}${batch}, ${available} left`;
+      el.className = 'text-xs text-red-600 whitespace-nowrap';
+    } else {
+      el.textContent = `This will cost ${amount}${batch}`;
+      el.className = 'text-xs text-subtle whitespace-nowrap';
+    }
+    const notes = [];
+    if (images.length > 1) notes.push(`Per image: ${current.perImage.join(', ')}`);
+    if (guessed) notes.push('Estimated from default prices; the router charges the actual cost');
+    el.title = notes.join('\n');
+    el.style.display = '';
+  }
+
+  /**
+   * Recompute the estimate from the panel. Called when the layers, the stage
+   * size, the images or the balance change.
+   */
+  function update() {
+    const protections = selectedLayers();
+    if (images.length === 0 || protections.length === 0) {
+      current = null;
+    } else {
+      const prices = pricing();
+      current = {
+        ...estimate(protections, images, readStageDim(prices.defaultStageDim), prices),
+        guessed: !hasRouterPricing()
+      };
+    }
+    render();
+  }
+
+  function measureFile(file) {
+    return new Promise(resolve => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve({ width: img.naturalWidth, height: img.naturalHeight });
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        resolve(null);
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Use a new selection. Files are measured one at a time in the background;
+   * until then they are priced at the largest stage size.
+   * @param {Array<File|Object>} sources - Files, or { width, height } for images already loaded
+   */
+  async function setImages(sources) {
+    const id = ++measureId;
+    images = sources.map(source => (source instanceof Blob ? null : source));
+    update();
+
+    for (let i = 0; i < sources.length; i++) {
+      if (!(sources[i] instanceof Blob)) continue;
+      const size = await measureFile(sources[i]);
+      if (id !== measureId) return;
+      images[i] = size;
+      update();
+    }
+  }
+
+  /**
+   * Forget the selection (e.g. once it has been submitted)
+   */
+  function clear() {
+    measureId++;
+    images = [];
+    update();
+  }
+
+  /**
+   * Take the balance, plan and prices from a GET /credits/me response
+   * @param {Object} data
+   */
+  function setAccount(data) {
+    account = data || null;
+    update();
+  }
+
+  /**
+   * Whether the balance covers the current selection. Passes when the router
+   * sent no prices, or the balance or an image size is still unknown, leaving
+   * the decision to the router.
+   * @returns {{ ok: boolean, message: string|null }}
+   */
+  function check() {
+    update();
+    const available = balance();
+    if (!current || current.guessed || current.approximate || available === null || current.total <= available) {
+      return { ok: true, message: null };
+    }
+    return {
+      ok: false,
+      message: `Not enough credits: this needs ${current.total} and you have ${available}. Remove layers or lower the max stage dimension.`
+    };
+  }
+
+  function init() {
+    // max_stage_dim lives in the Advanced section
+    const advanced = document.getElementById('advanced-options');
+    if (advanced) {
+      advanced.addEventListener('input', update);
+      advanced.addEventListener('change', update);
+      // Reset fills the inputs without input events
+      advanced.addEventListener('click', update);
+    }
+    update();
+  }
+
+  // Expose for dashboard-v2.js
+  window.CreditEstimator = {
+    init,
+    update,
+    setImages,
+    clear,
+    setAccount,
+    check,
+    planMax,
+    estimate,
+    pricing
+  };
+})();
@@ -0,0 +1,148 @@
+/**
+ * Credits Ledger
+ *
+ * Turns GET /credits/transactions entries into ledger rows: normalized
+ * transactions, date-range filtering, monthly totals and CSV export. Dates
+ * are grouped and filtered in the browser's local time. There are no DOM
+ * dependencies; the billing view lives in billing.js.
+ */
+
+const CreditsLedger = (function() {
+  const TYPE_LABELS = {
+    debit: 'Protection',
+    top_up: 'Top-up',
+    refund: 'Refund',
+    grant: 'Plan allowance',
+    adjustment: 'Adjustment'
+  };
+
+  /**
+   * One transaction from the router, with debits always negative
+   * @param {Object} raw - Entry from GET /credits/transactions
+   * @returns {Object|null} { id, type, amount, balanceAfter, jobId, artworkId, artworkTitle, description, createdAt },
+   *   or null for an entry without a valid created_at (it could not be dated, grouped or exported)
+   */
+  function normalize(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const time = raw.created_at ? new Date(raw.created_at).getTime() : NaN;
+    if (!Number.isFinite(time)) return null;
+
+    const type = TYPE_LABELS[raw.type] ? raw.type : 'adjustment';
+    const amount = Number(raw.amount) || 0;
+    return {
+      id: raw.id || raw._id || null,
+      type,
+      amount: type === 'debit' ? -Math.abs(amount) : amount,
+      balanceAfter: Number.isFinite(raw.balance_after) ? raw.balance_after : null,
+      jobId: raw.job_id || null,
+      artworkId: raw.artwork_id || null,
+      artworkTitle: raw.artwork_title || null,
+      description: raw.description || '',
+      createdAt: new Date(time).toISOString()
+    };
+  }
+
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  /**
+   * Local calendar date of a timestamp
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  function localDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Transactions made between two local dates, both inclusive
+   * @param {Object[]} transactions - normalize() output
+   * @param {string} [from] - 'YYYY-MM-DD', or empty for no lower bound
+   * @param {string} [to] - 'YYYY-MM-DD', or empty for no upper bound
+   * @returns {Object[]}
+   */
+  function filterByDate(transactions, from, to) {
+    return transactions.filter(transaction => {
+      const day = localDate(transaction.createdAt);
+      return (!from || day >= from) && (!to || day <= to);
+    });
+  }
+
+  /**
+   * Credits used and added per month, newest month first
+   * @param {Object[]} transactions - normalize() output
+   * @returns {Object[]} { month: 'YYYY-MM', used, added, topUps, net, jobs }
+   */
+  function monthlyTotals(transactions) {
+    const months = new Map();
+    transactions.forEach(transaction => {
+      const month = localDate(transaction.createdAt).slice(0, 7);
+      if (!months.has(month)) {
+        months.set(month, { month, used: 0, added: 0, topUps: 0, net: 0, jobs: 0 });
+      }
+      const total = months.get(month);
+      if (transaction.amount < 0) {
+        total.used -= transaction.amount;
+      } else {
+        total.added += transaction.amount;
+      }
+      if (transaction.type === 'top_up') total.topUps += transaction.amount;
+      if (transaction.type === 'debit') total.jobs++;
+      total.net += transaction.amount;
+    });
+    return Array.from(months.values()).sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  function csvRow(values) {
+    return values.map(value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Keep spreadsheets from evaluating free text as a formula
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+
+  /**
+   * @param {Object[]} transactions - normalize() output
+   * @returns {string} One row per transaction, oldest first
+   */
+  function toCSV(transactions) {
+    const lines = [csvRow(['date', 'type', 'amount', 'balance_after', 'job_id', 'artwork_id', 'artwork_title', 'description'])];
+    transactions
+      .slice()
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(transaction => {
+        lines.push(csvRow([
+          new Date(transaction.createdAt).toISOString(),
+          transaction.type,
+          transaction.amount,
+          transaction.balanceAfter,
+          transaction.jobId,
+          transaction.artworkId,
+          transaction.artworkTitle,
+          transaction.description
+        ]));
+      });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    TYPE_LABELS,
+    normalize,
+    localDate,
+    filterByDate,
+    monthlyTotals,
+    toCSV
+  };
+})();
+
+// Make ledger helpers available globally
+if (typeof window !== 'undefined') {
+  window.CreditsLedger = CreditsLedger;
+}
+
+// Export for ES modules (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CreditsLedger;
+}
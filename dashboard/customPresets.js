@@ -0,0 +1,627 @@
+/**
+ * Custom Protection Presets
+ * Named presets capturing the selected layers, their strengths, the watermark
+ * strategy and advanced options. Presets sync to the user's account through
+ * the router when it supports it, and live in localStorage otherwise.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY_PREFIX = 'artorize-presets';
+  const EXPORT_VERSION = 1;
+  const MAX_NAME_LENGTH = 40;
+
+  let storageKey = STORAGE_KEY_PREFIX;
+  let presets = [];
+  let defaultPresetId = null;
+  let accountSync = false; // true once the router has answered GET /users/me/presets
+  let syncedIds = [];       // Preset IDs last confirmed on the account
+
+  const btnClass = 'artorize-btn artorize-btn-ghost artorize-btn-sm';
+
+  function routerUrl() {
+    return window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
+  }
+
+  function createId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function notify(message, type = 'info') {
+    if (typeof window.showStatus === 'function') {
+      window.showStatus(message, type);
+    } else {
+      console.log(`[Presets] ${message}`);
+    }
+  }
+
+  // ---- Storage -------------------------------------------------------------
+
+  function loadLocal() {
+    try {
+      const data = JSON.parse(localStorage.getItem(storageKey)) || {};
+      return {
+        presets: Array.isArray(data.presets) ? data.presets : [],
+        default_preset_id: data.default_preset_id || null,
+        synced_ids: Array.isArray(data.synced_ids) ? data.synced_ids : []
+      };
+    } catch (e) {
+      return { presets: [], default_preset_id: null, synced_ids: [] };
+    }
+  }
+
+  function saveLocal() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ presets, default_preset_id: defaultPresetId, synced_ids: syncedIds }));
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode)
+    }
+  }
+
+  /**
+   * Load presets from the account, falling back to localStorage when the
+   * router has no preset endpoint or cannot be reached. Presets saved on this
+   * device while the account could not be reached are added to the account
+   * list and uploaded; presets the account used to have are not brought back.
+   */
+  async function load() {
+    const local = loadLocal();
+
+    try {
+      const response = await fetch(`${routerUrl()}/users/me/presets`, {
+        method: 'GET',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      accountSync = true;
+      presets = normalizeList(data.presets || []);
+      defaultPresetId = data.default_preset_id || null;
+      syncedIds = presets.map(preset => preset.id);
+
+      const knownIds = new Set([...syncedIds, ...local.synced_ids]);
+      const localOnly = normalizeList(local.presets).filter(preset => !knownIds.has(preset.id));
+      if (localOnly.length === 0) {
+        saveLocal();
+        return;
+      }
+
+      console.log(`[Presets] Adding ${localOnly.length} preset(s) saved on this device to the account`);
+      presets.push(...localOnly);
+      if (!defaultPresetId && localOnly.some(preset => preset.id === local.default_preset_id)) {
+        defaultPresetId = local.default_preset_id;
+      }
+      await persist();
+      return;
+    } catch (error) {
+      accountSync = false;
+      console.log('[Presets] Account sync unavailable, using local presets:', error.message);
+    }
+
+    syncedIds = local.synced_ids;
+    presets = normalizeList(local.presets);
+    defaultPresetId = local.default_preset_id;
+  }
+
+  /**
+   * Persist the current list locally and, when available, to the account
+   */
+  async function persist() {
+    if (defaultPresetId && !presets.some(preset => preset.id === defaultPresetId)) {
+      defaultPresetId = null;
+    }
+    saveLocal();
+    render();
+
+    if (!accountSync) return;
+
+    const sentIds = presets.map(preset => preset.id);
+    try {
+      const response = await fetch(`${routerUrl()}/users/me/presets`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ presets, default_preset_id: defaultPresetId })
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      syncedIds = sentIds;
+      saveLocal();
+    } catch (error) {
+      console.error('[Presets] Account sync failed:', error);
+      notify('Preset saved on this device only - account sync failed', 'error');
+    }
+  }
+
+  // ---- Validation ----------------------------------------------------------
+
+  /**
+   * Validate a preset from storage or an import file
+   * @param {Object} raw - Candidate preset
+   * @returns {{ preset: Object|null, error: string|null }}
+   */
+  function validatePreset(raw) {
+    if (!raw || typeof raw !== 'object') {
+      return { preset: null, error: 'Preset must be an object' };
+    }
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name) {
+      return { preset: null, error: 'Preset name is required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { preset: null, error: `Preset name must be ${MAX_NAME_LENGTH} characters or less` };
+    }
+
+    const protections = Array.isArray(raw.protections) ? raw.protections : [];
+    const unknown = protections.filter(protection => !ProtectionRegistry.isKnownLayer(protection));
+    if (unknown.length > 0) {
+      return { preset: null, error: `"${name}" uses unknown protection layers: ${unknown.join(', ')}` };
+    }
+
+    let watermarkStrategy = raw.watermark_strategy || null;
+    if (watermarkStrategy && !ProtectionRegistry.isKnownWatermarkStrategy(watermarkStrategy)) {
+      return { preset: null, error: `"${name}" uses unknown watermark strategy: ${watermarkStrategy}` };
+    }
+
+    let advanced = {};
+    if (raw.advanced && window.AdvancedOptions) {
+      const result = window.AdvancedOptions.sanitize(raw.advanced);
+      if (result.errors.length > 0) {
+        return { preset: null, error: `"${name}": ${result.errors[0]}` };
+      }
+      advanced = result.options;
+    }
+
+    const strength = {};
+    if (raw.strength && typeof raw.strength === 'object') {
+      for (const [layer, value] of Object.entries(raw.strength)) {
+        if (!ProtectionRegistry.hasStrength(layer) || ProtectionRegistry.strengthEpsilon(value) === null) {
+          return { preset: null, error: `"${name}" has an invalid strength for ${layer}` };
+        }
+        strength[layer] = value;
+      }
+    }
+
+    return {
+      preset: {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+        name,
+        protections: Array.from(new Set(protections)),
+        strength,
+        watermark_strategy: watermarkStrategy,
+        advanced
+      },
+      error: null
+    };
+  }
+
+  // Stored lists were validated when saved; drop anything that no longer fits
+  function normalizeList(list) {
+    return list
+      .map(raw => validatePreset(raw))
+      .filter(result => {
+        if (result.error) console.warn('[Presets] Ignoring stored preset:', result.error);
+        return result.preset;
+      })
+      .map(result => result.preset);
+  }
+
+  // ---- Operations ----------------------------------------------------------
+
+  /**
+   * Snapshot the current config panel
+   * @returns {{ settings: Object|null, error: string|null }}
+   */
+  function captureCurrent() {
+    const protections = Array.from(document.querySelectorAll('.protection-card.selected'))
+      .map(card => card.getAttribute('data-protection'));
+    if (protections.length === 0) {
+      return { settings: null, error: 'Select at least one protection layer first' };
+    }
+
+    let advanced = {};
+    if (window.AdvancedOptions) {
+      const result = window.AdvancedOptions.collect();
+      if (result.errors.length > 0) {
+        return { settings: null, error: result.errors[0] };
+      }
+      advanced = result.options;
+    }
+
+    let strength = {};
+    if (window.ProtectionStrength) {
+      const result = window.ProtectionStrength.collect(protections);
+      if (result.errors.length > 0) {
+        return { settings: null, error: result.errors[0] };
+      }
+      const current = window.ProtectionStrength.getStrengths();
+      strength = Object.fromEntries(protections
+        .filter(layer => ProtectionRegistry.hasStrength(layer) && current[layer] !== undefined)
+        .map(layer => [layer, current[layer]]));
+    }
+
+    return {
+      settings: {
+        protections,
+        strength,
+        watermark_strategy: document.getElementById('watermark-strategy')?.value || null,
+        advanced
+      },
+      error: null
+    };
+  }
+
+  function saveCurrentAs(name) {
+    const { settings, error } = captureCurrent();
+    if (error) {
+      notify(error, 'error');
+      return false;
+    }
+
+    const result = validatePreset({ name, ...settings });
+    if (result.error) {
+      notify(result.error, 'error');
+      return false;
+    }
+
+    presets.push(result.preset);
+    persist();
+    notify(`Saved preset "${result.preset.name}"`, 'success');
+    return true;
+  }
+
+  function updateFromCurrent(id) {
+    const preset = presets.find(item => item.id === id);
+    if (!preset) return;
+
+    const { settings, error } = captureCurrent();
+    if (error) {
+      notify(error, 'error');
+      return;
+    }
+
+    Object.assign(preset, settings);
+    persist();
+    notify(`Updated preset "${preset.name}"`, 'success');
+  }
+
+  function rename(id, name) {
+    const preset = presets.find(item => item.id === id);
+    if (!preset) return false;
+
+    const result = validatePreset({ ...preset, name });
+    if (result.error) {
+      notify(result.error, 'error');
+      return false;
+    }
+
+    preset.name = result.preset.name;
+    persist();
+    return true;
+  }
+
+  function remove(id) {
+    presets = presets.filter(item => item.id !== id);
+    persist();
+  }
+
+  function move(id, offset) {
+    const from = presets.findIndex(item => item.id === id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= presets.length) return;
+
+    const [preset] = presets.splice(from, 1);
+    presets.splice(to, 0, preset);
+    persist();
+  }
+
+  function toggleDefault(id) {
+    defaultPresetId = defaultPresetId === id ? null : id;
+    persist();
+  }
+
+  /**
+   * Apply a custom preset to the config panel
+   * @param {string} id - Preset ID
+   */
+  function apply(id) {
+    const preset = presets.find(item => item.id === id);
+    if (!preset) return;
+
+    if (typeof window.setSelectedProtections === 'function') {
+      window.setSelectedProtections(preset.protections);
+    }
+    if (window.ProtectionStrength) {
+      window.ProtectionStrength.apply(preset.strength);
+    }
+    if (preset.watermark_strategy && typeof window.setWatermarkStrategy === 'function') {
+      window.setWatermarkStrategy(preset.watermark_strategy);
+    }
+    if (window.AdvancedOptions) {
+      window.AdvancedOptions.apply(preset.advanced);
+    }
+    // The preset may change max_stage_dim without an input event
+    if (window.CreditEstimator) {
+      window.CreditEstimator.update();
+    }
+    if (typeof window.highlightPresetButton === 'function') {
+      window.highlightPresetButton(`custom:${preset.id}`);
+    }
+  }
+
+  /**
+   * Apply the user's default preset, if one is set
+   * @returns {boolean} True if a default preset was applied
+   */
+  function applyDefault() {
+    if (!defaultPresetId || !presets.some(item => item.id === defaultPresetId)) {
+      return false;
+    }
+    apply(defaultPresetId);
+    return true;
+  }
+
+  function exportPresets() {
+    const data = {
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      default_preset_id: defaultPresetId,
+      presets
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'artorize-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import presets from a JSON export (or a bare array of presets).
+   * Imported presets are appended; the file is rejected if any entry is invalid.
+   * @param {File} file - JSON file chosen by the user
+   */
+  async function importPresets(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      notify('Import failed: the file is not valid JSON', 'error');
+      return;
+    }
+
+    const list = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(list) || list.length === 0) {
+      notify('Import failed: no presets found in the file', 'error');
+      return;
+    }
+
+    const existingIds = new Set(presets.map(item => item.id));
+    const imported = [];
+    for (const raw of list) {
+      const result = validatePreset(raw);
+      if (result.error) {
+        notify(`Import failed: ${result.error}`, 'error');
+        return;
+      }
+      if (existingIds.has(result.preset.id)) {
+        result.preset.id = createId();
+      }
+      existingIds.add(result.preset.id);
+      imported.push({ original: raw.id, preset: result.preset });
+    }
+
+    presets.push(...imported.map(entry => entry.preset));
+
+    // Keep the file's default only if the user has none yet
+    if (!defaultPresetId && data.default_preset_id) {
+      const match = imported.find(entry => entry.original === data.default_preset_id);
+      if (match) defaultPresetId = match.preset.id;
+    }
+
+    await persist();
+    notify(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`, 'success');
+  }
+
+  // ---- UI ------------------------------------------------------------------
+
+  function render() {
+    const list = document.getElementById('custom-presets-list');
+    if (list) {
+      list.innerHTML = presets.map(preset => `
+        <button type="button" class="preset-btn h-7 px-2.5 text-xs font-medium rounded-lg border border-gray-200 bg-background text-subtle hover:border-gray-300 hover:text-foreground transition-all duration-150 cursor-pointer"
+                data-preset="custom:${preset.id}" data-custom-preset="${preset.id}" title="${preset.id === defaultPresetId ? 'Default preset' : 'Custom preset'}">
+          ${preset.id === defaultPresetId ? '&#9733; ' : ''}${window.escapeHtml(preset.name)}
+        </button>
+      `).join('');
+    }
+
+    const modal = document.getElementById('presets-modal');
+    if (modal && modal.style.display !== 'none') {
+      renderManageList();
+    }
+  }
+
+  function renderManageList() {
+    const body = document.getElementById('presets-modal-list');
+    if (!body) return;
+
+    if (presets.length === 0) {
+      body.innerHTML = '<p style="margin: 0; font-size: 14px; color: var(--art-text-subtle, #6b7280);">No custom presets yet. Configure the panel and use "Save preset".</p>';
+      return;
+    }
+
+    body.innerHTML = presets.map((preset, index) => `
+      <div data-preset-row="${preset.id}" style="display: flex; align-items: center; gap: 6px; padding: 8px 0; border-bottom: 1px solid var(--art-border-subtle, #e5e7eb);">
+        <input type="text" class="artorize-input" data-preset-name maxlength="${MAX_NAME_LENGTH}" aria-label="Preset name" style="flex: 1; min-width: 0;">
+        <span style="font-size: 12px; color: var(--art-text-subtle, #6b7280); white-space: nowrap;">${preset.protections.length} layer${preset.protections.length === 1 ? '' : 's'}</span>
+        <button type="button" class="${btnClass}" data-preset-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+        <button type="button" class="${btnClass}" data-preset-action="down" title="Move down" ${index === presets.length - 1 ? 'disabled' : ''}>&darr;</button>
+        <button type="button" class="${btnClass}" data-preset-action="default" title="${preset.id === defaultPresetId ? 'Unset default' : 'Set as default'}" aria-pressed="${preset.id === defaultPresetId}">${preset.id === defaultPresetId ? '&#9733;' : '&#9734;'}</button>
+        <button type="button" class="${btnClass}" data-preset-action="update" title="Replace with the current panel settings">Update</button>
+        <button type="button" class="${btnClass}" data-preset-action="delete" title="Delete">&times;</button>
+      </div>
+    `).join('');
+
+    // Names are assigned as properties so no user input is parsed as HTML
+    presets.forEach(preset => {
+      const input = body.querySelector(`[data-preset-row="${preset.id}"] [data-preset-name]`);
+      if (input) input.value = preset.name;
+    });
+  }
+
+  function createManageModal() {
+    const modal = document.createElement('div');
+    modal.id = 'presets-modal';
+    modal.className = 'artorize-modal-backdrop';
+    modal.style.cssText = 'position: fixed; inset: 0; z-index: 9999; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); backdrop-filter: blur(4px);';
+
+    modal.innerHTML = `
+      <div class="artorize-modal-content" role="dialog" aria-modal="true" aria-labelledby="presets-modal-title" style="width: min(560px, calc(100vw - 48px)); max-height: calc(100vh - 96px); display: flex; flex-direction: column;">
+        <div class="artorize-modal-header" style="display: flex; align-items: center; gap: 12px; padding: 20px 24px; border-bottom: 1px solid var(--art-border-subtle, #e5e7eb);">
+          <h2 class="artorize-modal-title" id="presets-modal-title" style="flex: 1; font-size: 20px; font-weight: 600; margin: 0;">Presets</h2>
+          <span id="presets-modal-sync" style="font-size: 12px; color: var(--art-text-subtle, #6b7280);"></span>
+        </div>
+        <div class="artorize-modal-body" id="presets-modal-list" style="flex: 1; overflow-y: auto; padding: 8px 24px 16px;"></div>
+        <div class="artorize-modal-footer" style="display: flex; align-items: center; gap: 8px; padding: 16px 24px; border-top: 1px solid var(--art-border-subtle, #e5e7eb); background: var(--art-surface-subtle, #f9fafb);">
+          <button type="button" class="artorize-btn artorize-btn-secondary artorize-btn-sm" data-preset-action="import">Import</button>
+          <button type="button" class="artorize-btn artorize-btn-secondary artorize-btn-sm" data-preset-action="export">Export</button>
+          <input type="file" id="presets-import-input" accept="application/json,.json" style="display: none;">
+          <span style="flex: 1;"></span>
+          <button type="button" class="artorize-btn artorize-btn-primary artorize-btn-sm" data-preset-action="close">Done</button>
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeManageModal();
+        return;
+      }
+      const button = e.target.closest('[data-preset-action]');
+      if (!button) return;
+
+      const row = button.closest('[data-preset-row]');
+      const id = row && row.getAttribute('data-preset-row');
+
+      switch (button.getAttribute('data-preset-action')) {
+        case 'up':
+          move(id, -1);
+          break;
+        case 'down':
+          move(id, 1);
+          break;
+        case 'default':
+          toggleDefault(id);
+          break;
+        case 'update':
+          updateFromCurrent(id);
+          break;
+        case 'delete': {
+          const preset = presets.find(item => item.id === id);
+          if (preset && confirm(`Delete preset "${preset.name}"?`)) {
+            remove(id);
+          }
+          break;
+        }
+        case 'import':
+          document.getElementById('presets-import-input').click();
+          break;
+        case 'export':
+          exportPresets();
+          break;
+        case 'close':
+          closeManageModal();
+          break;
+      }
+    });
+
+    // Rename when a name field loses focus or Enter is pressed
+    modal.addEventListener('change', (e) => {
+      if (e.target.matches('[data-preset-name]')) {
+        const id = e.target.closest('[data-preset-row]').getAttribute('data-preset-row');
+        if (!rename(id, e.target.value)) {
+          renderManageList();
+        }
+      } else if (e.target.id === 'presets-import-input' && e.target.files[0]) {
+        importPresets(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeManageModal();
+    });
+
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  function openManageModal() {
+    const modal = document.getElementById('presets-modal') || createManageModal();
+    modal.style.display = 'flex';
+
+    const syncLabel = document.getElementById('presets-modal-sync');
+    if (syncLabel) {
+      syncLabel.textContent = accountSync ? 'Synced to your account' : 'Stored on this device';
+    }
+
+    renderManageList();
+  }
+
+  function closeManageModal() {
+    const modal = document.getElementById('presets-modal');
+    if (modal) modal.style.display = 'none';
+  }
+
+  /**
+   * Load the user's presets and wire the preset row
+   * @param {Object|null} user - Authenticated user (local presets are stored per user ID)
+   */
+  async function init(user) {
+    const userId = user && (user.id || user._id || user.email);
+    storageKey = userId ? `${STORAGE_KEY_PREFIX}:${userId}` : STORAGE_KEY_PREFIX;
+
+    const list = document.getElementById('custom-presets-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-custom-preset]');
+        if (button) apply(button.getAttribute('data-custom-preset'));
+      });
+    }
+
+    const saveBtn = document.getElementById('custom-presets-save');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => {
+        const name = prompt('Preset name');
+        if (name !== null) saveCurrentAs(name);
+      });
+    }
+
+    const manageBtn = document.getElementById('custom-presets-manage');
+    if (manageBtn) {
+      manageBtn.addEventListener('click', openManageModal);
+    }
+
+    await load();
+    render();
+  }
+
+  // Expose for dashboard-v2.js
+  window.CustomPresets = {
+    init,
+    apply,
+    applyDefault,
+    openManageModal
+  };
+})();
@@ -6,20 +6,18 @@ console.log('[Dashboard Enhancements] Version: 1.0.2 | Last Updated: 2025-12-12
 // State management
 const selectedProtections = new Set();
 
-// Protection name mapping
+// Protection name mapping (progress tracker step names), built from the registry
 const protectionNames = {
-  'upload': 'Uploading Artwork',
-  'fawkes': 'Face Privacy',
-  'photoguard': 'Edit Guard',
-  'mist': 'Training Block',
-  'nightshade': 'Data Poison',
-  'c2pa': 'Proof of Origin',
-  'watermark': 'Visible Mark'
+  [ProtectionRegistry.UPLOAD_STEP.key]: ProtectionRegistry.UPLOAD_STEP.name
 };
+ProtectionRegistry.LAYERS.forEach(layer => {
+  protectionNames[layer.key] = layer.name;
+});
 
 // Toggle protection card selection
 function toggleProtection(card) {
   const protection = card.getAttribute('data-protection');
+  if (!ProtectionRegistry.isKnownLayer(protection)) return;
 
   if (card.classList.contains('selected')) {
     card.classList.remove('selected');
@@ -29,70 +27,74 @@ function toggleProtection(card) {
     selectedProtections.add(protection);
   }
 
+  if (window.ProtectionStrength) window.ProtectionStrength.refresh();
+  if (window.CreditEstimator) window.CreditEstimator.update();
   updateProgressTracker();
 }
 
-// Preset definitions
-const presets = {
-  'lite': ['nightshade'],
-  'partial': ['nightshade', 'mist', 'c2pa'],
-  'full': ['fawkes', 'photoguard', 'mist', 'nightshade', 'c2pa', 'watermark']
-};
-
 // Apply a protection preset
 function applyPreset(presetName) {
-  const protections = presets[presetName];
-  if (!protections) return;
+  const preset = ProtectionRegistry.PRESETS[presetName];
+  if (!preset) return;
+
+  setSelectedProtections(preset.protections);
+  highlightPresetButton(presetName);
+  setWatermarkStrategy(preset.watermark_strategy);
+
+  updateProgressTracker();
+}
 
+// Select exactly the given protection cards
+function setSelectedProtections(protections) {
   // Clear all current selections
   document.querySelectorAll('.protection-card.selected').forEach(card => {
     card.classList.remove('selected');
   });
   selectedProtections.clear();
 
-  // Select the preset's protections
   protections.forEach(protection => {
     const card = document.querySelector(`.protection-card[data-protection="${protection}"]`);
-    if (card) {
+    if (card && ProtectionRegistry.isKnownLayer(protection)) {
       card.classList.add('selected');
       selectedProtections.add(protection);
     }
   });
 
-  // Update preset button highlights
+  if (window.ProtectionStrength) window.ProtectionStrength.refresh();
+  if (window.CreditEstimator) window.CreditEstimator.update();
+  updateProgressTracker();
+}
+
+// Highlight the active preset button (built-in or custom); null clears the highlight
+function highlightPresetButton(presetName) {
   document.querySelectorAll('.preset-btn').forEach(btn => {
     btn.classList.remove('border-foreground', 'bg-gray-50', 'text-foreground');
     btn.classList.add('border-gray-200', 'text-subtle');
   });
+  if (!presetName) return;
+
   const activePreset = document.querySelector(`.preset-btn[data-preset="${presetName}"]`);
   if (activePreset) {
     activePreset.classList.add('border-foreground', 'bg-gray-50', 'text-foreground');
     activePreset.classList.remove('border-gray-200', 'text-subtle');
   }
+}
 
-  // Set watermark strategy based on preset
-  if (presetName === 'lite' || presetName === 'partial') {
-    selectWatermarkStrategy('invisible-watermark', 'Invisible Watermark');
-  } else if (presetName === 'full') {
-    selectWatermarkStrategy('visible-watermark', 'Visible Watermark');
+// Select a watermark strategy by value, taking its label from the hidden select
+function setWatermarkStrategy(value) {
+  const hiddenSelect = document.getElementById('watermark-strategy');
+  const option = hiddenSelect && Array.from(hiddenSelect.options).find(opt => opt.value === value);
+  if (option) {
+    selectWatermarkStrategy(option.value, option.textContent.trim());
   }
-
-  updateProgressTracker();
 }
 
 // Update progress tracker based on selected protections
 function updateProgressTracker() {
   const container = document.getElementById('progress-tracker-content');
 
-  // Check if watermark is selected
-  const watermarkSelect = document.getElementById('watermark-strategy');
-  const hasWatermark = watermarkSelect && watermarkSelect.value;
-
-  // Build array of selected protections
-  const protections = Array.from(selectedProtections);
-  if (hasWatermark) {
-    protections.push('watermark');
-  }
+  // Build array of selected protections in registry (processing) order
+  const protections = ProtectionRegistry.ordered(Array.from(selectedProtections));
 
   if (protections.length === 0) {
     // Show empty state
@@ -143,7 +145,8 @@ function updateProgressTracker() {
 // Usage: updateProgressStep('fawkes', 'in-progress') - start processing
 //        updateProgressStep('fawkes', 'success', '2.5s') - mark complete
 //        updateProgressStep('fawkes', 'error', 'Failed') - mark failed
-// Supported status: 'pending', 'in-progress'/'processing', 'success'/'completed', 'error'/'failed'
+//        updateProgressStep('fawkes', 'cancelled') - job was cancelled before this step finished
+// Supported status: 'pending', 'in-progress'/'processing', 'success'/'completed', 'error'/'failed', 'cancelled'
 function updateProgressStep(protection, status, time) {
   // Target only progress tracker items, not protection cards
   const container = document.getElementById('progress-tracker-content');
@@ -187,6 +190,13 @@ function updateProgressStep(protection, status, time) {
     </svg>`;
     timeHTML = `<div class="text-mono text-normal text-small float-right text-xs text-red-600">${time || 'Failed'}</div>`;
     step.setAttribute('data-conclusion', 'failure');
+  } else if (status === 'cancelled') {
+    iconHTML = `<svg class="mr-3 flex-shrink-0 ml-1 text-gray-400" viewBox="0 0 16 16" version="1.1" width="16" height="16" aria-hidden="true">
+      <path d="M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM4.75 7.25h6.5a.75.75 0 0 1 0 1.5h-6.5a.75.75 0 0 1 0-1.5Z" fill="currentColor"></path>
+    </svg>`;
+    timeHTML = `<div class="text-mono text-normal text-small float-right text-xs text-subtle">${time || 'Cancelled'}</div>`;
+    textClass = 'text-subtle line-through';
+    step.setAttribute('data-conclusion', 'cancelled');
   } else {
     // pending
     iconHTML = `<svg class="mr-3 flex-shrink-0 ml-1" height="16" viewBox="0 0 16 16" version="1.1" width="16" aria-hidden="true">
@@ -204,6 +214,15 @@ function updateProgressStep(protection, status, time) {
   `;
 }
 
+// Mark every step that has not finished yet as cancelled
+function cancelPendingProgressSteps() {
+  const container = document.getElementById('progress-tracker-content');
+  if (!container) return;
+
+  container.querySelectorAll('.CheckStep[data-conclusion="pending"], .CheckStep[data-conclusion="in-progress"]')
+    .forEach(step => updateProgressStep(step.getAttribute('data-protection'), 'cancelled'));
+}
+
 // Gallery state
 let galleryArtworksData = [];
 let gallerySearchDebounce = null;
@@ -405,7 +424,7 @@ async function loadGalleryArtworks() {
 
   try {
     const routerUrl = window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
-    const response = await fetch(`${routerUrl}/artworks/me`, {
+    const response = await RateLimits.fetch(`${routerUrl}/artworks/me`, {
       method: 'GET',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' }
@@ -553,7 +572,7 @@ function galleryCloseDownloadMenu(artworkId) {
 async function galleryDownload(artworkId, variant) {
   try {
     const routerUrl = window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
-    const response = await fetch(`${routerUrl}/artworks/${artworkId}?variant=${variant}`, {
+    const response = await RateLimits.fetch(`${routerUrl}/artworks/${artworkId}?variant=${variant}`, {
       method: 'GET',
       credentials: 'include'
     });
@@ -584,7 +603,7 @@ async function galleryRename(artworkId, currentTitle) {
 
   try {
     const routerUrl = window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
-    const response = await fetch(`${routerUrl}/artworks/${artworkId}`, {
+    const response = await RateLimits.fetch(`${routerUrl}/artworks/${artworkId}`, {
       method: 'PATCH',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' },
@@ -622,7 +641,7 @@ async function galleryDelete(artworkId) {
 
   try {
     const routerUrl = window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
-    const response = await fetch(`${routerUrl}/artworks/${artworkId}`, {
+    const response = await RateLimits.fetch(`${routerUrl}/artworks/${artworkId}`, {
       method: 'DELETE',
       credentials: 'include'
     });
@@ -813,7 +832,7 @@ async function loadShareArtworks() {
   if (emptyEl) emptyEl.style.display = 'none';
 
   try {
-    const response = await fetch(`${window.ArtorizeConfig?.ROUTER_URL || ''}/artworks/me`, {
+    const response = await RateLimits.fetch(`${window.ArtorizeConfig?.ROUTER_URL || ''}/artworks/me`, {
       method: 'GET',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' }
@@ -951,7 +970,7 @@ async function toggleArtworkVisibility(artworkId, toggleEl) {
   }
 
   try {
-    const response = await fetch(`${window.ArtorizeConfig?.ROUTER_URL || ''}/artworks/${artworkId}`, {
+    const response = await RateLimits.fetch(`${window.ArtorizeConfig?.ROUTER_URL || ''}/artworks/${artworkId}`, {
       method: 'PATCH',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' },
@@ -1062,19 +1081,24 @@ function copyEmbedCode() {
   }
 }
 
-// Credits UI - fetch balance and update progress circle + text
-const CREDITS_MAX = 50; // Default max credits (free tier)
+// Credits UI - fetch balance and plan, update progress circle + text
 const CREDITS_CIRCUMFERENCE = 264; // 2 * π * r (r=42)
 
 async function fetchAndUpdateCredits() {
   const routerUrl = window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
   try {
-    const response = await fetch(`${routerUrl}/credits/me`, {
+    const response = await RateLimits.fetch(`${routerUrl}/credits/me`, {
       credentials: 'include'
     });
     if (!response.ok) return;
     const data = await response.json();
-    updateCreditsUI(data.balance, CREDITS_MAX);
+    if (!window.CreditEstimator) {
+      updateCreditsUI(data.balance, window.ArtorizeConfig?.CREDITS?.DEFAULT_MAX || 50);
+      return;
+    }
+    // The plan's allowance fills the ring; the estimator also needs the balance and prices
+    window.CreditEstimator.setAccount(data);
+    updateCreditsUI(data.balance, window.CreditEstimator.planMax(data));
   } catch (error) {
     console.warn('[Credits] Failed to fetch credits:', error);
   }
@@ -1107,14 +1131,51 @@ function updateCreditsUI(balance, max) {
   }
 }
 
+// Remaining uploads from the client-side rate-limit budget, shown next to the
+// credits once the router has reported it
+function updateUploadBudgetUI() {
+  const textEl = document.getElementById('upload-budget-text');
+  const budget = RateLimits.get('uploads');
+  if (!textEl) return;
+  if (!budget || !budget.reported) {
+    textEl.style.display = 'none';
+    return;
+  }
+
+  const period = RateLimits.formatDuration(budget.window);
+  if (budget.remaining > 0) {
+    textEl.textContent = `· ${budget.remaining}/${budget.limit} uploads left`;
+    textEl.classList.remove('text-red-600');
+  } else {
+    textEl.textContent = `· Upload limit reached, resets in ${RateLimits.formatDuration(RateLimits.waitTime('uploads'))}`;
+    textEl.classList.add('text-red-600');
+  }
+  textEl.title = `${budget.limit} uploads per ${period}`;
+  textEl.style.display = '';
+}
+
+function initializeUploadBudget() {
+  updateUploadBudgetUI();
+  RateLimits.subscribe(bucket => {
+    if (bucket === 'uploads') updateUploadBudgetUI();
+  });
+  // Keep the reset countdown (and window rollover) current
+  setInterval(updateUploadBudgetUI, 30000);
+}
+
 // Expose for use after protection jobs complete
 window.fetchAndUpdateCredits = fetchAndUpdateCredits;
 window.updateCreditsUI = updateCreditsUI;
+window.updateUploadBudgetUI = updateUploadBudgetUI;
 
 // Expose helpers to the global window scope for reuse
 window.updateProgressStep = updateProgressStep;
+window.cancelPendingProgressSteps = cancelPendingProgressSteps;
 window.toggleProtection = toggleProtection;
 window.applyPreset = applyPreset;
+window.setSelectedProtections = setSelectedProtections;
+window.highlightPresetButton = highlightPresetButton;
+window.setWatermarkStrategy = setWatermarkStrategy;
 window.toggleWatermarkDropdown = toggleWatermarkDropdown;
 window.selectWatermarkStrategy = selectWatermarkStrategy;
 window.toggleHistoryModal = toggleHistoryModal;
@@ -1177,6 +1238,52 @@ function initializeTabs() {
   });
 }
 
+// Sync the protection cards and watermark strategies with the registry.
+// Cards for unknown layers are disabled so they can never reach the payload.
+function initializeProtectionOptions() {
+  document.querySelectorAll('.protection-card').forEach(card => {
+    const protection = card.getAttribute('data-protection');
+    if (!ProtectionRegistry.isKnownLayer(protection)) {
+      console.warn(`[Protections] Unknown protection card "${protection}" disabled`);
+      card.classList.remove('selected');
+      card.classList.add('opacity-50', 'pointer-events-none');
+      card.setAttribute('aria-disabled', 'true');
+    }
+  });
+
+  const hiddenSelect = document.getElementById('watermark-strategy');
+  const optionsContainer = document.getElementById('watermark-strategy-options');
+  const current = hiddenSelect ? hiddenSelect.value : null;
+  const strategies = ProtectionRegistry.WATERMARK_STRATEGIES;
+
+  if (hiddenSelect) {
+    hiddenSelect.innerHTML = '';
+    strategies.forEach(strategy => {
+      hiddenSelect.add(new Option(strategy.label, strategy.value));
+    });
+  }
+
+  if (optionsContainer) {
+    optionsContainer.innerHTML = '';
+    strategies.forEach(strategy => {
+      const option = document.createElement('div');
+      option.setAttribute('role', 'option');
+      option.dataset.value = strategy.value;
+      option.className = 'watermark-option relative flex cursor-pointer select-none items-center rounded-md px-3 py-2 text-sm outline-none hover:bg-gray-50 focus:bg-gray-50 transition-colors';
+      option.textContent = strategy.label;
+      option.addEventListener('click', () => selectWatermarkStrategy(strategy.value, strategy.label));
+      optionsContainer.appendChild(option);
+    });
+  }
+
+  const initial = ProtectionRegistry.isKnownWatermarkStrategy(current)
+    ? current
+    : ProtectionRegistry.DEFAULT_WATERMARK_STRATEGY;
+  const label = document.getElementById('watermark-strategy-label');
+  if (hiddenSelect) hiddenSelect.value = initial;
+  if (label) label.textContent = strategies.find(strategy => strategy.value === initial).label;
+}
+
 // Initialize watermark change listener
 function initializeWatermarkListener() {
   const watermarkSelect = document.getElementById('watermark-strategy');
@@ -1453,11 +1560,13 @@ function initializeDatePicker() {
 // Initialize enhancers
 function initEnhancements() {
   initializeTabs();
+  initializeProtectionOptions();
   initializeWatermarkListener();
   updateProgressTracker();
   initializeDatePicker();
   initShareArtworksSearch();
   fetchAndUpdateCredits();
+  initializeUploadBudget();
 }
 
 // Initialize when DOM is ready
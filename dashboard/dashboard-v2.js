@@ -11,7 +11,14 @@
   // State management
   let uploader = null;
   let selectedFile = null;
+  let selectedImageUrl = null;
+  let selectedFiles = [];
+  let uploadQueue = null;
+  let queueDoneAnnounced = false;
+  let queuedProtections = new Map();
   let currentJobId = null;
+  let activeJob = null; // { controller, jobId } of the cancellable single submission
+  let retryCountdownTimer = null;
   let currentResult = null;
   let currentUser = null;
   let images = {
@@ -21,6 +28,8 @@
   };
   let completedSteps = new Set();
   let lastProcessedProtection = null;
+  // Parsed SAC mask drawn over the comparison viewer; renderId drops stale renders
+  let maskOverlay = { jobId: null, loadMask: null, protectedImg: null, loading: false, sacData: null, stale: true, renderId: 0 };
 
   // Auto-fill metadata fields from user profile
   function autoFillMetadata() {
@@ -85,6 +94,7 @@
     // Initialize uploader
     if (window.ArtorizeConfig && window.ArtworkUploader) {
       uploader = new ArtworkUploader(window.ArtorizeConfig);
+      uploader.onRetry = showRetryNotice;
     } else {
       console.error('Required dependencies not loaded');
       return;
@@ -94,11 +104,41 @@
     initializeTabSwitching();
     initializeFileUpload();
     initializeProtectButton();
+    initializeUploadQueueControls();
+    initializeJobCancelButton();
+    initializeMaskOverlayControls();
+    if (window.ProtectionStrength) {
+      window.ProtectionStrength.init();
+    }
+    if (window.AdvancedOptions) {
+      window.AdvancedOptions.init(currentUser);
+    }
+    if (window.CreditEstimator) {
+      window.CreditEstimator.init();
+    }
+    if (window.CustomPresets) {
+      // Presets load asynchronously; by then a resumed job may have restored
+      // its selection or the user may have picked layers, so don't override them
+      window.CustomPresets.init(currentUser).then(() => {
+        if (activeJob || document.querySelector('.protection-card.selected')) return;
+        window.CustomPresets.applyDefault();
+      });
+    }
+    if (window.MaskStatsPanel) {
+      window.MaskStatsPanel.init();
+    }
+    if (window.ComparisonZoom) {
+      window.ComparisonZoom.init();
+    }
+    if (window.ComparisonModes) {
+      window.ComparisonModes.init();
+    }
     initializeDownloadButtons();
     initializeSidebarToggle();
     initializeUserMenu();
     initializeMyselfButton();
     initializeEditingHistory();
+    resumePersistedJobs();
 
     console.log('Artorize Dashboard V2 initialized successfully');
   }
@@ -130,7 +170,7 @@
 
     // Click to upload
     uploadZone.addEventListener('click', function (e) {
-      if (e.target.tagName !== 'INPUT') {
+      if (e.target.tagName !== 'INPUT' && !e.target.closest('#image-url-form')) {
         fileInput.click();
       }
     });
@@ -149,20 +189,7 @@
       e.preventDefault();
       uploadZone.classList.remove('drag-over');
 
-      const files = e.dataTransfer.files;
-      if (files.length > 0) {
-        const file = files[0];
-        if (file.type.startsWith('image/')) {
-          const dataTransfer = new DataTransfer();
-          dataTransfer.items.add(file);
-          fileInput.files = dataTransfer.files;
-
-          const event = new Event('change', { bubbles: true });
-          fileInput.dispatchEvent(event);
-        } else {
-          showStatus('Please upload an image file', 'error');
-        }
-      }
+      forwardDroppedFiles(e.dataTransfer.files, fileInput);
     });
 
     // Drag and drop support for results section (allows dropping new image to process)
@@ -183,30 +210,48 @@
         e.preventDefault();
         resultsSection.classList.remove('drag-over');
 
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-          const file = files[0];
-          if (file.type.startsWith('image/')) {
-            const dataTransfer = new DataTransfer();
-            dataTransfer.items.add(file);
-            fileInput.files = dataTransfer.files;
-
-            const event = new Event('change', { bubbles: true });
-            fileInput.dispatchEvent(event);
-          } else {
-            showStatus('Please upload an image file', 'error');
-          }
-        }
+        forwardDroppedFiles(e.dataTransfer.files, fileInput);
       });
     }
 
     // File input change handler
     fileInput.addEventListener('change', function (e) {
-      const file = this.files[0];
-      if (file) {
-        handleFileSelect(file);
+      if (this.files.length > 1) {
+        handleFilesSelect(Array.from(this.files));
+      } else if (this.files[0]) {
+        handleFileSelect(this.files[0]);
       }
     });
+
+    // Protect an image that is already hosted elsewhere
+    const urlForm = document.getElementById('image-url-form');
+    const urlInput = document.getElementById('image-url-input');
+    if (urlForm && urlInput) {
+      urlForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        handleImageUrlSelect(urlInput.value);
+      });
+    }
+  }
+
+  /**
+   * Copy dropped image files onto the file input and trigger its change handler
+   */
+  function forwardDroppedFiles(files, fileInput) {
+    if (files.length === 0) return;
+
+    const imageFiles = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (imageFiles.length === 0) {
+      showStatus('Please upload an image file', 'error');
+      return;
+    }
+
+    const dataTransfer = new DataTransfer();
+    imageFiles.forEach(file => dataTransfer.items.add(file));
+    fileInput.files = dataTransfer.files;
+
+    const event = new Event('change', { bubbles: true });
+    fileInput.dispatchEvent(event);
   }
 
   /**
@@ -227,7 +272,10 @@
     }
 
     selectedFile = file;
+    selectedFiles = [file];
+    selectedImageUrl = null;
     console.log('File selected:', file.name);
+    if (window.CreditEstimator) window.CreditEstimator.setImages(selectedFiles);
 
     // Show preview
     showFilePreview(file);
@@ -240,9 +288,101 @@
 
     showStatus(`File selected: ${file.name}`, 'success');
 
-    // Auto-apply Lite preset if no protections are selected
+    // Auto-apply the default preset if no protections are selected
+    applyDefaultPreset();
+  }
+
+  /**
+   * Handle selection of several files for batch protection
+   */
+  function handleFilesSelect(files) {
+    const maxSize = 100 * 1024 * 1024;
+    const validFiles = files.filter(file => file.type.startsWith('image/') && file.size <= maxSize);
+    const skipped = files.length - validFiles.length;
+
+    if (validFiles.length === 0) {
+      showStatus('Please select valid image files (max 100MB each)', 'error');
+      return;
+    }
+    if (validFiles.length === 1) {
+      handleFileSelect(validFiles[0]);
+      return;
+    }
+
+    selectedFile = validFiles[0];
+    selectedFiles = validFiles;
+    selectedImageUrl = null;
+    console.log(`${validFiles.length} files selected`);
+    if (window.CreditEstimator) window.CreditEstimator.setImages(selectedFiles);
+
+    // Preview the first file of the batch
+    showFilePreview(validFiles[0]);
+
+    const protectButton = document.getElementById('protect-button');
+    if (protectButton) {
+      protectButton.disabled = false;
+    }
+
+    const skippedNote = skipped > 0 ? ` (${skipped} skipped)` : '';
+    showStatus(`${validFiles.length} files selected${skippedNote}`, 'success');
+
+    applyDefaultPreset();
+  }
+
+  /**
+   * Handle an image URL entered in the upload zone. The URL is validated and
+   * only accepted once the browser has been able to load a preview from it.
+   * @param {string} value - URL as typed by the user
+   */
+  function handleImageUrlSelect(value) {
+    let url;
+    try {
+      url = ArtworkUploader.validateImageUrl(value);
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+
+    showStatus('Loading image preview...', 'info');
+
+    const probe = new Image();
+    probe.onload = function () {
+      selectedImageUrl = url;
+      selectedFile = null;
+      selectedFiles = [];
+      console.log('Image URL selected:', url);
+      if (window.CreditEstimator) {
+        window.CreditEstimator.setImages([{ width: probe.naturalWidth, height: probe.naturalHeight }]);
+      }
+
+      showImagePreview(url);
+
+      const protectButton = document.getElementById('protect-button');
+      if (protectButton) {
+        protectButton.disabled = false;
+      }
+
+      showStatus(`Image URL selected (${probe.naturalWidth}×${probe.naturalHeight})`, 'success');
+
+      applyDefaultPreset();
+    };
+    probe.onerror = function () {
+      showStatus('Could not load an image from that URL', 'error');
+    };
+    probe.src = url;
+  }
+
+  /**
+   * Select protections for a new image when none are selected yet: the
+   * user's default custom preset if they have one, otherwise Lite
+   */
+  function applyDefaultPreset() {
     const hasProtections = document.querySelectorAll('.protection-card.selected').length > 0;
-    if (!hasProtections && typeof window.applyPreset === 'function') {
+    if (hasProtections) return;
+
+    if (window.CustomPresets && window.CustomPresets.applyDefault()) {
+      console.log('[AutoPreset] Applied default custom preset');
+    } else if (typeof window.applyPreset === 'function') {
       window.applyPreset('lite');
       console.log('[AutoPreset] Applied Lite preset');
     }
@@ -254,6 +394,18 @@
   function showFilePreview(file) {
     console.log(`File uploaded: ${file.name}`);
 
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      showImagePreview(e.target.result);
+    };
+    reader.readAsDataURL(file);
+  }
+
+  /**
+   * Replace the upload zone with a preview of the selected image
+   * @param {string} src - Data URL or remote image URL
+   */
+  function showImagePreview(src) {
     const uploadZone = document.getElementById('upload-zone');
     const resultsSection = document.getElementById('image-results-section');
     const previewImage = document.getElementById('preview-image');
@@ -267,6 +419,11 @@
     if (protectedImg) protectedImg.style.display = 'none';
     if (overlay) overlay.style.display = 'none';
     if (slider) slider.style.display = 'none';
+    resetMaskOverlay();
+    if (window.ComparisonModes) window.ComparisonModes.reset();
+    if (window.QualityMetrics) window.QualityMetrics.reset();
+    if (window.ComparisonZoom) window.ComparisonZoom.reset();
+    if (window.MaskStatsPanel) window.MaskStatsPanel.reset();
     if (downloadBtn) {
       downloadBtn.disabled = true;
       downloadBtn.dataset.loading = 'false';
@@ -277,13 +434,9 @@
     }
 
     if (resultsSection && previewImage) {
-      const reader = new FileReader();
-      reader.onload = function (e) {
-        previewImage.src = e.target.result;
-        previewImage.style.display = 'block';
-        resultsSection.style.display = 'flex';
-      }
-      reader.readAsDataURL(file);
+      previewImage.src = src;
+      previewImage.style.display = 'block';
+      resultsSection.style.display = 'flex';
     }
   }
 
@@ -437,8 +590,8 @@
     }
 
     // Validate file selection
-    if (!selectedFile) {
-      showStatus('Please select an image file first', 'error');
+    if (!selectedFile && !selectedImageUrl) {
+      showStatus('Please select an image file or enter an image URL first', 'error');
       return;
     }
 
@@ -451,61 +604,334 @@
       return;
     }
 
+    // Reject layers or watermark strategies the router does not know about
+    try {
+      ProtectionRegistry.buildProtectionOptions(
+        selectedProtections,
+        document.getElementById('watermark-strategy')?.value || ProtectionRegistry.DEFAULT_WATERMARK_STRATEGY
+      );
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+
+    // Validate strengths and advanced options before anything is uploaded
+    if (window.ProtectionStrength) {
+      const { errors } = window.ProtectionStrength.collect(selectedProtections);
+      if (errors.length > 0) {
+        showStatus(errors[0], 'error');
+        return;
+      }
+    }
+    if (window.AdvancedOptions) {
+      const { errors } = window.AdvancedOptions.collect();
+      if (errors.length > 0) {
+        const advancedSection = document.getElementById('advanced-options');
+        if (advancedSection) advancedSection.open = true;
+        showStatus(errors[0], 'error');
+        return;
+      }
+    }
+
+    // Don't spend an upload on a job the balance can't cover
+    if (window.CreditEstimator) {
+      const { ok, message } = window.CreditEstimator.check();
+      if (!ok) {
+        showStatus(message, 'error');
+        return;
+      }
+    }
+
+    if (selectedFiles.length > 1) {
+      handleProtectBatch(selectedProtections);
+      return;
+    }
+
+    // Don't start an upload the router would reject with 429 (batches wait in the queue instead)
+    if (!RateLimits.canSpend('uploads') || !RateLimits.canSpend('general')) {
+      showStatus(RateLimits.exhaustedError(RateLimits.canSpend('uploads') ? 'general' : 'uploads').message, 'error');
+      return;
+    }
+
     const protectButton = document.getElementById('protect-button');
     protectButton.disabled = true;
     protectButton.setAttribute('data-loading', 'true');
+    let job = null;
 
     try {
       // Reset progress tracker for new job
       resetProgressTracker();
 
       // Prepare form data from actual form fields
-      const formData = {
-        imageFile: selectedFile,
-        artist_name: document.getElementById('author-name')?.value || currentUser?.name || 'Artist',
-        artwork_title: document.getElementById('artwork-title')?.value || selectedFile.name.replace(/\.[^/.]+$/, ''),
-        description: document.getElementById('description')?.value || '',
-        creation_date: document.getElementById('creation-date')?.value || '',
-        protectionOptions: {
-          enable_fawkes: selectedProtections.includes('fawkes'),
-          enable_photoguard: selectedProtections.includes('photoguard'),
-          enable_mist: selectedProtections.includes('mist'),
-          enable_nightshade: selectedProtections.includes('nightshade'),
-          enable_c2pa_manifest: selectedProtections.includes('c2pa'),
-          watermark_strategy: document.getElementById('watermark-strategy')?.value || 'invisible-watermark'
-        }
-      };
+      const formData = buildSubmission(selectedImageUrl || selectedFile, selectedProtections);
 
-      // Submit artwork
-      showStatus('Preparing upload...', 'info');
-
-      // Mark upload step as in-progress
-      if (window.updateProgressStep) {
-        window.updateProgressStep('upload', 'in-progress');
+      // Skip the upload entirely if this exact file has been protected before
+      // (remote images are checked by the router once it has fetched them)
+      const duplicateChoice = formData.imageFile ? await checkForDuplicate(formData.imageFile) : 'none';
+      if (duplicateChoice === 'open' || duplicateChoice === 'cancel') {
+        return;
       }
+      formData.allow_duplicate = duplicateChoice === 'reprotect';
+
+      // From here on the upload and tracking can be cancelled from the progress panel
+      job = startActiveJob();
+      formData.signal = job.controller.signal;
+      switchToProgressTab();
+
+      let submitResult = await submitWithProgress(formData);
 
-      const submitResult = await uploader.submitArtwork(formData, (percent) => {
-        if (typeof percent === 'number' && !Number.isNaN(percent)) {
-          const rounded = Math.max(0, Math.min(100, Math.round(percent)));
-          showStatus(`Uploading artwork... ${rounded}%`, 'info');
+      // The router runs its own duplicate check and may still answer "exists"
+      if (submitResult.status === 'exists') {
+        const choice = await resolveDuplicate(submitResult.artwork || { _id: submitResult.job_id });
+        if (choice !== 'reprotect') {
+          return;
         }
-      });
+        submitResult = await submitWithProgress({ ...formData, allow_duplicate: true });
+        if (submitResult.status === 'exists') {
+          showStatus('The router did not accept a second protection of this artwork', 'error');
+          return;
+        }
+      }
 
-      // Mark upload step as complete
-      if (window.updateProgressStep) {
-        window.updateProgressStep('upload', 'success');
+      // Cancelled just as the upload finished: stop the job it created
+      if (job.controller.signal.aborted) {
+        uploader.cancelJob(submitResult.job_id).catch(() => {});
+        return;
       }
 
       currentJobId = submitResult.job_id;
+      job.jobId = currentJobId;
+      persistJob(currentJobId, formData, selectedProtections);
 
-      // Switch to Progress tab to show real-time updates
-      switchToProgressTab();
-
-      // Poll for completion
       showStatus('Processing your artwork with protection layers...', 'info');
+      await followJob(currentJobId, job.controller.signal);
+
+    } catch (error) {
+      // Cancellation is reported by cancelActiveJob()
+      if (ArtworkUploader.isAbortError(error)) {
+        return;
+      }
+      console.error('Submission error:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      finishActiveJob(job);
+      protectButton.disabled = false;
+      protectButton.setAttribute('data-loading', 'false');
+    }
+  }
+
+  /**
+   * Start a cancellable single submission and show the Cancel button
+   * @returns {Object} { controller, jobId } - jobId is set once the upload has finished
+   */
+  function startActiveJob() {
+    activeJob = { controller: new AbortController(), jobId: null };
+    setCancelButtonVisible(true);
+    return activeJob;
+  }
+
+  /**
+   * Hide the Cancel button once a submission has ended (no-op for superseded jobs)
+   * @param {Object|null} job - Job returned by startActiveJob()
+   */
+  function finishActiveJob(job) {
+    if (!job || activeJob !== job) return;
+    activeJob = null;
+    setCancelButtonVisible(false);
+  }
+
+  function setCancelButtonVisible(visible) {
+    const row = document.getElementById('job-cancel-row');
+    if (row) {
+      row.style.display = visible ? '' : 'none';
+    }
+  }
+
+  /**
+   * Abort the running upload or stop tracking the running job, and ask the
+   * router to cancel the job when it supports POST /jobs/:id/cancel
+   */
+  async function cancelActiveJob() {
+    if (!activeJob) return;
+
+    const { controller, jobId } = activeJob;
+    finishActiveJob(activeJob);
+    controller.abort();
+    clearRetryNotice();
+
+    if (window.cancelPendingProgressSteps) {
+      window.cancelPendingProgressSteps();
+    }
+
+    if (!jobId) {
+      showStatus('Upload cancelled', 'info');
+      return;
+    }
+
+    forgetJob(jobId);
+    showStatus('Cancelling job...', 'info');
+
+    try {
+      const stopped = await uploader.cancelJob(jobId);
+      showStatus(stopped ? 'Job cancelled' : 'Stopped tracking the job. The router may still finish it.', 'info');
+      if (stopped && typeof window.fetchAndUpdateCredits === 'function') {
+        window.fetchAndUpdateCredits();
+      }
+    } catch (error) {
+      showStatus(`Stopped tracking the job, but the router could not cancel it: ${error.message}`, 'error');
+    }
+  }
+
+  function initializeJobCancelButton() {
+    const cancelBtn = document.getElementById('job-cancel-button');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', cancelActiveJob);
+    }
+  }
+
+  /**
+   * Upload an artwork while reflecting progress in the status toast and tracker
+   * @param {Object} formData - submitArtwork parameters
+   * @returns {Promise<Object>} submitArtwork result
+   */
+  async function submitWithProgress(formData) {
+    showStatus('Preparing upload...', 'info');
+
+    // Mark upload step as in-progress
+    if (window.updateProgressStep) {
+      window.updateProgressStep('upload', 'in-progress');
+    }
 
-      const result = await uploader.pollJobUntilComplete(
-        currentJobId,
+    const submitResult = await uploader.submitArtwork(formData, (percent) => {
+      if (typeof percent === 'number' && !Number.isNaN(percent)) {
+        const rounded = Math.max(0, Math.min(100, Math.round(percent)));
+        showStatus(`Uploading artwork... ${rounded}%`, 'info');
+      }
+    });
+
+    // Mark upload step as complete
+    if (window.updateProgressStep) {
+      window.updateProgressStep('upload', 'success');
+    }
+
+    return submitResult;
+  }
+
+  /**
+   * Hash the file and ask the backend whether it has already been protected
+   * @param {File} file - Selected image
+   * @returns {Promise<string>} 'none' (no match), 'open', 'reprotect' or 'cancel'
+   */
+  async function checkForDuplicate(file) {
+    const checkConfig = window.ArtorizeConfig?.UPLOAD?.DUPLICATE_CHECK;
+    if (!checkConfig || !checkConfig.ENABLED) {
+      return 'none';
+    }
+
+    try {
+      const { exists, matches } = await uploader.findExistingArtwork(file, (percent) => {
+        showStatus(`Checking for existing copies... ${percent}%`, 'info');
+      });
+      if (!exists || matches.length === 0) {
+        return 'none';
+      }
+      return await resolveDuplicate(matches[0], matches.length);
+    } catch (error) {
+      // A failed lookup should never block the upload itself
+      console.warn('[Duplicate Check] Skipped:', error.message);
+      return 'none';
+    }
+  }
+
+  /**
+   * Let the user decide what to do with an artwork that already exists
+   * @param {Object} artwork - Existing artwork ({ _id, title, artist, uploadedAt })
+   * @param {number} [matchCount] - Number of matching artworks
+   * @returns {Promise<string>} 'open', 'reprotect' or 'cancel'
+   */
+  async function resolveDuplicate(artwork, matchCount = 1) {
+    const choice = await showDuplicateDialog(artwork, matchCount);
+
+    if (choice === 'open') {
+      loadHistoryItem(artwork._id);
+      showStatus('Opened the existing protected artwork', 'info');
+    } else if (choice === 'cancel') {
+      showStatus('Upload cancelled', 'info');
+    }
+
+    return choice;
+  }
+
+  /**
+   * Modal asking how to handle a duplicate artwork
+   * @param {Object} artwork - Existing artwork
+   * @param {number} matchCount - Number of matching artworks
+   * @returns {Promise<string>} 'open', 'reprotect' or 'cancel'
+   */
+  function showDuplicateDialog(artwork, matchCount) {
+    return new Promise(resolve => {
+      const modal = document.createElement('div');
+      modal.id = 'duplicate-artwork-modal';
+      modal.className = 'artorize-modal-backdrop';
+      modal.style.cssText = 'position: fixed; inset: 0; z-index: 9999; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); backdrop-filter: blur(4px);';
+
+      const uploadedAt = artwork.uploadedAt ? new Date(artwork.uploadedAt).toLocaleDateString() : null;
+      const details = [artwork.artist, uploadedAt && `protected ${uploadedAt}`].filter(Boolean).join(' · ');
+      const others = matchCount > 1 ? ` (and ${matchCount - 1} other match${matchCount > 2 ? 'es' : ''})` : '';
+
+      modal.innerHTML = `
+        <div class="artorize-modal-content" role="dialog" aria-modal="true" aria-labelledby="duplicate-artwork-title" style="width: min(440px, calc(100vw - 48px)); display: flex; flex-direction: column;">
+          <div class="artorize-modal-header" style="padding: 20px 24px; border-bottom: 1px solid var(--art-border-subtle, #e5e7eb);">
+            <h2 class="artorize-modal-title" id="duplicate-artwork-title" style="font-size: 18px; font-weight: 600; margin: 0;">Already protected</h2>
+          </div>
+          <div class="artorize-modal-body" style="padding: 20px 24px; font-size: 14px;">
+            <p style="margin: 0 0 8px;">This image matches an artwork you have already protected${others}:</p>
+            <p style="margin: 0; font-weight: 500;">${escapeHtml(artwork.title || 'Untitled')}</p>
+            ${details ? `<p style="margin: 4px 0 0; color: var(--art-text-subtle, #6b7280);">${escapeHtml(details)}</p>` : ''}
+          </div>
+          <div class="artorize-modal-footer" style="display: flex; justify-content: flex-end; gap: 8px; padding: 16px 24px; border-top: 1px solid var(--art-border-subtle, #e5e7eb); background: var(--art-surface-subtle, #f9fafb);">
+            <button type="button" class="artorize-btn artorize-btn-ghost artorize-btn-sm" data-choice="cancel">Cancel</button>
+            <button type="button" class="artorize-btn artorize-btn-secondary artorize-btn-sm" data-choice="reprotect">Protect again</button>
+            <button type="button" class="artorize-btn artorize-btn-primary artorize-btn-sm" data-choice="open">Open existing</button>
+          </div>
+        </div>
+      `;
+
+      const close = (choice) => {
+        document.removeEventListener('keydown', onKeydown);
+        modal.remove();
+        resolve(choice);
+      };
+      const onKeydown = (e) => {
+        if (e.key === 'Escape') close('cancel');
+      };
+
+      modal.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-choice]');
+        if (button) {
+          close(button.getAttribute('data-choice'));
+        } else if (e.target === modal) {
+          close('cancel');
+        }
+      });
+      document.addEventListener('keydown', onKeydown);
+
+      document.body.appendChild(modal);
+      modal.querySelector('[data-choice="open"]').focus();
+    });
+  }
+
+  /**
+   * Track a submitted job until it finishes, then show its result
+   * @param {string} jobId - Job ID returned from submitArtwork
+   * @param {AbortSignal} [signal] - Stops tracking when the job is cancelled
+   */
+  async function followJob(jobId, signal = null) {
+    // Track progress until completion (push stream, or polling as fallback)
+    let result;
+    try {
+      result = await uploader.trackJob(
+        jobId,
         (status) => {
           console.log('Status update:', status);
           const progress = status.progress || {};
@@ -519,41 +945,456 @@
 
           showStatus(statusMessage, 'info');
           updateProgressTracker(status);
-        }
+        },
+        { signal }
       );
+    } catch (error) {
+      // The router no longer knows this job, so there is nothing to resume later
+      if (error.message === 'Job not found') {
+        forgetJob(jobId);
+      }
+      throw error;
+    }
 
-      console.log('[Progress] Final result from polling:', result);
+    console.log('[Progress] Final result from polling:', result);
+    forgetJob(jobId);
 
-      // Check final status
-      if (result.status === 'failed') {
-        showStatus(`Processing failed: ${result.error?.message || 'Unknown error'}`, 'error');
-        return;
+    // Check final status
+    if (result.status === 'failed') {
+      showStatus(`Processing failed: ${result.error?.message || 'Unknown error'}`, 'error');
+      return;
+    }
+    if (result.status === 'cancelled') {
+      if (window.cancelPendingProgressSteps) {
+        window.cancelPendingProgressSteps();
+      }
+      showStatus('The job was cancelled', 'info');
+      return;
+    }
+
+    // Ensure all progress steps are marked as complete
+    // This handles cases where the final 'completed' status wasn't properly processed during polling
+    if (result.status === 'completed' || result.job_id) {
+      console.log('[Progress] Ensuring all steps marked complete after successful result');
+      updateProgressTracker({ status: 'completed', progress: { percentage: 100 } });
+    }
+
+    // Display result
+    await displayResult(result);
+
+    // Refresh editing history so new item appears immediately
+    await refreshEditingHistory();
+
+    // Refresh credits display after protection job
+    if (typeof window.fetchAndUpdateCredits === 'function') {
+      window.fetchAndUpdateCredits();
+    }
+  }
+
+  /**
+   * Remember a submitted job so it can be resumed after a page reload
+   * @param {string} jobId - Job ID returned from submitArtwork
+   * @param {Object} submission - Parameters passed to submitArtwork
+   * @param {string[]} protections - Selected protection card keys
+   * @param {Object} [options]
+   * @param {boolean} [options.batch] - Job was submitted through the upload queue
+   */
+  function persistJob(jobId, submission, protections, options = {}) {
+    if (!window.JobStore || !jobId) return;
+
+    JobStore.save({
+      job_id: jobId,
+      protections,
+      watermark_strategy: submission.protectionOptions?.watermark_strategy,
+      artwork_title: submission.artwork_title,
+      artist_name: submission.artist_name,
+      file_name: submission.imageFile?.name || submission.imageUrl,
+      batch: options.batch
+    });
+  }
+
+  /**
+   * Stop resuming a job after reloads
+   * @param {string} jobId - Job ID
+   */
+  function forgetJob(jobId) {
+    if (window.JobStore) {
+      JobStore.remove(jobId);
+    }
+  }
+
+  /**
+   * Resume tracking jobs that were still running when the page was closed.
+   * The most recent single submission takes over the progress tracker and
+   * result view; batch entries finish in the background.
+   */
+  async function resumePersistedJobs() {
+    if (!window.JobStore) return;
+
+    const jobs = JobStore.list();
+    if (jobs.length === 0) return;
+
+    const single = jobs.filter(job => !job.batch).pop();
+    const background = jobs.filter(job => job !== single);
+
+    background.forEach(job => {
+      uploader.trackJob(job.job_id)
+        .then(result => {
+          forgetJob(job.job_id);
+          if (result.status === 'failed') {
+            showStatus(`"${job.artwork_title}" failed: ${result.error?.message || 'Unknown error'}`, 'error');
+            return;
+          }
+          if (result.status === 'cancelled') {
+            return;
+          }
+          refreshEditingHistory();
+          if (typeof window.fetchAndUpdateCredits === 'function') {
+            window.fetchAndUpdateCredits();
+          }
+        })
+        .catch(error => {
+          console.error(`[Resume] Could not resume job ${job.job_id}:`, error);
+          if (error.message === 'Job not found') {
+            forgetJob(job.job_id);
+          }
+        });
+    });
+
+    if (!single) {
+      showStatus(`Resuming ${background.length} batch job${background.length === 1 ? '' : 's'}...`, 'info');
+      return;
+    }
+
+    console.log('[Resume] Resuming job:', single.job_id);
+    restoreProtectionSelection(single);
+    resetProgressTracker();
+    if (window.updateProgressStep) {
+      window.updateProgressStep('upload', 'success');
+    }
+
+    currentJobId = single.job_id;
+    const job = startActiveJob();
+    job.jobId = single.job_id;
+    switchToProgressTab();
+    showStatus(`Resuming "${single.artwork_title || single.file_name}"...`, 'info');
+
+    const protectButton = document.getElementById('protect-button');
+    if (protectButton) {
+      protectButton.disabled = true;
+      protectButton.setAttribute('data-loading', 'true');
+    }
+
+    try {
+      await followJob(single.job_id, job.controller.signal);
+    } catch (error) {
+      if (!ArtworkUploader.isAbortError(error)) {
+        console.error('[Resume] Resumed job failed:', error);
+        showStatus(`Error: ${error.message}`, 'error');
       }
+    } finally {
+      finishActiveJob(job);
+      if (protectButton) {
+        protectButton.disabled = !selectedFile && !selectedImageUrl;
+        protectButton.setAttribute('data-loading', 'false');
+      }
+    }
+  }
 
-      // Ensure all progress steps are marked as complete
-      // This handles cases where the final 'completed' status wasn't properly processed during polling
-      if (result.status === 'completed' || result.job_id) {
-        console.log('[Progress] Ensuring all steps marked complete after successful result');
-        updateProgressTracker({ status: 'completed', progress: { percentage: 100 } });
+  /**
+   * Re-select the protection cards and watermark strategy of a stored job
+   * so the progress tracker shows the same steps as before the reload
+   * @param {Object} job - Stored job from JobStore
+   */
+  function restoreProtectionSelection(job) {
+    if (typeof window.setSelectedProtections === 'function') {
+      window.setSelectedProtections(job.protections);
+    }
+    if (job.watermark_strategy && typeof window.setWatermarkStrategy === 'function') {
+      window.setWatermarkStrategy(job.watermark_strategy);
+    }
+  }
+
+  /**
+   * Build submitArtwork parameters for a file from the current form fields
+   * @param {File|string} source - Image file, or remote image URL
+   * @param {string[]} selectedProtections - Selected protection card keys
+   * @param {Object} [options]
+   * @param {boolean} [options.titleFromFile] - Always derive the title from the file name (batch mode)
+   * @throws {Error} If a selected layer or the watermark strategy is not in the registry
+   */
+  function buildSubmission(source, selectedProtections, options = {}) {
+    const isUrl = typeof source === 'string';
+    const fileName = isUrl ? fileNameFromUrl(source) : source.name;
+    const fileTitle = fileName.replace(/\.[^/.]+$/, '') || 'Untitled';
+    const formTitle = document.getElementById('artwork-title')?.value;
+
+    return {
+      imageFile: isUrl ? undefined : source,
+      imageUrl: isUrl ? source : undefined,
+      artist_name: document.getElementById('author-name')?.value || currentUser?.name || 'Artist',
+      artwork_title: options.titleFromFile ? fileTitle : (formTitle || fileTitle),
+      description: document.getElementById('description')?.value || '',
+      creation_date: document.getElementById('creation-date')?.value || '',
+      protectionOptions: {
+        ...ProtectionRegistry.buildProtectionOptions(
+          selectedProtections,
+          document.getElementById('watermark-strategy')?.value || ProtectionRegistry.DEFAULT_WATERMARK_STRATEGY
+        ),
+        ...(window.ProtectionStrength ? window.ProtectionStrength.collect(selectedProtections).options : {}),
+        ...(window.AdvancedOptions ? window.AdvancedOptions.collect().options : {})
       }
+    };
+  }
 
-      // Display result
-      await displayResult(result);
+  /**
+   * Last path segment of a URL, used as a stand-in file name
+   * @param {string} url - Image URL
+   * @returns {string} Decoded file name, or an empty string
+   */
+  function fileNameFromUrl(url) {
+    const segment = new URL(url).pathname.split('/').pop() || '';
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+  }
+
+  /**
+   * Queue every selected file for protection
+   * @param {string[]} selectedProtections - Selected protection card keys
+   */
+  function handleProtectBatch(selectedProtections) {
+    if (!window.UploadQueue) {
+      showStatus('Batch uploads are not available', 'error');
+      return;
+    }
+
+    if (!uploadQueue) {
+      uploadQueue = new UploadQueue(uploader, {
+        onItemUpdate: handleQueueItemUpdate,
+        onQueueUpdate: renderUploadQueue
+      });
+    }
+
+    const submissions = selectedFiles.map(file =>
+      buildSubmission(file, selectedProtections, { titleFromFile: true })
+    );
+    uploadQueue.addAll(submissions).forEach(item => {
+      queuedProtections.set(item.id, selectedProtections);
+    });
+
+    const budget = RateLimits.get('uploads');
+    if (budget && budget.reported && submissions.length > budget.remaining) {
+      const waiting = submissions.length - budget.remaining;
+      showStatus(`Queued ${submissions.length} artworks. ${waiting} will wait for the upload limit (${budget.limit} per ${RateLimits.formatDuration(budget.window)})`, 'info');
+    } else {
+      showStatus(`Queued ${submissions.length} artworks for protection`, 'info');
+    }
+    switchToProgressTab();
+
+    // Selection has been handed to the queue; require a new selection for the next batch
+    selectedFile = null;
+    selectedFiles = [];
+    if (window.CreditEstimator) window.CreditEstimator.clear();
+    const protectButton = document.getElementById('protect-button');
+    if (protectButton) {
+      protectButton.disabled = true;
+    }
+  }
+
+  /**
+   * React to a single queue entry changing state
+   */
+  function handleQueueItemUpdate(item) {
+    // First update after the upload finished: the job now exists on the router
+    if (item.state === 'processing' && queuedProtections.has(item.id)) {
+      persistJob(item.jobId, item.params, queuedProtections.get(item.id), { batch: true });
+      queuedProtections.delete(item.id);
+    }
 
-      // Refresh editing history so new item appears immediately
-      await refreshEditingHistory();
+    // Entries skipped as already protected keep their layers for "Protect again"
+    if (['completed', 'failed', 'cancelled'].includes(item.state) && !UploadQueue.isDuplicate(item)) {
+      queuedProtections.delete(item.id);
+      if (item.jobId) {
+        forgetJob(item.jobId);
+      }
+    }
 
-      // Refresh credits display after protection job
+    // The queue reports the terminal state of an entry exactly once
+    if (item.state === 'completed') {
+      refreshEditingHistory();
       if (typeof window.fetchAndUpdateCredits === 'function') {
         window.fetchAndUpdateCredits();
       }
+    }
+  }
 
-    } catch (error) {
-      console.error('Submission error:', error);
-      showStatus(`Error: ${error.message}`, 'error');
-    } finally {
-      protectButton.disabled = false;
-      protectButton.setAttribute('data-loading', 'false');
+  /**
+   * Wire pause/resume, clear and per-item actions of the queue panel
+   */
+  function initializeUploadQueueControls() {
+    const toggleBtn = document.getElementById('upload-queue-toggle');
+    const clearBtn = document.getElementById('upload-queue-clear');
+    const list = document.getElementById('upload-queue-list');
+
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        if (!uploadQueue) return;
+        if (uploadQueue.paused) {
+          uploadQueue.resume();
+        } else {
+          uploadQueue.pause();
+        }
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        if (!uploadQueue) return;
+        uploadQueue.clearFinished();
+        queuedProtections.forEach((protections, id) => {
+          if (!uploadQueue.getItem(id)) queuedProtections.delete(id);
+        });
+      });
+    }
+
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-queue-action]');
+        if (!button || !uploadQueue) return;
+
+        const id = button.closest('[data-queue-id]').dataset.queueId;
+        const index = uploadQueue.items.findIndex(item => item.id === id);
+
+        switch (button.dataset.queueAction) {
+          case 'up':
+            uploadQueue.move(id, index - 1);
+            break;
+          case 'down':
+            uploadQueue.move(id, index + 1);
+            break;
+          case 'pause':
+            uploadQueue.pauseItem(id);
+            break;
+          case 'resume':
+            uploadQueue.resumeItem(id);
+            break;
+          case 'cancel':
+            uploadQueue.cancel(id);
+            break;
+          case 'reprotect':
+            uploadQueue.reprotect(id);
+            break;
+          case 'view': {
+            const item = uploadQueue.getItem(id);
+            if (!item || !item.result) break;
+            if (item.result.status === 'exists') {
+              loadHistoryItem(item.result.artwork?._id || item.result.job_id);
+            } else {
+              displayResult(item.result);
+            }
+            break;
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Render the upload queue panel from the queue state
+   * @param {Object} summary - UploadQueue.getSummary() result
+   */
+  function renderUploadQueue(summary) {
+    const panel = document.getElementById('upload-queue');
+    const bar = document.getElementById('upload-queue-bar');
+    const summaryEl = document.getElementById('upload-queue-summary');
+    const list = document.getElementById('upload-queue-list');
+    const toggleBtn = document.getElementById('upload-queue-toggle');
+
+    if (!panel || !list || !uploadQueue) return;
+
+    panel.style.display = summary.total > 0 ? 'flex' : 'none';
+    if (bar) bar.style.width = `${summary.percentage}%`;
+    if (toggleBtn) toggleBtn.textContent = summary.paused ? 'Resume' : 'Pause';
+
+    if (summaryEl) {
+      const parts = [`${summary.completed}/${summary.total} done`];
+      if (summary.duplicates) parts.push(`${summary.duplicates} already protected`);
+      if (summary.active) parts.push(`${summary.active} running`);
+      if (summary.queued) parts.push(`${summary.queued} waiting`);
+      if (summary.held) parts.push(`${summary.held} paused`);
+      if (summary.failed) parts.push(`${summary.failed} failed`);
+      if (summary.cancelled) parts.push(`${summary.cancelled} cancelled`);
+      if (summary.waitingUntil && summary.queued) {
+        parts.push(`upload limit reached, continuing in ${RateLimits.formatDuration(summary.waitingUntil - Date.now())}`);
+      }
+      summaryEl.textContent = `${parts.join(' · ')}${summary.paused ? ' (paused)' : ''}`;
+    }
+
+    const stateLabels = {
+      queued: 'Waiting',
+      paused: 'Paused',
+      uploading: 'Uploading',
+      processing: 'Processing',
+      completed: 'Done',
+      failed: 'Failed',
+      cancelled: 'Cancelled'
+    };
+    const actionClass = 'text-xs text-subtle hover:text-foreground px-1';
+
+    list.innerHTML = uploadQueue.items.map(item => {
+      const percent = UploadQueue.itemPercentage(item);
+      const isQueued = item.state === 'queued';
+      const isPaused = item.state === 'paused';
+      const isActive = item.state === 'uploading' || item.state === 'processing';
+      const stateClass = item.state === 'failed' ? 'text-red-600' : 'text-subtle';
+      const isDuplicate = UploadQueue.isDuplicate(item);
+      const stateLabel = isDuplicate ? 'Already protected' : stateLabels[item.state];
+
+      let actions = '';
+      if (isQueued || isPaused) {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="up" title="Move up">&uarr;</button>`;
+        actions += `<button type="button" class="${actionClass}" data-queue-action="down" title="Move down">&darr;</button>`;
+      }
+      if (isQueued) {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="pause" title="Pause">Pause</button>`;
+      }
+      if (isPaused) {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="resume" title="Resume">Resume</button>`;
+      }
+      if (isQueued || isPaused || isActive) {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="cancel" title="Cancel">&times;</button>`;
+      }
+      if (isDuplicate) {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="reprotect" title="Upload and protect this file again">Protect again</button>`;
+      }
+      if (item.state === 'completed') {
+        actions += `<button type="button" class="${actionClass}" data-queue-action="view">View</button>`;
+      }
+
+      return `
+        <li class="rounded-lg border border-gray-200 px-2.5 py-1.5" data-queue-id="${item.id}">
+          <div class="flex items-center gap-2">
+            <span class="flex-1 text-sm truncate" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+            <span class="text-xs ${stateClass}" title="${escapeHtml(item.error || '')}">${stateLabel}${isActive ? ` ${percent}%` : ''}</span>
+            ${actions}
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    if (!summary.done) {
+      queueDoneAnnounced = false;
+    } else if (!queueDoneAnnounced) {
+      queueDoneAnnounced = true;
+      const protectedCount = summary.completed - summary.duplicates;
+      const skipped = summary.duplicates > 0 ? `, ${summary.duplicates} already protected` : '';
+      const message = summary.failed > 0
+        ? `Batch finished: ${protectedCount} protected${skipped}, ${summary.failed} failed`
+        : `Batch finished: ${protectedCount} artworks protected${skipped}`;
+      showStatus(message, summary.failed > 0 ? 'error' : 'success');
     }
   }
 
@@ -566,13 +1407,15 @@
     // Force style to prevent stretching
     originalImg.style.maxWidth = 'none';
     originalImg.style.height = '100%';
-    originalImg.style.objectFit = 'cover'; // Ensure it covers the area if aspect ratios slightly mismatch
+    originalImg.style.objectFit = 'contain'; // Letterbox like the protected image instead of cropping
 
     const syncWidth = () => {
       if (!container) return;
       const rect = container.getBoundingClientRect();
       if (rect.width > 0) {
-        originalImg.style.width = `${rect.width}px`;
+        // Side by side (comparisonModes.js) gives the original half the width
+        const panes = Number(container.dataset.zoomPanes) || 1;
+        originalImg.style.width = `${rect.width / panes}px`;
       }
     };
 
@@ -624,10 +1467,200 @@
     container.addEventListener('click', (e) => {
       // Prevent jumping if clicking the slider handle itself
       if (e.target === slider || slider.contains(e.target)) return;
+      // The other view modes don't use the wipe
+      if (window.ComparisonModes && window.ComparisonModes.getMode() !== 'slider') return;
       updateSlider(e.clientX);
     });
   }
 
+  function getMaskOverlaySettings() {
+    const opacityInput = document.getElementById('mask-overlay-opacity');
+    const colormapSelect = document.getElementById('mask-overlay-colormap');
+    const autoContrastInput = document.getElementById('mask-overlay-autocontrast');
+    return {
+      opacity: opacityInput ? Number(opacityInput.value) / 100 : 0.5,
+      colorMode: colormapSelect ? colormapSelect.value : 'viridis',
+      autoContrast: autoContrastInput ? autoContrastInput.checked : true
+    };
+  }
+
+  function setMaskOverlayStatus(message, type = 'info') {
+    const statusEl = document.getElementById('mask-overlay-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `text-xs ${type === 'error' ? 'text-red-600' : 'text-subtle'}`;
+  }
+
+  function isMaskOverlayOn() {
+    const toggle = document.getElementById('mask-overlay-toggle');
+    return Boolean(toggle && toggle.checked);
+  }
+
+  /**
+   * Show or hide the mask canvas and its legend from the toggle
+   */
+  function applyMaskOverlayVisibility() {
+    const canvas = document.getElementById('comparison-mask');
+    const legend = document.getElementById('mask-overlay-legend');
+    const visible = Boolean(isMaskOverlayOn() && maskOverlay.sacData && !maskOverlay.stale);
+
+    if (canvas) {
+      canvas.style.display = visible ? 'block' : 'none';
+      // Opacity is applied with CSS so dragging the slider never re-renders the mask
+      canvas.style.opacity = String(getMaskOverlaySettings().opacity);
+    }
+    // renderLegend() lays the legend out as a flex row
+    if (legend) legend.style.display = visible ? 'flex' : 'none';
+  }
+
+  /**
+   * Draw the current mask with the selected colors. The canvas keeps the mask's
+   * own resolution; CSS scales it over the protected image (object-fit: contain,
+   * like the image), so it stays aligned when the container resizes. While the
+   * layer is hidden, setting changes only mark the drawing as stale.
+   */
+  async function renderMaskOverlay() {
+    const canvas = document.getElementById('comparison-mask');
+    const protectedImg = document.getElementById('comparison-protected');
+    maskOverlay.stale = true;
+    if (!canvas || !maskOverlay.sacData || !window.SAC || !isMaskOverlayOn()) {
+      applyMaskOverlayVisibility();
+      return;
+    }
+
+    const renderId = ++maskOverlay.renderId;
+    const { colorMode, autoContrast } = getMaskOverlaySettings();
+    const { sacData } = maskOverlay;
+
+    try {
+      const info = await window.SAC.renderMaskAsync(sacData, canvas, {
+        colorMode,
+        autoContrast,
+        opacity: 1,
+        width: sacData.width || protectedImg.naturalWidth,
+        height: sacData.height || protectedImg.naturalHeight,
+        onProgress: ({ percent }) => {
+          if (renderId === maskOverlay.renderId) setMaskOverlayStatus(`Rendering mask... ${percent}%`);
+        }
+      });
+      if (renderId !== maskOverlay.renderId) return;
+
+      maskOverlay.stale = false;
+      const legend = document.getElementById('mask-overlay-legend');
+      if (legend) window.SAC.renderLegend(legend, info);
+      setMaskOverlayStatus('');
+      applyMaskOverlayVisibility();
+    } catch (error) {
+      if (renderId !== maskOverlay.renderId) return;
+      console.error('[Mask Overlay] Render failed:', error);
+      setMaskOverlayStatus(`Could not draw mask: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Offer a job's mask in the comparison viewer. Nothing is downloaded until
+   * the layer is turned on (right away if it was left on for the last result).
+   * @param {string} jobId - Job ID the mask belongs to
+   * @param {Function} loadMask - Returns a Promise of the mask variant's Blob
+   * @param {HTMLImageElement} protectedImg - Protected image the mask is aligned to
+   */
+  function setMaskOverlaySource(jobId, loadMask, protectedImg) {
+    const controls = document.getElementById('mask-overlay-controls');
+    const toggle = document.getElementById('mask-overlay-toggle');
+
+    resetMaskOverlay();
+    if (!controls || !window.SAC) return;
+
+    maskOverlay.jobId = jobId;
+    maskOverlay.loadMask = loadMask;
+    maskOverlay.protectedImg = protectedImg;
+    controls.style.display = '';
+    if (toggle) toggle.disabled = false;
+    if (isMaskOverlayOn()) loadMaskOverlay();
+  }
+
+  /**
+   * Download and parse the current job's mask, then draw it
+   */
+  async function loadMaskOverlay() {
+    const { jobId, loadMask, protectedImg } = maskOverlay;
+    if (!loadMask || maskOverlay.loading || maskOverlay.sacData) return;
+
+    maskOverlay.loading = true;
+    setMaskOverlayStatus('Loading mask...');
+
+    try {
+      const maskBlob = await loadMask();
+      // Needed for masks without stored dimensions
+      await protectedImg.decode().catch(() => {});
+      if (maskOverlay.jobId !== jobId) return;
+
+      images.mask = maskBlob;
+      maskOverlay.sacData = window.SAC.parseSAC(await maskBlob.arrayBuffer());
+      if (maskOverlay.jobId !== jobId) return;
+
+      setMaskOverlayStatus('');
+      if (window.MaskStatsPanel) {
+        window.MaskStatsPanel.setMask(jobId, maskOverlay.sacData);
+      }
+      await renderMaskOverlay();
+    } catch (error) {
+      if (maskOverlay.jobId !== jobId) return;
+      console.warn('[Mask Overlay] Mask unavailable:', error.message);
+      setMaskOverlayStatus(`Mask unavailable: ${error.message}`, 'error');
+      const toggle = document.getElementById('mask-overlay-toggle');
+      if (toggle) {
+        toggle.checked = false;
+        toggle.disabled = true;
+      }
+    } finally {
+      if (maskOverlay.jobId === jobId) maskOverlay.loading = false;
+    }
+  }
+
+  function handleMaskOverlayToggle() {
+    if (!isMaskOverlayOn()) {
+      applyMaskOverlayVisibility();
+    } else if (!maskOverlay.sacData) {
+      loadMaskOverlay();
+    } else if (maskOverlay.stale) {
+      renderMaskOverlay();
+    } else {
+      applyMaskOverlayVisibility();
+    }
+  }
+
+  /**
+   * Hide the mask layer and forget the current mask
+   */
+  function resetMaskOverlay() {
+    maskOverlay = { jobId: null, loadMask: null, protectedImg: null, loading: false, sacData: null, stale: true, renderId: maskOverlay.renderId + 1 };
+    images.mask = null;
+
+    const canvas = document.getElementById('comparison-mask');
+    const controls = document.getElementById('mask-overlay-controls');
+    const legend = document.getElementById('mask-overlay-legend');
+    if (canvas) canvas.style.display = 'none';
+    if (controls) controls.style.display = 'none';
+    if (legend) {
+      legend.innerHTML = '';
+      legend.style.display = 'none';
+    }
+    setMaskOverlayStatus('');
+  }
+
+  function initializeMaskOverlayControls() {
+    const toggle = document.getElementById('mask-overlay-toggle');
+    const opacityInput = document.getElementById('mask-overlay-opacity');
+    const colormapSelect = document.getElementById('mask-overlay-colormap');
+    const autoContrastInput = document.getElementById('mask-overlay-autocontrast');
+
+    if (toggle) toggle.addEventListener('change', handleMaskOverlayToggle);
+    if (opacityInput) opacityInput.addEventListener('input', applyMaskOverlayVisibility);
+    if (colormapSelect) colormapSelect.addEventListener('change', renderMaskOverlay);
+    if (autoContrastInput) autoContrastInput.addEventListener('change', renderMaskOverlay);
+  }
+
   /**
    * Display protected artwork result
    */
@@ -684,6 +1717,31 @@
         // Initialize slider
         initializeSlider(container, comparisonOverlay, comparisonOriginal, comparisonSlider);
 
+        // Zoom and pan apply to every layer, starting fitted
+        if (window.ComparisonZoom) {
+          window.ComparisonZoom.show();
+        }
+
+        // Side by side, difference and blink views of the same blobs
+        if (window.ComparisonModes) {
+          window.ComparisonModes.setImages(originalBlob, protectedBlob);
+        }
+
+        // PSNR / SSIM / ΔE, measured in a worker and kept with the history entry
+        if (window.QualityMetrics) {
+          window.QualityMetrics.show(result, originalBlob, protectedBlob);
+        }
+
+        // The mask is fetched on first use (Show mask or the statistics panel)
+        // and shared by both. It is optional: a missing mask never blocks the
+        // before/after view.
+        let maskRequest = null;
+        const loadMask = () => maskRequest || (maskRequest = uploader.downloadVariant(result.job_id, 'mask'));
+        if (window.MaskStatsPanel) {
+          window.MaskStatsPanel.setSource(result.job_id, loadMask);
+        }
+        setMaskOverlaySource(result.job_id, loadMask, comparisonProtected);
+
         // Scroll to results
         setTimeout(() => {
           resultsSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -756,23 +1814,6 @@
   function updateProgressTracker(status) {
     console.log('[Progress Tracker] Status update:', status);
 
-    // Mapping of router step names to protection types displayed in UI
-    // Router step names come from the backend processing pipeline
-    // Protection types match the data-protection attributes in the HTML
-    const stepToProtectionMap = {
-      'upload': 'upload',
-      'metadata': 'upload',
-      'imagehash': 'upload',
-      'dhash': 'upload',
-      'grid': 'fawkes',  // Grid processing maps to Fawkes cloaking
-      'poison': 'nightshade',  // Poison processing maps to Nightshade
-      'watermark': 'watermark',
-      'c2pa': 'c2pa',
-      'photoguard': 'photoguard',
-      'mist': 'mist',
-      'fawkes': 'fawkes',  // Direct mapping
-      'nightshade': 'nightshade'  // Direct mapping
-    };
 
     // Check if we have the new progress format
     const progress = status.progress || {};
@@ -795,8 +1836,8 @@
         percentage: percentage
       });
 
-      // Map step name to protection type
-      const currentProtection = stepToProtectionMap[currentStepName];
+      // Map router step name to the tracker step (see ProtectionRegistry steps)
+      const currentProtection = ProtectionRegistry.stepForRouterStep(currentStepName);
 
       if (currentProtection) {
         // If we're tracking a different protection than before, mark the previous one as completed
@@ -837,7 +1878,7 @@
 
       // Update each step based on its status
       Object.entries(steps).forEach(([stepName, stepData]) => {
-        const protection = stepToProtectionMap[stepName];
+        const protection = ProtectionRegistry.stepForRouterStep(stepName);
         if (!protection) return;
 
         const stepStatus = stepData.status || '';
@@ -864,7 +1905,7 @@
 
       // If we have a current step, mark it as in-progress
       if (currentStep) {
-        const currentProtection = stepToProtectionMap[currentStep];
+        const currentProtection = ProtectionRegistry.stepForRouterStep(currentStep);
         if (currentProtection && typeof window.updateProgressStep === 'function') {
           // Only mark as in-progress if not already completed
           const stepData = steps[currentStep] || {};
@@ -907,6 +1948,10 @@
   // Expose resetProgressTracker to window scope
   window.resetProgressTracker = resetProgressTracker;
 
+  // Expose status toasts and HTML escaping for the other dashboard modules
+  window.showStatus = showStatus;
+  window.escapeHtml = escapeHtml;
+
   /**
    * Initialize download buttons
    */
@@ -983,6 +2028,46 @@
     }, timeout);
   }
 
+  /**
+   * Tell the user why a request is being retried and count down to the next attempt
+   * @param {Object} info - Retry details from ArtworkUploader.onRetry
+   */
+  function showRetryNotice(info) {
+    const reason = info.status === 503
+      ? 'Processor unavailable'
+      : info.status === 429
+        ? 'Rate limit reached'
+        : info.status
+          ? `Router error (HTTP ${info.status})`
+          : 'Router unreachable';
+    const retryAt = Date.now() + info.delay;
+    const notice = document.getElementById('retry-notice');
+
+    clearInterval(retryCountdownTimer);
+    showStatus(`${reason}, retrying in ${Math.ceil(info.delay / 1000)}s`, 'info');
+
+    const render = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      if (seconds <= 0) {
+        clearRetryNotice();
+        return;
+      }
+      if (notice) {
+        notice.textContent = `${reason}, retrying ${info.label} in ${seconds}s (attempt ${info.attempt} of ${info.maxRetries})`;
+        notice.style.display = '';
+      }
+    };
+
+    render();
+    retryCountdownTimer = setInterval(render, 1000);
+  }
+
+  function clearRetryNotice() {
+    clearInterval(retryCountdownTimer);
+    const notice = document.getElementById('retry-notice');
+    if (notice) notice.style.display = 'none';
+  }
+
   /**
    * Initialize sidebar toggle functionality
    */
@@ -1275,6 +2360,18 @@
         <span style="white-space: nowrap;">Settings</span>
       </button>
 
+      <button data-action="billing" class="user-menu-item" style="${buttonStyle}"
+        onmouseover="this.style.background='rgba(0,0,0,0.05)'; this.style.color='var(--gray-alpha-950, #111)'"
+        onmouseout="this.style.background='transparent'; this.style.color='#4b5563'">
+        <div style="display: flex; align-items: center; justify-content: center; height: 32px; width: 20px;">
+          <svg xmlns="http://www.w3.org/2000/svg" width="1.25rem" height="1.25rem" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+            <rect width="20" height="14" x="2" y="5" rx="2"></rect>
+            <line x1="2" y1="10" x2="22" y2="10"></line>
+          </svg>
+        </div>
+        <span style="white-space: nowrap;">Credits &amp; billing</span>
+      </button>
+
       <button data-action="sign-out" class="user-menu-item" style="${buttonStyle}"
         onmouseover="this.style.background='rgba(0,0,0,0.05)'; this.style.color='var(--gray-alpha-950, #111)'"
         onmouseout="this.style.background='transparent'; this.style.color='#4b5563'">
@@ -1318,6 +2415,18 @@
       });
     }
 
+    // Add billing handler
+    const billingBtn = dropdown.querySelector('[data-action="billing"]');
+    if (billingBtn) {
+      billingBtn.addEventListener('click', function (e) {
+        e.preventDefault();
+        dropdown.style.display = 'none';
+        if (window.openBillingModal) {
+          window.openBillingModal();
+        }
+      });
+    }
+
     // Add sign-out handler
     const signOutBtn = dropdown.querySelector('[data-action="sign-out"]');
     if (signOutBtn) {
@@ -1421,7 +2530,7 @@
       // Fetch user's artwork history from /artworks/me
       const historyUrl = `${apiUrl}/artworks/me`;
 
-      const response = await fetch(historyUrl, {
+      const response = await RateLimits.fetch(historyUrl, {
         method: 'GET',
         credentials: 'include', // Include session cookie
         headers: {
@@ -1504,11 +2613,15 @@
       // Get the artwork ID - MongoDB ObjectId from the response
       const artworkId = item._id || item.id || '';
 
+      // Quality scores measured when the result was shown, as a tooltip
+      const quality = window.QualityMetrics ? window.QualityMetrics.summary(window.QualityMetrics.lookup(item)) : '';
+
       li.innerHTML = `
         <button
           class="history-item-btn block w-full text-left rounded-lg outline-foreground"
           data-artwork-id="${artworkId}"
-          data-index="${index}">
+          data-index="${index}"${quality ? `
+          title="${escapeHtml(quality)}"` : ''}>
           <div class="relative group rounded-lg overflow-hidden bg-transparent transition-all duration-150 w-[calc(var(--eleven-sidebar-width)-1.8125rem)] hover:text-gray-alpha-950 hover:bg-gray-alpha-100 text-gray-500">
             <div class="flex items-center gap-2 px-1.5 min-w-36 ml-2">
               <div class="flex items-center justify-between flex-1 h-7 transition-all duration-150 group-aria-expanded/sidebar:opacity-100 opacity-0 translate-x-1 group-aria-expanded/sidebar:translate-x-0">
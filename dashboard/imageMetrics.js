@@ -0,0 +1,304 @@
+/**
+ * Image Metrics
+ *
+ * How much protection changed an image: PSNR over RGB, SSIM on luma and the
+ * mean CIEDE2000 color difference. Big images are downscaled first and read
+ * back tile by tile, so memory stays bounded. There are no DOM dependencies;
+ * canvases come from a factory, so the same code runs in metricsWorker.js
+ * (OffscreenCanvas) and on the main thread.
+ */
+
+const ImageMetrics = (function() {
+  const DEFAULTS = {
+    // Longest side the images are downscaled to before measuring
+    maxDimension: 2048,
+    // Side of the square tiles read back from the canvases
+    tileSize: 512
+  };
+
+  // SSIM on 8×8 windows every 4 pixels, constants from Wang et al. (2004)
+  const SSIM_WINDOW = 8;
+  const SSIM_STEP = 4;
+  const SSIM_C1 = (0.01 * 255) ** 2;
+  const SSIM_C2 = (0.03 * 255) ** 2;
+
+  const POW25_7 = 25 ** 7;
+  const DEG = Math.PI / 180;
+
+  // 8-bit sRGB to linear light
+  const SRGB_TO_LINEAR = new Float64Array(256);
+  for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  }
+
+  function labF(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  }
+
+  /**
+   * 8-bit sRGB to CIE L*a*b* (D65)
+   * @returns {number[]} [L, a, b]
+   */
+  function rgbToLab(r, g, b) {
+    const lr = SRGB_TO_LINEAR[r];
+    const lg = SRGB_TO_LINEAR[g];
+    const lb = SRGB_TO_LINEAR[b];
+
+    const fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    const fy = labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    const fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  function hueDegrees(b, a) {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / DEG;
+    return h < 0 ? h + 360 : h;
+  }
+
+  /**
+   * CIEDE2000 color difference (Sharma, Wu and Dalal, 2005)
+   * @returns {number}
+   */
+  function deltaE2000(L1, a1, b1, L2, a2, b2) {
+    const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const Cbar7 = Cbar ** 7;
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = hueDegrees(b1, a1p);
+    const h2p = hueDegrees(b2, a2p);
+    const chromaProduct = C1p * C2p;
+
+    let dhp = 0;
+    if (chromaProduct !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    const dHp = 2 * Math.sqrt(chromaProduct) * Math.sin(dhp / 2 * DEG);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (chromaProduct !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+      else hbarp = hbarp < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+    }
+
+    const T = 1 -
+      0.17 * Math.cos((hbarp - 30) * DEG) +
+      0.24 * Math.cos(2 * hbarp * DEG) +
+      0.32 * Math.cos((3 * hbarp + 6) * DEG) -
+      0.20 * Math.cos((4 * hbarp - 63) * DEG);
+    const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+    const Cbarp7 = Cbarp ** 7;
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+    const Lsq = (Lbarp - 50) ** 2;
+    const Sl = 1 + 0.015 * Lsq / Math.sqrt(20 + Lsq);
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * DEG) * Rc;
+
+    const l = dLp / Sl;
+    const c = dCp / Sc;
+    const h = dHp / Sh;
+    return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+  }
+
+  function luma(pixels, count) {
+    const out = new Float32Array(count);
+    for (let i = 0, p = 0; i < count; i++, p += 4) {
+      out[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    }
+    return out;
+  }
+
+  /**
+   * Sums for one tile, to be combined with addStats() and finish()
+   * @param {Uint8ClampedArray} original - RGBA pixels
+   * @param {Uint8ClampedArray} protectedPixels - RGBA pixels, same size
+   * @param {number} width
+   * @param {number} height
+   * @returns {Object} { squaredError, samples, ssimSum, ssimWindows, deltaESum, pixels }
+   */
+  function tileStats(original, protectedPixels, width, height) {
+    const count = width * height;
+    let squaredError = 0;
+    let deltaESum = 0;
+
+    for (let p = 0; p < count * 4; p += 4) {
+      const r1 = original[p], g1 = original[p + 1], b1 = original[p + 2];
+      const r2 = protectedPixels[p], g2 = protectedPixels[p + 1], b2 = protectedPixels[p + 2];
+      if (r1 === r2 && g1 === g2 && b1 === b2) continue;
+
+      squaredError += (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+      const [L1, A1, B1] = rgbToLab(r1, g1, b1);
+      const [L2, A2, B2] = rgbToLab(r2, g2, b2);
+      deltaESum += deltaE2000(L1, A1, B1, L2, A2, B2);
+    }
+
+    let ssimSum = 0;
+    let ssimWindows = 0;
+    if (width >= SSIM_WINDOW && height >= SSIM_WINDOW) {
+      const x1 = luma(original, count);
+      const y1 = luma(protectedPixels, count);
+      const n = SSIM_WINDOW * SSIM_WINDOW;
+
+      for (let top = 0; top + SSIM_WINDOW <= height; top += SSIM_STEP) {
+        for (let left = 0; left + SSIM_WINDOW <= width; left += SSIM_STEP) {
+          let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+          for (let y = top; y < top + SSIM_WINDOW; y++) {
+            for (let i = y * width + left, end = i + SSIM_WINDOW; i < end; i++) {
+              const a = x1[i];
+              const b = y1[i];
+              sumX += a;
+              sumY += b;
+              sumXX += a * a;
+              sumYY += b * b;
+              sumXY += a * b;
+            }
+          }
+          const meanX = sumX / n;
+          const meanY = sumY / n;
+          const varX = sumXX / n - meanX * meanX;
+          const varY = sumYY / n - meanY * meanY;
+          const covariance = sumXY / n - meanX * meanY;
+
+          ssimSum += ((2 * meanX * meanY + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+            ((meanX * meanX + meanY * meanY + SSIM_C1) * (varX + varY + SSIM_C2));
+          ssimWindows++;
+        }
+      }
+    }
+
+    return { squaredError, samples: count * 3, ssimSum, ssimWindows, deltaESum, pixels: count };
+  }
+
+  function emptyStats() {
+    return { squaredError: 0, samples: 0, ssimSum: 0, ssimWindows: 0, deltaESum: 0, pixels: 0 };
+  }
+
+  function addStats(total, part) {
+    Object.keys(total).forEach(key => {
+      total[key] += part[key];
+    });
+    return total;
+  }
+
+  /**
+   * @param {Object} stats - Sums from tileStats()/addStats()
+   * @returns {Object} { psnr, ssim, deltaE }; psnr is Infinity for identical images
+   */
+  function finish(stats) {
+    const mse = stats.samples ? stats.squaredError / stats.samples : 0;
+    return {
+      psnr: mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse),
+      ssim: stats.ssimWindows ? stats.ssimSum / stats.ssimWindows : (mse === 0 ? 1 : null),
+      deltaE: stats.pixels ? stats.deltaESum / stats.pixels : 0
+    };
+  }
+
+  /**
+   * Compare two RGBA buffers of the same size in one go
+   * @returns {Object} { psnr, ssim, deltaE }
+   */
+  function compare(original, protectedPixels, width, height) {
+    return finish(tileStats(original, protectedPixels, width, height));
+  }
+
+  /**
+   * Size the images are measured at
+   * @returns {Object} { width, height, downscaled }
+   */
+  function targetSize(width, height, maxDimension = DEFAULTS.maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+      downscaled: scale < 1
+    };
+  }
+
+  /**
+   * Measure decoded images. The original is drawn at the protected image's
+   * (possibly downscaled) size, then both are read back one tile at a time.
+   * @param {ImageBitmap|HTMLImageElement} original
+   * @param {ImageBitmap|HTMLImageElement} protectedImage
+   * @param {Object} options
+   * @param {Function} options.createCanvas - (width, height) => canvas with a 2D context
+   * @param {number} [options.maxDimension] - Longest side to measure at (default: 2048)
+   * @param {number} [options.tileSize] - Tile side in pixels (default: 512)
+   * @param {Function} [options.onProgress] - Callback(percent)
+   * @returns {Object} { psnr, ssim, deltaE, width, height, sourceWidth, sourceHeight, downscaled }
+   */
+  function measure(original, protectedImage, options) {
+    const { createCanvas, onProgress = null } = options;
+    const maxDimension = options.maxDimension || DEFAULTS.maxDimension;
+    const tileSize = options.tileSize || DEFAULTS.tileSize;
+
+    const sourceWidth = protectedImage.width;
+    const sourceHeight = protectedImage.height;
+    const { width, height, downscaled } = targetSize(sourceWidth, sourceHeight, maxDimension);
+
+    const draw = (image) => {
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(image, 0, 0, width, height);
+      return ctx;
+    };
+    const originalCtx = draw(original);
+    const protectedCtx = draw(protectedImage);
+
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const total = emptyStats();
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const x = column * tileSize;
+        const y = row * tileSize;
+        const w = Math.min(tileSize, width - x);
+        const h = Math.min(tileSize, height - y);
+        addStats(total, tileStats(
+          originalCtx.getImageData(x, y, w, h).data,
+          protectedCtx.getImageData(x, y, w, h).data,
+          w,
+          h
+        ));
+        if (onProgress) onProgress(Math.round((row * columns + column + 1) / (rows * columns) * 100));
+      }
+    }
+
+    return { ...finish(total), width, height, sourceWidth, sourceHeight, downscaled };
+  }
+
+  return {
+    DEFAULTS,
+    rgbToLab,
+    deltaE2000,
+    tileStats,
+    addStats,
+    finish,
+    compare,
+    targetSize,
+    measure
+  };
+})();
+
+// Make metrics available globally
+if (typeof window !== 'undefined') {
+  window.ImageMetrics = ImageMetrics;
+}
+
+// Export for ES modules (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageMetrics;
+}
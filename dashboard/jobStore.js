@@ -0,0 +1,92 @@
+/**
+ * Job Store - Persists in-flight protection jobs across page reloads
+ *
+ * Stores the job ID together with the selected protections and submission
+ * metadata so the dashboard can rebuild the progress tracker and resume
+ * tracking after a refresh.
+ */
+
+const ACTIVE_JOBS_KEY = 'artorize-active-jobs';
+
+// Jobs older than this are assumed to be gone from the router
+const ACTIVE_JOB_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+class JobStore {
+  /**
+   * Remember an in-flight job
+   * @param {Object} job
+   * @param {string} job.job_id - Job ID returned from submitArtwork
+   * @param {string[]} job.protections - Selected protection card keys
+   * @param {string} [job.watermark_strategy] - Selected watermark strategy
+   * @param {string} [job.artwork_title] - Submitted title
+   * @param {string} [job.artist_name] - Submitted artist name
+   * @param {string} [job.file_name] - Original file name
+   * @param {boolean} [job.batch] - True if submitted through the upload queue
+   */
+  static save(job) {
+    const jobs = JobStore._load().filter(entry => entry.job_id !== job.job_id);
+    jobs.push({
+      job_id: job.job_id,
+      protections: job.protections || [],
+      watermark_strategy: job.watermark_strategy || null,
+      artwork_title: job.artwork_title || '',
+      artist_name: job.artist_name || '',
+      file_name: job.file_name || '',
+      batch: Boolean(job.batch),
+      submitted_at: Date.now()
+    });
+    JobStore._save(jobs);
+  }
+
+  /**
+   * Forget a job once it has finished or can no longer be tracked
+   * @param {string} jobId - Job ID
+   */
+  static remove(jobId) {
+    JobStore._save(JobStore._load().filter(entry => entry.job_id !== jobId));
+  }
+
+  /**
+   * All remembered jobs, oldest first. Expired entries are dropped.
+   * @returns {Object[]} Stored jobs
+   */
+  static list() {
+    const jobs = JobStore._load();
+    const fresh = jobs.filter(entry => Date.now() - entry.submitted_at < ACTIVE_JOB_MAX_AGE);
+    if (fresh.length !== jobs.length) {
+      JobStore._save(fresh);
+    }
+    return fresh;
+  }
+
+  static _load() {
+    try {
+      const jobs = JSON.parse(localStorage.getItem(ACTIVE_JOBS_KEY));
+      return Array.isArray(jobs) ? jobs : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static _save(jobs) {
+    try {
+      if (jobs.length === 0) {
+        localStorage.removeItem(ACTIVE_JOBS_KEY);
+      } else {
+        localStorage.setItem(ACTIVE_JOBS_KEY, JSON.stringify(jobs));
+      }
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode) - jobs just won't survive a reload
+    }
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.JobStore = JobStore;
+}
+
+// ES module export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JobStore;
+}
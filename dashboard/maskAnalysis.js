@@ -0,0 +1,243 @@
+/**
+ * Mask Analysis
+ *
+ * Numbers on the perturbation stored in a SAC mask: per-array statistics,
+ * value histograms, the share of pixels above a threshold and a coarse
+ * spatial heat grid. Works on parseSAC() output and has no DOM dependencies;
+ * the dashboard panel lives in maskStatsPanel.js.
+ */
+
+const MaskAnalysis = (function() {
+  const DEFAULTS = {
+    // |value| above this counts as changed (0 = any non-zero value)
+    threshold: 0,
+    // Histogram bins per array
+    bins: 64,
+    // Heat grid cells per side
+    grid: 8
+  };
+
+  /**
+   * Min, max, mean, standard deviation, histogram and threshold count of one array
+   * @param {Function} read - (index) => value
+   * @param {number} length - Number of values
+   * @param {Object} options - { threshold, bins }
+   * @returns {Object}
+   */
+  function arrayStats(read, length, { threshold, bins }) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let sumSquares = 0;
+    let above = 0;
+    let count = 0;
+
+    for (let i = 0; i < length; i++) {
+      const value = read(i);
+      if (!Number.isFinite(value)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+      sum += value;
+      sumSquares += value * value;
+      if (Math.abs(value) > threshold) above++;
+      count++;
+    }
+
+    if (count === 0) {
+      return { min: null, max: null, mean: null, std: null, count: 0, above: 0, percentAbove: 0, histogram: null };
+    }
+
+    const mean = sum / count;
+    const variance = Math.max(0, sumSquares / count - mean * mean);
+
+    // Histogram over the actual extent; a flat array lands in a single bin
+    const counts = new Array(bins).fill(0);
+    const scale = max > min ? bins / (max - min) : 0;
+    for (let i = 0; i < length; i++) {
+      const value = read(i);
+      if (!Number.isFinite(value)) continue;
+      counts[Math.min(bins - 1, Math.floor((value - min) * scale))]++;
+    }
+
+    return {
+      min,
+      max,
+      mean,
+      std: Math.sqrt(variance),
+      count,
+      above,
+      percentAbove: above / count * 100,
+      histogram: { min, max, counts }
+    };
+  }
+
+  /**
+   * Mean and peak |value| per cell of a grid laid over the image
+   * @returns {Object|null} { rows, cols, cells, hotspots }, or null without dimensions
+   */
+  function heatGrid(read, width, height, { threshold, grid }) {
+    if (!width || !height) return null;
+
+    const rows = Math.min(grid, height);
+    const cols = Math.min(grid, width);
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        cells.push({ row, col, sum: 0, max: 0, above: 0, count: 0 });
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      const rowOffset = Math.floor(y * rows / height) * cols;
+      for (let x = 0; x < width; x++) {
+        const value = Math.abs(read(y * width + x));
+        if (!Number.isFinite(value)) continue;
+        const cell = cells[rowOffset + Math.floor(x * cols / width)];
+        cell.sum += value;
+        if (value > cell.max) cell.max = value;
+        if (value > threshold) cell.above++;
+        cell.count++;
+      }
+    }
+
+    const summary = cells.map(({ row, col, sum, max, above, count }) => ({
+      row,
+      col,
+      mean: count ? sum / count : 0,
+      max,
+      percentAbove: count ? above / count * 100 : 0
+    }));
+
+    // Cells with the strongest average perturbation, strongest first
+    const hotspots = summary.slice().sort((a, b) => b.mean - a.mean).slice(0, 3);
+
+    return { rows, cols, cells: summary, hotspots };
+  }
+
+  /**
+   * Analyze a parsed mask
+   * @param {Object} sacData - Parsed SAC data from parseSAC()
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - |value| above this counts as changed (default: 0)
+   * @param {number} [options.bins] - Histogram bins (default: 64)
+   * @param {number} [options.grid] - Heat grid cells per side (default: 8)
+   * @param {number} [options.width] - Width if the mask doesn't store it
+   * @param {number} [options.height] - Height if the mask doesn't store it
+   * @returns {Object} Report: { width, height, pixelCount, dataType, version, threshold, arrays: { a, b, magnitude }, heat }
+   * @throws {Error} On invalid options
+   */
+  function analyze(sacData, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const { threshold, bins, grid } = settings;
+
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      throw new Error(`Invalid threshold: ${threshold} (expected 0 or more)`);
+    }
+    if (!Number.isInteger(bins) || bins < 1 || bins > 4096) {
+      throw new Error(`Invalid bin count: ${bins} (expected 1-4096)`);
+    }
+    if (!Number.isInteger(grid) || grid < 1 || grid > 64) {
+      throw new Error(`Invalid grid size: ${grid} (expected 1-64)`);
+    }
+
+    const { arrayA, arrayB } = sacData;
+    const length = arrayA.length;
+    const width = sacData.width || settings.width || null;
+    const height = sacData.height || settings.height || null;
+
+    const readA = (i) => arrayA[i];
+    const readB = arrayB ? (i) => arrayB[i] : null;
+    const readMagnitude = arrayB ? (i) => Math.hypot(arrayA[i], arrayB[i]) : null;
+
+    const arrays = {
+      a: arrayStats(readA, length, settings),
+      b: readB ? arrayStats(readB, length, settings) : null,
+      magnitude: readMagnitude ? arrayStats(readMagnitude, length, settings) : null
+    };
+
+    // Spatial summary of the combined perturbation when there are two arrays
+    const heat = heatGrid(readMagnitude || readA, width, height, settings);
+    if (heat) heat.channel = readMagnitude ? 'magnitude' : 'a';
+
+    return {
+      width,
+      height,
+      pixelCount: length,
+      dataType: sacData.dataType || 'int16',
+      version: sacData.version || '1.0',
+      threshold,
+      arrays,
+      heat
+    };
+  }
+
+  function csvRow(values) {
+    return values.map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+
+  /**
+   * CSV export: a statistics table, a histogram table and a heat grid table,
+   * separated by blank lines
+   * @param {Object} report - Result of analyze()
+   * @returns {string}
+   */
+  function toCSV(report) {
+    const lines = [];
+    const arrays = Object.entries(report.arrays).filter(([, stats]) => stats);
+
+    lines.push(csvRow(['array', 'min', 'max', 'mean', 'std', 'pixels', 'above_threshold', 'percent_above', 'threshold']));
+    arrays.forEach(([name, stats]) => {
+      lines.push(csvRow([name, stats.min, stats.max, stats.mean, stats.std, stats.count, stats.above, stats.percentAbove, report.threshold]));
+    });
+
+    lines.push('');
+    lines.push(csvRow(['array', 'bin', 'bin_start', 'bin_end', 'count']));
+    arrays.forEach(([name, stats]) => {
+      if (!stats.histogram) return;
+      const { min, max, counts } = stats.histogram;
+      const step = (max - min) / counts.length;
+      counts.forEach((count, bin) => {
+        lines.push(csvRow([name, bin, min + bin * step, min + (bin + 1) * step, count]));
+      });
+    });
+
+    if (report.heat) {
+      lines.push('');
+      lines.push(csvRow(['channel', 'row', 'col', 'mean_abs', 'max_abs', 'percent_above']));
+      report.heat.cells.forEach(cell => {
+        lines.push(csvRow([report.heat.channel, cell.row, cell.col, cell.mean, cell.max, cell.percentAbove]));
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {Object} report - Result of analyze()
+   * @param {Object} [meta] - Extra fields stored alongside (e.g. job_id)
+   * @returns {string} Pretty-printed JSON
+   */
+  function toJSON(report, meta = {}) {
+    return JSON.stringify({ ...meta, generated_at: new Date().toISOString(), ...report }, null, 2);
+  }
+
+  return {
+    DEFAULTS,
+    analyze,
+    toCSV,
+    toJSON
+  };
+})();
+
+// Make analysis available globally
+if (typeof window !== 'undefined') {
+  window.MaskAnalysis = MaskAnalysis;
+}
+
+// Export for ES modules (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MaskAnalysis;
+}
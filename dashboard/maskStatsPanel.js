@@ -0,0 +1,285 @@
+/**
+ * Mask Statistics Panel
+ * Collapsible panel under the comparison viewer showing MaskAnalysis results
+ * for the current job's SAC mask, with CSV/JSON export. The mask is only
+ * downloaded and analyzed once the panel is opened.
+ */
+
+(function() {
+  'use strict';
+
+  const ARRAY_LABELS = { a: 'Array A', b: 'Array B', magnitude: 'Magnitude' };
+
+  let jobId = null;
+  let loadMask = null;  // () => Promise<Blob|ArrayBuffer>, set per job
+  let sacData = null;
+  let report = null;
+  let loading = null;   // Promise while the mask is being downloaded
+
+  function getPanel() {
+    return document.getElementById('mask-stats-panel');
+  }
+
+  function setStatus(message, type = 'info') {
+    const statusEl = document.getElementById('mask-stats-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `text-xs ${type === 'error' ? 'text-red-600' : 'text-subtle'}`;
+  }
+
+  function setExportEnabled(enabled) {
+    ['mask-stats-export-csv', 'mask-stats-export-json'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !enabled;
+    });
+  }
+
+  function format(value) {
+    if (value === null || value === undefined) return '–';
+    if (Math.abs(value) >= 10000) return Math.round(value).toLocaleString();
+    return Number(value.toPrecision(4)).toString();
+  }
+
+  function readThreshold() {
+    const input = document.getElementById('mask-stats-threshold');
+    const value = input ? Number(input.value) : 0;
+    return Number.isFinite(value) && value >= 0 ? value : 0;
+  }
+
+  /**
+   * Point the panel at a job's mask. Nothing is downloaded until the panel is opened.
+   * @param {string} id - Job ID (used in export file names)
+   * @param {Function} loader - Returns a Promise of the mask as a Blob or ArrayBuffer
+   */
+  function setSource(id, loader) {
+    reset();
+    jobId = id;
+    loadMask = loader;
+
+    const panel = getPanel();
+    if (!panel) return;
+    panel.style.display = '';
+    setStatus('Open to analyze the protection mask');
+    if (panel.open) ensureLoaded();
+  }
+
+  /**
+   * Use a mask that has already been parsed (e.g. by the mask overlay)
+   * @param {string} id - Job ID
+   * @param {Object} data - Parsed SAC data from parseSAC()
+   */
+  function setMask(id, data) {
+    if (id !== jobId) {
+      setSource(id, null);
+    }
+    sacData = data;
+    const panel = getPanel();
+    if (panel && panel.open) analyzeAndRender();
+  }
+
+  /**
+   * Hide the panel and forget the current mask
+   */
+  function reset() {
+    jobId = null;
+    loadMask = null;
+    sacData = null;
+    report = null;
+    loading = null;
+
+    const panel = getPanel();
+    if (panel) {
+      panel.style.display = 'none';
+      panel.open = false;
+    }
+    const content = document.getElementById('mask-stats-content');
+    if (content) content.innerHTML = '';
+    setExportEnabled(false);
+    setStatus('');
+  }
+
+  async function ensureLoaded() {
+    if (sacData) {
+      if (!report) analyzeAndRender();
+      return;
+    }
+    if (loading || !loadMask) return;
+
+    const requestedJob = jobId;
+    setStatus('Downloading mask...');
+    loading = Promise.resolve(loadMask())
+      .then(data => (data instanceof ArrayBuffer ? data : data.arrayBuffer()))
+      .then(buffer => {
+        if (requestedJob !== jobId) return;
+        sacData = window.SAC.parseSAC(buffer);
+        analyzeAndRender();
+      })
+      .catch(error => {
+        if (requestedJob !== jobId) return;
+        console.error('[Mask Stats] Failed to load mask:', error);
+        setStatus(`Could not load mask: ${error.message}`, 'error');
+      })
+      .finally(() => {
+        if (requestedJob === jobId) loading = null;
+      });
+  }
+
+  function analyzeAndRender() {
+    if (!sacData) return;
+
+    setStatus('Analyzing...');
+    // Let the status paint before the (synchronous) pass over the mask
+    setTimeout(() => {
+      if (!sacData) return;
+      try {
+        report = window.MaskAnalysis.analyze(sacData, { threshold: readThreshold() });
+        render(report);
+        setExportEnabled(true);
+        setStatus(`${report.width && report.height ? `${report.width}×${report.height}` : `${report.pixelCount.toLocaleString()} pixels`}, ${report.dataType}, SAC v${report.version}`);
+      } catch (error) {
+        console.error('[Mask Stats] Analysis failed:', error);
+        setStatus(`Analysis failed: ${error.message}`, 'error');
+      }
+    }, 0);
+  }
+
+  function render(data) {
+    const content = document.getElementById('mask-stats-content');
+    if (!content) return;
+
+    const arrays = Object.entries(data.arrays).filter(([, stats]) => stats);
+
+    const rows = arrays.map(([name, stats]) => `
+      <tr class="border-t border-gray-100">
+        <td class="py-1.5 pr-3 font-medium text-foreground">${ARRAY_LABELS[name]}</td>
+        <td class="py-1.5 pr-3 tabular-nums">${format(stats.min)}</td>
+        <td class="py-1.5 pr-3 tabular-nums">${format(stats.max)}</td>
+        <td class="py-1.5 pr-3 tabular-nums">${format(stats.mean)}</td>
+        <td class="py-1.5 pr-3 tabular-nums">${format(stats.std)}</td>
+        <td class="py-1.5 tabular-nums">${format(stats.percentAbove)}%</td>
+      </tr>`).join('');
+
+    content.innerHTML = `
+      <div class="overflow-x-auto">
+        <table class="w-full text-sm text-left">
+          <thead class="text-xs text-subtle">
+            <tr>
+              <th class="pb-1.5 pr-3 font-medium">Array</th>
+              <th class="pb-1.5 pr-3 font-medium">Min</th>
+              <th class="pb-1.5 pr-3 font-medium">Max</th>
+              <th class="pb-1.5 pr-3 font-medium">Mean</th>
+              <th class="pb-1.5 pr-3 font-medium">Std dev</th>
+              <th class="pb-1.5 font-medium">Above threshold</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div class="grid gap-3" style="grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));">
+        ${arrays.map(([name]) => `
+          <figure class="stack gap-1">
+            <canvas data-histogram="${name}" width="256" height="64" class="w-full h-16 rounded bg-gray-50"></canvas>
+            <figcaption class="flex justify-between text-xs text-subtle">
+              <span>${format(data.arrays[name].min)}</span>
+              <span>${ARRAY_LABELS[name]}</span>
+              <span>${format(data.arrays[name].max)}</span>
+            </figcaption>
+          </figure>`).join('')}
+      </div>
+      ${data.heat ? `
+        <div class="flex flex-wrap items-start gap-4">
+          <canvas id="mask-stats-heat" width="${data.heat.cols * 16}" height="${data.heat.rows * 16}"
+                  class="rounded border border-gray-200" style="width: ${data.heat.cols * 16}px; image-rendering: pixelated;"></canvas>
+          <div class="stack gap-1 text-xs text-subtle">
+            <p class="text-sm font-medium text-foreground">Spatial heat (${data.heat.channel === 'magnitude' ? 'magnitude' : 'array A'})</p>
+            <p>Mean |value| per region, ${data.heat.rows}×${data.heat.cols} grid. Darker is stronger.</p>
+            ${data.heat.hotspots.map(cell => `<p>Row ${cell.row + 1}, column ${cell.col + 1}: mean ${format(cell.mean)}, ${format(cell.percentAbove)}% above threshold</p>`).join('')}
+          </div>
+        </div>` : ''}`;
+
+    arrays.forEach(([name, stats]) => {
+      const canvas = content.querySelector(`[data-histogram="${name}"]`);
+      if (canvas && stats.histogram) drawHistogram(canvas, stats.histogram.counts);
+    });
+    if (data.heat) {
+      drawHeat(document.getElementById('mask-stats-heat'), data.heat);
+    }
+  }
+
+  function drawHistogram(canvas, counts) {
+    const ctx = canvas.getContext('2d');
+    const peak = Math.max(...counts, 1);
+    const barWidth = canvas.width / counts.length;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#6366f1';
+    counts.forEach((count, bin) => {
+      // Square root scale so small bins next to a dominant one stay visible
+      const barHeight = Math.sqrt(count / peak) * canvas.height;
+      ctx.fillRect(bin * barWidth, canvas.height - barHeight, Math.max(1, barWidth - 1), barHeight);
+    });
+  }
+
+  function drawHeat(canvas, heat) {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const peak = Math.max(...heat.cells.map(cell => cell.mean), Number.EPSILON);
+    const cellWidth = canvas.width / heat.cols;
+    const cellHeight = canvas.height / heat.rows;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    heat.cells.forEach(cell => {
+      ctx.fillStyle = `rgba(220, 38, 38, ${(cell.mean / peak).toFixed(3)})`;
+      ctx.fillRect(cell.col * cellWidth, cell.row * cellHeight, cellWidth, cellHeight);
+    });
+  }
+
+  function download(content, type, extension) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mask-stats-${jobId || 'artwork'}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function init() {
+    const panel = getPanel();
+    if (!panel) return;
+
+    panel.addEventListener('toggle', () => {
+      if (panel.open) ensureLoaded();
+    });
+
+    const thresholdInput = document.getElementById('mask-stats-threshold');
+    if (thresholdInput) {
+      thresholdInput.addEventListener('change', () => {
+        if (sacData) analyzeAndRender();
+      });
+    }
+
+    const csvBtn = document.getElementById('mask-stats-export-csv');
+    const jsonBtn = document.getElementById('mask-stats-export-json');
+    if (csvBtn) {
+      csvBtn.addEventListener('click', () => {
+        if (report) download(window.MaskAnalysis.toCSV(report), 'text/csv', 'csv');
+      });
+    }
+    if (jsonBtn) {
+      jsonBtn.addEventListener('click', () => {
+        if (report) download(window.MaskAnalysis.toJSON(report, { job_id: jobId }), 'application/json', 'json');
+      });
+    }
+  }
+
+  // Expose for dashboard-v2.js
+  window.MaskStatsPanel = {
+    init,
+    setSource,
+    setMask,
+    reset
+  };
+})();
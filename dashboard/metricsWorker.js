@@ -0,0 +1,41 @@
+/**
+ * Metrics Worker - Image quality scores off the main thread
+ *
+ * Decodes the original and protected images, downscales them and runs
+ * ImageMetrics.measure() tile by tile on OffscreenCanvas, so measuring an
+ * 8K image doesn't freeze the page.
+ *
+ * Message in:  { original: Blob, protected: Blob, maxDimension?, tileSize? }
+ * Messages out: { type: 'progress', percent }
+ *               { type: 'done', metrics }   (see ImageMetrics.measure)
+ *               { type: 'error', message }
+ */
+
+importScripts('imageMetrics.js');
+
+self.onmessage = async (event) => {
+  const { original, protected: protectedBlob, maxDimension, tileSize } = event.data || {};
+  try {
+    if (typeof OffscreenCanvas === 'undefined') {
+      throw new Error('OffscreenCanvas is not available in workers');
+    }
+
+    const [originalBitmap, protectedBitmap] = await Promise.all([
+      createImageBitmap(original),
+      createImageBitmap(protectedBlob)
+    ]);
+
+    const metrics = ImageMetrics.measure(originalBitmap, protectedBitmap, {
+      maxDimension,
+      tileSize,
+      createCanvas: (width, height) => new OffscreenCanvas(width, height),
+      onProgress: (percent) => self.postMessage({ type: 'progress', percent })
+    });
+    originalBitmap.close();
+    protectedBitmap.close();
+
+    self.postMessage({ type: 'done', metrics });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Metrics worker failed' });
+  }
+};
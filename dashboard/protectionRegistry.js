@@ -0,0 +1,249 @@
+/**
+ * Protection Layer Registry
+ *
+ * Single source of truth for the protection layers offered by the dashboard:
+ * the config panel cards, the built-in presets, the progress tracker step
+ * names and the POST /protect payload are all derived from this file.
+ * Anything not listed here is rejected before it reaches the router.
+ */
+
+const ProtectionRegistry = (function() {
+  // Layers in display and processing order. `field` is the POST /protect flag;
+  // `steps` are the router pipeline step names reported for the layer.
+  // The watermark layer has no flag: it switches `watermark_strategy` between
+  // the selected strategy and 'none'. `strengthField` is set on the
+  // adversarial layers, which accept a perturbation budget (see STRENGTH).
+  const LAYERS = [
+    { key: 'fawkes', name: 'Face Privacy', field: 'enable_fawkes', strengthField: 'fawkes_epsilon', steps: ['fawkes', 'grid'] },
+    { key: 'photoguard', name: 'Edit Guard', field: 'enable_photoguard', strengthField: 'photoguard_epsilon', steps: ['photoguard'] },
+    { key: 'mist', name: 'Training Block', field: 'enable_mist', strengthField: 'mist_epsilon', steps: ['mist'] },
+    { key: 'nightshade', name: 'Data Poison', field: 'enable_nightshade', strengthField: 'nightshade_epsilon', steps: ['nightshade', 'poison'] },
+    { key: 'c2pa', name: 'Proof of Origin', field: 'enable_c2pa_manifest', steps: ['c2pa'] },
+    { key: 'watermark', name: 'Watermark', field: null, steps: ['watermark'] }
+  ];
+
+  // Values accepted by the router's `watermark_strategy` enum ('none' is
+  // sent when the watermark layer is not selected)
+  const WATERMARK_STRATEGIES = [
+    { value: 'invisible-watermark', label: 'Invisible Watermark' },
+    { value: 'tree-ring', label: 'Tree Ring' }
+  ];
+
+  const DEFAULT_WATERMARK_STRATEGY = 'invisible-watermark';
+
+  // Perturbation budget of the adversarial layers: epsilon is the largest
+  // change a layer may make to any pixel channel, in 8-bit levels (0-255)
+  const STRENGTH = {
+    min: 1,
+    max: 32,
+    levels: [
+      { value: 'low', label: 'Low', epsilon: 4 },
+      { value: 'medium', label: 'Medium', epsilon: 8 },
+      { value: 'high', label: 'High', epsilon: 16 }
+    ],
+    // Nothing is sent until the user picks a level, so the router's own
+    // default applies; the impact preview assumes it is about this level
+    assumedDefault: 'medium'
+  };
+
+  // enable_* flags owned by the Advanced section rather than a layer card
+  const ADVANCED_FLAGS = ['enable_stegano_embed', 'enable_tineye'];
+
+  const PRESETS = {
+    lite: { protections: ['nightshade', 'watermark'], watermark_strategy: 'invisible-watermark' },
+    partial: { protections: ['mist', 'nightshade', 'c2pa', 'watermark'], watermark_strategy: 'invisible-watermark' },
+    full: { protections: ['fawkes', 'photoguard', 'mist', 'nightshade', 'c2pa', 'watermark'], watermark_strategy: 'tree-ring' }
+  };
+
+  // Progress tracker step that precedes every layer (covers the analysis steps too)
+  const UPLOAD_STEP = { key: 'upload', name: 'Uploading Artwork', steps: ['upload', 'metadata', 'imagehash', 'dhash'] };
+
+  function getLayer(key) {
+    return LAYERS.find(layer => layer.key === key) || null;
+  }
+
+  function isKnownLayer(key) {
+    return getLayer(key) !== null;
+  }
+
+  function isKnownWatermarkStrategy(value) {
+    return WATERMARK_STRATEGIES.some(strategy => strategy.value === value);
+  }
+
+  /**
+   * @param {string} key - Layer key
+   * @returns {boolean} True if the layer accepts a strength
+   */
+  function hasStrength(key) {
+    const layer = getLayer(key);
+    return Boolean(layer && layer.strengthField);
+  }
+
+  /**
+   * Epsilon for a named level or a number
+   * @param {string|number} strength - 'low', 'medium', 'high' or an epsilon
+   * @returns {number|null} Epsilon, or null if invalid
+   */
+  function strengthEpsilon(strength) {
+    const level = STRENGTH.levels.find(entry => entry.value === strength);
+    if (level) return level.epsilon;
+    return Number.isInteger(strength) && strength >= STRENGTH.min && strength <= STRENGTH.max ? strength : null;
+  }
+
+  /**
+   * Named level matching an epsilon
+   * @param {number} epsilon
+   * @returns {string|null} 'low', 'medium', 'high', or null for a custom value
+   */
+  function strengthLevel(epsilon) {
+    const level = STRENGTH.levels.find(entry => entry.epsilon === epsilon);
+    return level ? level.value : null;
+  }
+
+  /**
+   * Display name for a progress tracker step
+   * @param {string} key - Layer key or 'upload'
+   * @returns {string} Display name (the key itself if unknown)
+   */
+  function stepName(key) {
+    if (key === UPLOAD_STEP.key) return UPLOAD_STEP.name;
+    const layer = getLayer(key);
+    return layer ? layer.name : key;
+  }
+
+  /**
+   * Progress tracker step for a router pipeline step
+   * @param {string} routerStep - Step name reported by the router (lowercase)
+   * @returns {string|null} Layer key, 'upload', or null if not shown in the tracker
+   */
+  function stepForRouterStep(routerStep) {
+    if (UPLOAD_STEP.steps.includes(routerStep)) return UPLOAD_STEP.key;
+    const layer = LAYERS.find(entry => entry.steps.includes(routerStep));
+    return layer ? layer.key : null;
+  }
+
+  /**
+   * Sort layer keys into registry order
+   * @param {string[]} keys - Layer keys
+   * @returns {string[]} Known keys in registry order
+   */
+  function ordered(keys) {
+    return LAYERS.filter(layer => keys.includes(layer.key)).map(layer => layer.key);
+  }
+
+  /**
+   * Translate a card selection into POST /protect fields
+   * @param {string[]} protections - Selected layer keys
+   * @param {string} [watermarkStrategy] - Strategy used when the watermark layer is selected
+   * @returns {Object} enable_* flags and watermark_strategy
+   * @throws {Error} On unknown layers or watermark strategies
+   */
+  function buildProtectionOptions(protections, watermarkStrategy = DEFAULT_WATERMARK_STRATEGY) {
+    const unknown = protections.filter(key => !isKnownLayer(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown protection layer: ${unknown.join(', ')}`);
+    }
+    if (!isKnownWatermarkStrategy(watermarkStrategy)) {
+      throw new Error(`Unknown watermark strategy: ${watermarkStrategy}`);
+    }
+
+    const options = {};
+    LAYERS.forEach(layer => {
+      if (layer.field) {
+        options[layer.field] = protections.includes(layer.key);
+      }
+    });
+    options.watermark_strategy = protections.includes('watermark') ? watermarkStrategy : 'none';
+
+    return options;
+  }
+
+  /**
+   * Translate per-layer strengths into POST /protect fields. Layers that are
+   * not selected or take no strength are skipped.
+   * @param {string[]} protections - Selected layer keys
+   * @param {Object} strengths - Layer key -> level name or epsilon
+   * @returns {Object} `<layer>_epsilon` fields plus `extra_metadata.protection_strength`
+   *   recording the choice on the artwork
+   * @throws {Error} On an invalid strength
+   */
+  function buildStrengthOptions(protections, strengths = {}) {
+    const options = {};
+    const record = {};
+
+    LAYERS.forEach(layer => {
+      if (!layer.strengthField || !protections.includes(layer.key) || strengths[layer.key] === undefined) return;
+
+      const epsilon = strengthEpsilon(strengths[layer.key]);
+      if (epsilon === null) {
+        throw new Error(`${layer.name} strength must be low, medium, high or a whole number from ${STRENGTH.min} to ${STRENGTH.max}`);
+      }
+      options[layer.strengthField] = epsilon;
+      record[layer.key] = { level: strengthLevel(epsilon) || 'custom', epsilon };
+    });
+
+    if (Object.keys(record).length > 0) {
+      options.extra_metadata = { protection_strength: record };
+    }
+    return options;
+  }
+
+  /**
+   * Check protection fields about to be sent to the router
+   * @param {Object} options - protectionOptions passed to submitArtwork
+   * @throws {Error} If an enable_* flag, *_epsilon strength or watermark_strategy is not recognized
+   */
+  function validateProtectionOptions(options = {}) {
+    const knownFlags = LAYERS.map(layer => layer.field).filter(Boolean).concat(ADVANCED_FLAGS);
+    const strengthFields = LAYERS.map(layer => layer.strengthField).filter(Boolean);
+    Object.keys(options).forEach(key => {
+      if (/^enable_/.test(key) && !knownFlags.includes(key)) {
+        throw new Error(`Unknown protection option: ${key}`);
+      }
+      if (/_epsilon$/.test(key)) {
+        if (!strengthFields.includes(key)) {
+          throw new Error(`Unknown protection option: ${key}`);
+        }
+        if (strengthEpsilon(options[key]) === null) {
+          throw new Error(`Invalid ${key}: ${options[key]} (expected ${STRENGTH.min}-${STRENGTH.max})`);
+        }
+      }
+    });
+
+    const strategy = options.watermark_strategy;
+    if (strategy !== undefined && strategy !== 'none' && !isKnownWatermarkStrategy(strategy)) {
+      throw new Error(`Unknown watermark strategy: ${strategy}`);
+    }
+  }
+
+  return {
+    LAYERS,
+    WATERMARK_STRATEGIES,
+    DEFAULT_WATERMARK_STRATEGY,
+    STRENGTH,
+    PRESETS,
+    UPLOAD_STEP,
+    getLayer,
+    isKnownLayer,
+    isKnownWatermarkStrategy,
+    hasStrength,
+    strengthEpsilon,
+    strengthLevel,
+    stepName,
+    stepForRouterStep,
+    ordered,
+    buildProtectionOptions,
+    buildStrengthOptions,
+    validateProtectionOptions
+  };
+})();
+
+// Make registry available globally
+if (typeof window !== 'undefined') {
+  window.ProtectionRegistry = ProtectionRegistry;
+}
+
+// Export for ES modules (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProtectionRegistry;
+}
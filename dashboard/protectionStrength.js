@@ -0,0 +1,272 @@
+/**
+ * Protection Strength
+ * Per-layer strength controls on the adversarial protection cards and the
+ * predicted visual impact of the current selection, so artists can trade
+ * protection against visible artifacts before submitting. Layers start at
+ * "Default", which sends nothing so the router's default applies; a level the
+ * user picks is sent as the `<layer>_epsilon` field built by ProtectionRegistry.
+ */
+
+(function() {
+  'use strict';
+
+  // Predicted PSNR bands, strongest protection last
+  const IMPACT_BANDS = [
+    { minPsnr: 40, label: 'Barely visible', color: '#16a34a', hint: 'Changes are very hard to spot, even side by side' },
+    { minPsnr: 34, label: 'Subtle', color: '#65a30d', hint: 'Faint grain may show in flat areas when zoomed in' },
+    { minPsnr: 28, label: 'Noticeable', color: '#d97706', hint: 'Grain or color noise is visible in smooth gradients' },
+    { minPsnr: 0, label: 'Strong', color: '#dc2626', hint: 'Artifacts are visible at normal viewing size' }
+  ];
+  // PSNR range mapped onto the impact bar
+  const BAR_BEST_PSNR = 48;
+  const BAR_WORST_PSNR = 20;
+
+  const strengths = {}; // Layer key -> level name or custom epsilon; unset uses the router default
+
+  function cardFor(key) {
+    return document.querySelector(`.protection-card[data-protection="${key}"]`);
+  }
+
+  function strengthLayers() {
+    return ProtectionRegistry.LAYERS.filter(layer => layer.strengthField);
+  }
+
+  function levelOptions() {
+    return '<option value="">Default</option>' + ProtectionRegistry.STRENGTH.levels
+      .map(level => `<option value="${level.value}">${level.label} (±${level.epsilon})</option>`)
+      .join('') + '<option value="custom">Custom</option>';
+  }
+
+  /**
+   * Read one card's controls into `strengths`
+   * @returns {string|null} Error message for an invalid custom value
+   */
+  function readCard(layer) {
+    const card = cardFor(layer.key);
+    const select = card && card.querySelector('[data-strength-level]');
+    const input = card && card.querySelector('[data-strength-epsilon]');
+    if (!select) return null;
+
+    if (input) {
+      input.removeAttribute('aria-invalid');
+      input.classList.remove('border-red-500');
+    }
+    if (!select.value) {
+      delete strengths[layer.key];
+      return null;
+    }
+    if (select.value !== 'custom') {
+      strengths[layer.key] = select.value;
+      return null;
+    }
+
+    const { min, max } = ProtectionRegistry.STRENGTH;
+    const value = Number(input ? input.value.trim() : '');
+    if (ProtectionRegistry.strengthEpsilon(value) === null) {
+      if (input) {
+        input.setAttribute('aria-invalid', 'true');
+        input.classList.add('border-red-500');
+      }
+      return `${layer.name} strength must be a whole number from ${min} to ${max}`;
+    }
+    strengths[layer.key] = value;
+    return null;
+  }
+
+  /**
+   * Predicted change for the selected layers. Each layer is modelled as noise
+   * spread evenly over ±epsilon (RMS epsilon/√3); independent layers add in
+   * quadrature. Layers left at Default are assumed to use
+   * STRENGTH.assumedDefault.
+   * @param {string[]} protections - Selected layer keys
+   * @returns {Object|null} { psnr, rms, peak, band }, or null when no selected layer changes pixels
+   */
+  function predictImpact(protections) {
+    const epsilons = strengthLayers()
+      .filter(layer => protections.includes(layer.key))
+      .map(layer => ProtectionRegistry.strengthEpsilon(strengths[layer.key] ?? ProtectionRegistry.STRENGTH.assumedDefault))
+      .filter(epsilon => epsilon !== null);
+    if (epsilons.length === 0) return null;
+
+    const rms = Math.sqrt(epsilons.reduce((sum, epsilon) => sum + epsilon * epsilon / 3, 0));
+    const psnr = 20 * Math.log10(255 / rms);
+    return {
+      psnr,
+      rms,
+      peak: Math.min(255, epsilons.reduce((sum, epsilon) => sum + epsilon, 0)),
+      band: IMPACT_BANDS.find(band => psnr >= band.minPsnr)
+    };
+  }
+
+  function selectedLayers() {
+    return Array.from(document.querySelectorAll('.protection-card.selected'))
+      .map(card => card.getAttribute('data-protection'));
+  }
+
+  function renderImpact(protections) {
+    const container = document.getElementById('protection-impact');
+    if (!container) return;
+
+    const impact = predictImpact(protections);
+    if (!impact) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const { psnr, peak, band } = impact;
+    const usesDefault = strengthLayers().some(layer => protections.includes(layer.key) && strengths[layer.key] === undefined);
+    const assumed = ProtectionRegistry.STRENGTH.levels.find(level => level.value === ProtectionRegistry.STRENGTH.assumedDefault);
+    const fill = Math.min(100, Math.max(4, (BAR_BEST_PSNR - psnr) / (BAR_BEST_PSNR - BAR_WORST_PSNR) * 100));
+    container.style.display = '';
+    container.innerHTML = `
+      <div class="flex items-center justify-between gap-2">
+        <span class="text-sm font-medium text-foreground">Predicted visual impact</span>
+        <span class="text-xs font-medium" style="color: ${band.color};">${band.label}</span>
+      </div>
+      <div class="h-1.5 w-full rounded-full bg-gray-100 overflow-hidden" role="meter" aria-label="Predicted visual impact"
+           aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(fill)}" aria-valuetext="${band.label}">
+        <div class="h-full rounded-full transition-all duration-200" style="width: ${fill.toFixed(0)}%; background: ${band.color};"></div>
+      </div>
+      <p class="text-xs text-subtle">${band.hint}. About ${psnr.toFixed(1)} dB PSNR, pixels change by up to ${peak}/255.${usesDefault && assumed ? ` Layers at Default are assumed to be about ${assumed.label}.` : ''}</p>`;
+  }
+
+  /**
+   * Sync the controls with the selected cards and redraw the impact indicator.
+   * Called whenever the selection changes.
+   */
+  function refresh() {
+    strengthLayers().forEach(layer => {
+      const card = cardFor(layer.key);
+      const controls = card && card.querySelector('[data-strength-controls]');
+      if (controls) controls.style.display = card.classList.contains('selected') ? '' : 'none';
+    });
+    renderImpact(selectedLayers());
+  }
+
+  function showCard(layer) {
+    const card = cardFor(layer.key);
+    if (!card) return;
+    const select = card.querySelector('[data-strength-level]');
+    const input = card.querySelector('[data-strength-epsilon]');
+    const strength = strengths[layer.key];
+    if (strength === undefined) {
+      if (select) select.value = '';
+      if (input) {
+        input.value = '';
+        input.style.display = 'none';
+      }
+      return;
+    }
+    const level = typeof strength === 'number' ? ProtectionRegistry.strengthLevel(strength) : strength;
+
+    if (select) select.value = level || 'custom';
+    if (input) {
+      input.value = ProtectionRegistry.strengthEpsilon(strength) ?? '';
+      input.style.display = level ? 'none' : '';
+    }
+  }
+
+  /**
+   * Strength fields for a submission
+   * @param {string[]} protections - Selected layer keys
+   * @returns {{ options: Object, errors: string[] }}
+   */
+  function collect(protections) {
+    const errors = strengthLayers()
+      .filter(layer => protections.includes(layer.key))
+      .map(readCard)
+      .filter(Boolean);
+    if (errors.length > 0) return { options: {}, errors };
+
+    try {
+      return { options: ProtectionRegistry.buildStrengthOptions(protections, strengths), errors: [] };
+    } catch (error) {
+      return { options: {}, errors: [error.message] };
+    }
+  }
+
+  /**
+   * Strengths the user has picked, e.g. for saving in a preset
+   * @returns {Object} Layer key -> level name or epsilon; Default layers are left out
+   */
+  function getStrengths() {
+    strengthLayers().forEach(readCard);
+    return { ...strengths };
+  }
+
+  /**
+   * Set strengths (e.g. from a preset). Layers left out, or with an invalid
+   * value, go back to Default.
+   * @param {Object} values - Layer key -> level name or epsilon
+   */
+  function apply(values = {}) {
+    strengthLayers().forEach(layer => {
+      const value = values[layer.key];
+      if (ProtectionRegistry.strengthEpsilon(value) !== null) {
+        strengths[layer.key] = value;
+      } else {
+        delete strengths[layer.key];
+      }
+      showCard(layer);
+    });
+    refresh();
+  }
+
+  function init() {
+    const { min, max, assumedDefault } = ProtectionRegistry.STRENGTH;
+
+    strengthLayers().forEach(layer => {
+      const card = cardFor(layer.key);
+      if (!card || card.querySelector('[data-strength-controls]')) return;
+
+      const controls = document.createElement('div');
+      controls.className = 'flex items-center gap-2 mt-2';
+      controls.style.display = 'none';
+      controls.setAttribute('data-strength-controls', '');
+      controls.innerHTML = `
+        <label for="strength-${layer.key}" class="text-xs text-subtle">Strength</label>
+        <select id="strength-${layer.key}" data-strength-level
+                class="h-7 px-2 text-xs rounded-lg border border-gray-200 bg-background text-foreground">${levelOptions()}</select>
+        <input type="number" data-strength-epsilon min="${min}" max="${max}" step="1"
+               aria-label="${layer.name} epsilon (${min}-${max})" title="Largest change per pixel channel, ${min}-${max} levels out of 255"
+               class="h-7 w-16 px-2 text-xs rounded-lg border border-gray-200 bg-background text-foreground">`;
+      // Keep clicks on the controls from toggling the card
+      controls.addEventListener('click', event => event.stopPropagation());
+      card.appendChild(controls);
+
+      const select = controls.querySelector('[data-strength-level]');
+      const input = controls.querySelector('[data-strength-epsilon]');
+      select.addEventListener('change', () => {
+        if (select.value === 'custom') {
+          // Start the custom value from the level that was selected
+          const current = ProtectionRegistry.strengthEpsilon(strengths[layer.key] ?? assumedDefault);
+          input.value = current ?? '';
+          input.style.display = '';
+          input.focus();
+        } else {
+          input.style.display = 'none';
+        }
+        readCard(layer);
+        refresh();
+      });
+      input.addEventListener('input', () => {
+        readCard(layer);
+        refresh();
+      });
+
+      showCard(layer);
+    });
+
+    refresh();
+  }
+
+  // Expose for dashboard-v2.js
+  window.ProtectionStrength = {
+    init,
+    refresh,
+    collect,
+    getStrengths,
+    apply,
+    predictImpact
+  };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Quality Metrics
+ * Shows how much protection changed the artwork (PSNR, SSIM, mean CIEDE2000)
+ * in the results section and keeps the scores with the artwork's history
+ * entry. Scores are computed in metricsWorker.js, or on the main thread when
+ * workers can't decode images.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'artorize-quality-metrics';
+  const MAX_STORED = 200;
+
+  let runId = 0; // Drops results of superseded measurements
+
+  function routerUrl() {
+    return window.ArtorizeConfig?.ROUTER_URL || 'https://router.artorizer.com';
+  }
+
+  function metricsConfig() {
+    return window.ArtorizeConfig?.METRICS || {};
+  }
+
+  function setStatus(message, type = 'info') {
+    const statusEl = document.getElementById('quality-metrics-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `text-xs ${type === 'error' ? 'text-red-600' : 'text-subtle'}`;
+  }
+
+  // ---- Storage -------------------------------------------------------------
+
+  function loadLocal() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveLocal(key, record) {
+    try {
+      const stored = loadLocal();
+      stored[key] = record;
+      // Keep the most recent entries only
+      const keys = Object.keys(stored).sort((a, b) => String(stored[b].measured_at).localeCompare(String(stored[a].measured_at)));
+      keys.slice(MAX_STORED).forEach(old => delete stored[old]);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode)
+    }
+  }
+
+  /**
+   * Store scores on the artwork through the router when it supports it
+   */
+  async function saveRemote(artworkId, record) {
+    try {
+      const response = await RateLimits.fetch(`${routerUrl()}/artworks/${encodeURIComponent(artworkId)}/quality`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(record)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.log('[Quality] Scores kept on this device only:', error.message);
+    }
+  }
+
+  /**
+   * Scores for a history entry: from the artwork itself, else from this device
+   * @param {Object} artwork - Item from GET /artworks/me
+   * @returns {Object|null} { psnr, ssim, delta_e, ... }
+   */
+  function lookup(artwork) {
+    if (!artwork) return null;
+    if (artwork.quality_metrics) return artwork.quality_metrics;
+    const local = loadLocal();
+    // show() keys results without a backend artwork ID by their job ID
+    const key = [artwork._id || artwork.id, artwork.job_id].find(id => id && local[id]);
+    return key ? local[key] : null;
+  }
+
+  // ---- Formatting ----------------------------------------------------------
+
+  function formatNumber(value, digits) {
+    return typeof value === 'number' ? value.toFixed(digits) : '–';
+  }
+
+  function formatPsnr(psnr) {
+    // Stored as null when the images are identical (infinite PSNR)
+    if (psnr === null || psnr === Infinity) return '∞ dB';
+    return typeof psnr === 'number' ? `${psnr.toFixed(1)} dB` : '–';
+  }
+
+  /**
+   * One-line summary, e.g. for a history entry's tooltip
+   * @param {Object} record - Stored scores
+   * @returns {string}
+   */
+  function summary(record) {
+    if (!record) return '';
+    return `PSNR ${formatPsnr(record.psnr)} · SSIM ${formatNumber(record.ssim, 3)} · ΔE ${formatNumber(record.delta_e, 2)}`;
+  }
+
+  function render(record) {
+    const values = document.getElementById('quality-metrics-values');
+    if (!values) return;
+
+    const items = [
+      ['PSNR', formatPsnr(record.psnr), 'Higher is closer to the original; above 40 dB changes are hard to see'],
+      ['SSIM', formatNumber(record.ssim, 3), '1 means the structure is unchanged'],
+      ['Mean ΔE (CIEDE2000)', formatNumber(record.delta_e, 2), 'Color difference; below 1 is imperceptible, 2-3 is barely noticeable']
+    ];
+    values.innerHTML = items.map(([label, value, hint]) => `
+      <div class="stack gap-0.5" title="${hint}">
+        <dt class="text-xs text-subtle">${label}</dt>
+        <dd class="text-base font-medium text-foreground tabular-nums">${value}</dd>
+      </div>`).join('');
+
+    const size = `${record.measured_width}×${record.measured_height}`;
+    setStatus(record.downscaled ? `Measured at ${size} (downscaled)` : `Measured at ${size}`);
+  }
+
+  // ---- Measuring -----------------------------------------------------------
+
+  function measureInWorker(originalBlob, protectedBlob, config, onProgress) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(config.WORKER_URL);
+
+      worker.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === 'progress') {
+          if (onProgress) onProgress(message.percent);
+          return;
+        }
+        worker.terminate();
+        if (message.type === 'done') {
+          resolve(message.metrics);
+        } else {
+          reject(new Error(message.message || 'Measuring failed'));
+        }
+      };
+
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'Metrics worker error'));
+      };
+
+      worker.postMessage({
+        original: originalBlob,
+        protected: protectedBlob,
+        maxDimension: config.MAX_DIMENSION,
+        tileSize: config.TILE_SIZE
+      });
+    });
+  }
+
+  async function measureOnMainThread(originalBlob, protectedBlob, config, onProgress) {
+    const [originalBitmap, protectedBitmap] = await Promise.all([
+      createImageBitmap(originalBlob),
+      createImageBitmap(protectedBlob)
+    ]);
+    try {
+      return window.ImageMetrics.measure(originalBitmap, protectedBitmap, {
+        maxDimension: config.MAX_DIMENSION,
+        tileSize: config.TILE_SIZE,
+        createCanvas: (width, height) => {
+          const canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
+          return canvas;
+        },
+        onProgress
+      });
+    } finally {
+      originalBitmap.close();
+      protectedBitmap.close();
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} ImageMetrics.measure() result
+   */
+  async function computeMetrics(originalBlob, protectedBlob, onProgress) {
+    const config = metricsConfig();
+
+    if (typeof Worker !== 'undefined' && config.WORKER_URL) {
+      try {
+        return await measureInWorker(originalBlob, protectedBlob, config, onProgress);
+      } catch (error) {
+        console.warn('[Quality] Metrics worker failed, measuring on main thread:', error.message);
+      }
+    }
+    return measureOnMainThread(originalBlob, protectedBlob, config, onProgress);
+  }
+
+  /**
+   * Show the scores for a finished job, measuring them if this device hasn't yet
+   * @param {Object} result - Job result ({ job_id, backend_artwork_id })
+   * @param {Blob} originalBlob
+   * @param {Blob} protectedBlob
+   */
+  async function show(result, originalBlob, protectedBlob) {
+    const panel = document.getElementById('quality-metrics');
+    if (!panel) return;
+
+    const artworkId = result.backend_artwork_id || null;
+    const key = artworkId || result.job_id;
+    const id = ++runId;
+    panel.style.display = '';
+
+    const values = document.getElementById('quality-metrics-values');
+    const stored = loadLocal()[key];
+    if (stored) {
+      render(stored);
+      return;
+    }
+
+    if (values) values.innerHTML = '';
+    setStatus('Measuring...');
+
+    try {
+      const metrics = await computeMetrics(originalBlob, protectedBlob, (percent) => {
+        if (id === runId) setStatus(`Measuring... ${percent}%`);
+      });
+      const record = {
+        psnr: Number.isFinite(metrics.psnr) ? metrics.psnr : null,
+        ssim: metrics.ssim,
+        delta_e: metrics.deltaE,
+        measured_width: metrics.width,
+        measured_height: metrics.height,
+        downscaled: metrics.downscaled,
+        job_id: result.job_id,
+        measured_at: new Date().toISOString()
+      };
+
+      saveLocal(key, record);
+      if (artworkId) saveRemote(artworkId, record);
+      if (id === runId) render(record);
+    } catch (error) {
+      if (id !== runId) return;
+      console.error('[Quality] Measuring failed:', error);
+      setStatus(`Could not measure quality: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Hide the panel and drop any measurement in flight
+   */
+  function reset() {
+    runId++;
+    const panel = document.getElementById('quality-metrics');
+    if (panel) panel.style.display = 'none';
+    const values = document.getElementById('quality-metrics-values');
+    if (values) values.innerHTML = '';
+    setStatus('');
+  }
+
+  // Expose for dashboard-v2.js
+  window.QualityMetrics = {
+    show,
+    reset,
+    lookup,
+    summary
+  };
+})();
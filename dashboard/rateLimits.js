@@ -0,0 +1,234 @@
+/**
+ * Rate Limits - Client-side request and upload budget
+ *
+ * The backend allows 300 requests per 15 minutes and 30 uploads per hour per
+ * IP. Every tracked response refreshes the budget from its rate-limit headers,
+ * and a 429 empties it. Nothing is counted from guesses: responses without
+ * headers leave the budget alone, so only limits the router has reported hold
+ * back submissions that would be rejected with 429.
+ *
+ * Buckets: 'general' (every request, POST /protect included) and 'uploads'
+ * (POST /protect).
+ */
+
+const RATE_LIMITS_KEY = 'artorize-rate-limits';
+
+const rateLimitListeners = new Set();
+
+class RateLimits {
+  /**
+   * Update a bucket from a response
+   * @param {string} bucket - 'general' or 'uploads'
+   * @param {Function} getHeader - Returns a response header value by name (or null)
+   * @param {number} status - HTTP status of the response
+   */
+  static record(bucket, getHeader, status) {
+    const config = RateLimits._config(bucket);
+    if (!config) return;
+
+    const state = RateLimits.get(bucket);
+    const fromHeaders = RateLimits.parseHeaders(getHeader);
+
+    if (fromHeaders) {
+      state.limit = fromHeaders.limit || state.limit;
+      state.remaining = fromHeaders.remaining !== null ? fromHeaders.remaining : Math.max(0, state.remaining - 1);
+      state.resetAt = fromHeaders.resetAt || state.resetAt;
+      state.reported = true;
+    } else if (status !== 429) {
+      // The budget may be shared with other tabs and clients; without headers
+      // there is nothing to go on
+      return;
+    }
+
+    if (status === 429) {
+      state.remaining = 0;
+      state.reported = true;
+      const retryAfter = Number(getHeader('Retry-After'));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        state.resetAt = Math.max(state.resetAt, Date.now() + retryAfter * 1000);
+      }
+    }
+
+    RateLimits._save(bucket, state);
+  }
+
+  /**
+   * Count a request whose response headers describe another bucket (POST
+   * /protect against 'general'). Only a budget the router has reported in
+   * this window is lowered; the next response with headers corrects it.
+   * @param {string} bucket - 'general' or 'uploads'
+   */
+  static count(bucket) {
+    const state = RateLimits.get(bucket);
+    if (!state || !state.reported) return;
+    state.remaining = Math.max(0, state.remaining - 1);
+    RateLimits._save(bucket, state);
+  }
+
+  /**
+   * fetch() that records the response against a bucket
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options
+   * @param {string} [bucket] - 'general' (default) or 'uploads'
+   * @returns {Promise<Response>}
+   */
+  static async fetch(url, options = {}, bucket = 'general') {
+    const response = await fetch(url, options);
+    RateLimits.record(bucket, name => response.headers.get(name), response.status);
+    return response;
+  }
+
+  /**
+   * Current budget of a bucket. Windows that have ended are reset to the
+   * configured limit.
+   * @param {string} bucket - 'general' or 'uploads'
+   * @returns {Object|null} { limit, remaining, resetAt, window, reported }, or null when not tracked.
+   *   `reported` is false until the router has sent rate-limit headers or a 429 in this window.
+   */
+  static get(bucket) {
+    const config = RateLimits._config(bucket);
+    if (!config) return null;
+
+    const stored = RateLimits._load()[bucket];
+    if (!stored || Date.now() >= stored.resetAt) {
+      return { limit: config.LIMIT, remaining: config.LIMIT, resetAt: Date.now() + config.WINDOW, window: config.WINDOW, reported: false };
+    }
+    return { ...stored, window: config.WINDOW, reported: Boolean(stored.reported) };
+  }
+
+  /**
+   * @param {string} bucket - 'general' or 'uploads'
+   * @param {number} [count] - Requests about to be made
+   * @returns {boolean} True if the budget covers them (always true for untracked buckets
+   *   and budgets the router has not reported)
+   */
+  static canSpend(bucket, count = 1) {
+    const state = RateLimits.get(bucket);
+    return !state || !state.reported || state.remaining >= count;
+  }
+
+  /**
+   * @param {string} bucket - 'general' or 'uploads'
+   * @returns {number} Milliseconds until the bucket has budget again (0 if it has now)
+   */
+  static waitTime(bucket) {
+    const state = RateLimits.get(bucket);
+    if (!state || !state.reported || state.remaining > 0) return 0;
+    return Math.max(0, state.resetAt - Date.now());
+  }
+
+  /**
+   * Error thrown instead of sending a request the budget does not cover
+   * @param {string} bucket - 'general' or 'uploads'
+   * @returns {Error} Error with `status` 429, `retryAfter` (ms) and `rateLimited` set
+   */
+  static exhaustedError(bucket) {
+    const state = RateLimits.get(bucket);
+    const wait = RateLimits.formatDuration(RateLimits.waitTime(bucket));
+    const what = bucket === 'uploads' ? 'Upload' : 'Request';
+    const error = new Error(`${what} limit reached (${state.limit} per ${RateLimits.formatDuration(state.window)}). Try again in ${wait}`);
+    error.status = 429;
+    error.retryAfter = RateLimits.waitTime(bucket);
+    error.rateLimited = true;
+    return error;
+  }
+
+  /**
+   * Listen for budget changes
+   * @param {Function} listener - Callback(bucket, state)
+   * @returns {Function} Unsubscribe
+   */
+  static subscribe(listener) {
+    rateLimitListeners.add(listener);
+    return () => rateLimitListeners.delete(listener);
+  }
+
+  /**
+   * Read RateLimit-* (IETF draft, also the combined `RateLimit` form) or
+   * X-RateLimit-* headers. Reset values may be seconds from now or a Unix
+   * timestamp.
+   * @param {Function} getHeader - Returns a response header value by name (or null)
+   * @returns {Object|null} { limit, remaining, resetAt } (fields may be null), or null without headers
+   */
+  static parseHeaders(getHeader) {
+    const read = (name) => {
+      const value = getHeader(`RateLimit-${name}`) || getHeader(`X-RateLimit-${name}`);
+      return value !== null && value !== undefined && value !== '' ? Number(value) : null;
+    };
+
+    let limit = read('Limit');
+    let remaining = read('Remaining');
+    let reset = read('Reset');
+
+    const combined = getHeader('RateLimit');
+    if (combined) {
+      const field = (key) => {
+        const match = new RegExp(`${key}=(\\d+)`).exec(combined);
+        return match ? Number(match[1]) : null;
+      };
+      limit = limit !== null ? limit : field('limit');
+      remaining = remaining !== null ? remaining : field('remaining');
+      reset = reset !== null ? reset : field('reset');
+    }
+
+    if (limit === null && remaining === null) return null;
+
+    let resetAt = null;
+    if (Number.isFinite(reset)) {
+      resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+    }
+
+    return {
+      limit: Number.isFinite(limit) ? limit : null,
+      remaining: Number.isFinite(remaining) ? remaining : null,
+      resetAt
+    };
+  }
+
+  /**
+   * @param {number} ms - Duration
+   * @returns {string} e.g. '45s', '12 min', 'hour', '2 hours'
+   */
+  static formatDuration(ms) {
+    if (ms < 60000) return `${Math.max(1, Math.ceil(ms / 1000))}s`;
+    if (ms === 3600000) return 'hour';
+    if (ms > 3600000 && ms % 3600000 === 0) return `${ms / 3600000} hours`;
+    return `${Math.ceil(ms / 60000)} min`;
+  }
+
+  static _config(bucket) {
+    const limits = typeof ArtorizeConfig !== 'undefined' ? ArtorizeConfig.RATE_LIMITS : null;
+    return limits ? limits[bucket.toUpperCase()] || null : null;
+  }
+
+  static _load() {
+    try {
+      const buckets = JSON.parse(localStorage.getItem(RATE_LIMITS_KEY));
+      return buckets && typeof buckets === 'object' ? buckets : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  static _save(bucket, state) {
+    const { limit, remaining, resetAt, reported } = state;
+    try {
+      const buckets = RateLimits._load();
+      buckets[bucket] = { limit, remaining, resetAt, reported };
+      localStorage.setItem(RATE_LIMITS_KEY, JSON.stringify(buckets));
+    } catch (e) {
+      // Ignore storage errors (e.g., in incognito mode) - the budget just won't survive a reload
+    }
+    rateLimitListeners.forEach(listener => listener(bucket, RateLimits.get(bucket)));
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RateLimits = RateLimits;
+}
+
+// ES module export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RateLimits;
+}
@@ -1,8 +1,8 @@
 /**
- * SAC v1 (Simple Array Container) Parser and Mask Renderer
+ * SAC v1/v1.1 (Simple Array Container) Parser, Writer and Mask Renderer
  *
- * Implements the SAC v1 protocol for parsing binary mask files and rendering
- * them as canvas overlays on protected artwork.
+ * Implements the SAC v1 protocol for parsing and writing binary mask files
+ * and rendering them as canvas overlays on protected artwork.
  *
  * Protocol: sac_v_1_cdn_mask_transfer_protocol.md
  */
@@ -10,25 +10,121 @@
 /**
  * SAC v1 Header structure (24 bytes, little-endian):
  * - Bytes 0-3:   Magic "SAC1"
- * - Byte 4:      Flags (reserved)
- * - Byte 5:      Data type (1 = int16)
- * - Byte 6:      Array count (must be 2)
+ * - Byte 4:      Flags (bits 0-3: minor version, bits 4-7: reserved)
+ * - Byte 5:      Data type (see SAC_DATA_TYPES)
+ * - Byte 6:      Array count (2, or 1 for single-array masks in v1.1)
  * - Byte 7:      Reserved
  * - Bytes 8-11:  Length of array A (uint32)
- * - Bytes 12-15: Length of array B (uint32)
+ * - Bytes 12-15: Length of array B (uint32, 0 when there is no array B)
  * - Bytes 16-19: Width (uint32, optional)
  * - Bytes 20-23: Height (uint32, optional)
+ *
+ * v1.0 files have a zero minor version and always hold two int16 arrays.
+ * v1.1 adds uint8, uint16, float16 and float32 payloads and single-array
+ * (grayscale) masks.
  */
 
 const SAC_MAGIC = 'SAC1';
 const SAC_HEADER_SIZE = 24;
-const SAC_DATA_TYPE_INT16 = 1;
-const SAC_ARRAY_COUNT = 2;
+const SAC_VERSION_MASK = 0x0F;
+const SAC_MAX_MINOR_VERSION = 1;
+
+// Data type codes. `minor` is the first version that allows the type.
+const SAC_DATA_TYPES = {
+  1: { name: 'int16', bytes: 2, minor: 0, min: -32768, max: 32767, integer: true },
+  2: { name: 'uint8', bytes: 1, minor: 1, min: 0, max: 255, integer: true },
+  3: { name: 'uint16', bytes: 2, minor: 1, min: 0, max: 65535, integer: true },
+  4: { name: 'float16', bytes: 2, minor: 1, min: -65504, max: 65504, integer: false },
+  5: { name: 'float32', bytes: 4, minor: 1, min: -3.4028234663852886e38, max: 3.4028234663852886e38, integer: false }
+};
+
+/**
+ * @param {string} name - Data type name ('int16', 'uint8', ...)
+ * @returns {number|null} Data type code, or null if unknown
+ */
+function sacDataTypeCode(name) {
+  const entry = Object.entries(SAC_DATA_TYPES).find(([, type]) => type.name === name);
+  return entry ? Number(entry[0]) : null;
+}
+
+function supportedDataTypes() {
+  return Object.entries(SAC_DATA_TYPES).map(([code, type]) => `${code}=${type.name}`).join(', ');
+}
+
+/**
+ * Decode an IEEE 754 half-precision value
+ * @param {number} bits - Raw 16-bit value
+ * @returns {number}
+ */
+function halfToFloat(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1F;
+  const fraction = bits & 0x03FF;
+
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exponent === 0x1F) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Encode a number as IEEE 754 half precision (round to nearest)
+ * @param {number} value
+ * @returns {number} Raw 16-bit value
+ */
+function floatToHalf(value) {
+  const floatView = new Float32Array(1);
+  const intView = new Uint32Array(floatView.buffer);
+  floatView[0] = value;
+  const x = intView[0];
+
+  const sign = (x >>> 16) & 0x8000;
+  const exponent = (x >>> 23) & 0xFF;
+  let mantissa = x & 0x7FFFFF;
+
+  if (exponent === 0xFF) return sign | 0x7C00 | (mantissa ? 0x200 : 0);
+
+  const halfExponent = exponent - 127 + 15;
+  if (halfExponent >= 0x1F) return sign | 0x7C00;
+  if (halfExponent <= 0) {
+    if (halfExponent < -10) return sign;
+    mantissa |= 0x800000;
+    const shift = 14 - halfExponent;
+    let half = mantissa >> shift;
+    if ((mantissa >> (shift - 1)) & 1) half += 1;
+    return sign | half;
+  }
+
+  let half = sign | (halfExponent << 10) | (mantissa >> 13);
+  if (mantissa & 0x1000) half += 1; // may carry into the exponent, which is still correct
+  return half;
+}
 
 /**
- * Parse SAC v1 binary data
+ * Read one payload array. Aligned types are zero-copy views; float16 is
+ * decoded into a Float32Array.
+ */
+function readSACArray(buffer, offset, length, type) {
+  switch (type.name) {
+    case 'int16': return new Int16Array(buffer, offset, length);
+    case 'uint8': return new Uint8Array(buffer, offset, length);
+    case 'uint16': return new Uint16Array(buffer, offset, length);
+    case 'float32': return new Float32Array(buffer, offset, length);
+    case 'float16': {
+      const view = new DataView(buffer, offset, length * 2);
+      const values = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        values[i] = halfToFloat(view.getUint16(i * 2, true));
+      }
+      return values;
+    }
+  }
+}
+
+/**
+ * Parse SAC v1 / v1.1 binary data
  * @param {ArrayBuffer} buffer - The SAC file contents
- * @returns {Object} Parsed SAC data with { arrayA, arrayB, width, height }
+ * @returns {Object} Parsed SAC data with { arrayA, arrayB, width, height, dataType, version }.
+ *   arrayB is null for single-array masks; dataType is the type name ('int16', 'uint8', ...)
  * @throws {Error} If parsing fails or format is invalid
  */
 function parseSAC(buffer) {
@@ -59,14 +155,31 @@ function parseSAC(buffer) {
   const width = view.getUint32(16, true);   // little-endian
   const height = view.getUint32(20, true);  // little-endian
 
+  // Negotiate version
+  const minor = flags & SAC_VERSION_MASK;
+  const version = `1.${minor}`;
+  if (minor > SAC_MAX_MINOR_VERSION) {
+    throw new Error(`Unsupported SAC version ${version} (this parser reads up to 1.${SAC_MAX_MINOR_VERSION})`);
+  }
+
   // Validate header
-  if (dataType !== SAC_DATA_TYPE_INT16) {
-    throw new Error(`Unsupported data type: ${dataType} (expected ${SAC_DATA_TYPE_INT16} for int16)`);
+  const type = SAC_DATA_TYPES[dataType];
+  if (!type) {
+    throw new Error(`Unsupported data type: ${dataType} (supported: ${supportedDataTypes()})`);
+  }
+  if (type.minor > minor) {
+    throw new Error(`Data type ${type.name} requires SAC v1.${type.minor} (file is v${version})`);
+  }
+  if (arrayCount === 1 && minor < 1) {
+    throw new Error(`Single-array masks require SAC v1.1 (file is v${version})`);
+  }
+  if (arrayCount !== 1 && arrayCount !== 2) {
+    throw new Error(`Invalid array count: ${arrayCount} (expected ${minor >= 1 ? '1 or 2' : '2'})`);
   }
-  if (arrayCount !== SAC_ARRAY_COUNT) {
-    throw new Error(`Invalid array count: ${arrayCount} (expected ${SAC_ARRAY_COUNT})`);
+  if (arrayCount === 1 && lengthB !== 0) {
+    throw new Error(`Single-array mask has a non-empty array B (${lengthB} elements)`);
   }
-  if (lengthA !== lengthB) {
+  if (arrayCount === 2 && lengthA !== lengthB) {
     throw new Error(`Array length mismatch: A=${lengthA}, B=${lengthB}`);
   }
   if (width && height && lengthA !== width * height) {
@@ -74,34 +187,128 @@ function parseSAC(buffer) {
   }
 
   // Calculate expected file size
-  const bytesPerElement = 2; // int16
-  const expectedSize = SAC_HEADER_SIZE + (lengthA * bytesPerElement * 2);
+  const bytesPerElement = type.bytes;
+  const expectedSize = SAC_HEADER_SIZE + (lengthA * bytesPerElement * arrayCount);
   if (buffer.byteLength < expectedSize) {
     throw new Error(`SAC file truncated: ${buffer.byteLength} bytes (expected ${expectedSize})`);
   }
 
-  // Extract arrays as Int16Array views (zero-copy)
+  // Extract arrays (the 24-byte header keeps every element type aligned)
   const offsetA = SAC_HEADER_SIZE;
   const offsetB = offsetA + (lengthA * bytesPerElement);
 
-  const arrayA = new Int16Array(buffer, offsetA, lengthA);
-  const arrayB = new Int16Array(buffer, offsetB, lengthB);
+  const arrayA = readSACArray(buffer, offsetA, lengthA, type);
+  const arrayB = arrayCount === 2 ? readSACArray(buffer, offsetB, lengthB, type) : null;
 
   return {
     arrayA,
     arrayB,
     width: width || null,
     height: height || null,
+    dataType: type.name,
+    version,
     metadata: { flags, reserved }
   };
 }
 
+/**
+ * Write SAC binary data (the inverse of parseSAC). Files that only use v1.0
+ * features (two int16 arrays) are written as v1.0; anything else is v1.1.
+ * @param {Object} sacData - Arrays and dimensions to encode
+ * @param {ArrayLike<number>} sacData.arrayA - First array
+ * @param {ArrayLike<number>|null} [sacData.arrayB] - Second array (same length as A), omit for a single-array mask
+ * @param {number} [sacData.width] - Width in pixels (0 or omitted to leave unset)
+ * @param {number} [sacData.height] - Height in pixels (0 or omitted to leave unset)
+ * @param {string} [sacData.dataType] - 'int16' (default), 'uint8', 'uint16', 'float16' or 'float32'
+ * @param {number} [sacData.flags] - Flags byte (default: 0); the minor version is raised as needed
+ * @returns {ArrayBuffer} SAC file contents
+ * @throws {Error} If the arrays or dimensions cannot be encoded
+ */
+function writeSAC({ arrayA, arrayB = null, width = 0, height = 0, dataType = 'int16', flags = 0 } = {}) {
+  if (!arrayA) {
+    throw new Error('arrayA is required');
+  }
+  if (arrayB && arrayA.length !== arrayB.length) {
+    throw new Error(`Array length mismatch: A=${arrayA.length}, B=${arrayB.length}`);
+  }
+  const code = sacDataTypeCode(dataType);
+  if (code === null) {
+    throw new Error(`Unsupported data type: ${dataType} (supported: ${supportedDataTypes()})`);
+  }
+  [['width', width], ['height', height]].forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+      throw new Error(`Invalid ${name}: ${value} (expected a uint32)`);
+    }
+  });
+  if (width && height && arrayA.length !== width * height) {
+    throw new Error(`Array length ${arrayA.length} doesn't match dimensions ${width}x${height}=${width * height}`);
+  }
+  if (!Number.isInteger(flags) || flags < 0 || flags > 0xFF) {
+    throw new Error(`Invalid flags: ${flags} (expected a uint8)`);
+  }
+  if ((flags & SAC_VERSION_MASK) > SAC_MAX_MINOR_VERSION) {
+    throw new Error(`Unsupported SAC version 1.${flags & SAC_VERSION_MASK} (this writer supports up to 1.${SAC_MAX_MINOR_VERSION})`);
+  }
+
+  const type = SAC_DATA_TYPES[code];
+  const arrayCount = arrayB ? 2 : 1;
+  const minor = Math.max(flags & SAC_VERSION_MASK, type.minor, arrayCount === 1 ? 1 : 0);
+
+  const length = arrayA.length;
+  const bytesPerElement = type.bytes;
+  const buffer = new ArrayBuffer(SAC_HEADER_SIZE + (length * bytesPerElement * arrayCount));
+  const view = new DataView(buffer);
+
+  // Header (little-endian)
+  for (let i = 0; i < SAC_MAGIC.length; i++) {
+    view.setUint8(i, SAC_MAGIC.charCodeAt(i));
+  }
+  view.setUint8(4, (flags & ~SAC_VERSION_MASK) | minor);
+  view.setUint8(5, code);
+  view.setUint8(6, arrayCount);
+  view.setUint8(7, 0);
+  view.setUint32(8, length, true);
+  view.setUint32(12, arrayB ? length : 0, true);
+  view.setUint32(16, width, true);
+  view.setUint32(20, height, true);
+
+  // Payload: array A then array B, written element by element so the output
+  // is little-endian regardless of platform byte order
+  const writeValue = {
+    int16: (offset, value) => view.setInt16(offset, value, true),
+    uint8: (offset, value) => view.setUint8(offset, value),
+    uint16: (offset, value) => view.setUint16(offset, value, true),
+    float16: (offset, value) => view.setUint16(offset, floatToHalf(value), true),
+    float32: (offset, value) => view.setFloat32(offset, value, true)
+  }[type.name];
+
+  const writeArray = (array, name, offset) => {
+    for (let i = 0; i < length; i++) {
+      const value = array[i];
+      const valid = type.integer
+        ? Number.isInteger(value) && value >= type.min && value <= type.max
+        : typeof value === 'number' && (!Number.isFinite(value) || (value >= type.min && value <= type.max));
+      if (!valid) {
+        throw new Error(`Invalid ${type.name} value in ${name}[${i}]: ${value}`);
+      }
+      writeValue(offset + i * bytesPerElement, value);
+    }
+  };
+  writeArray(arrayA, 'arrayA', SAC_HEADER_SIZE);
+  if (arrayB) {
+    writeArray(arrayB, 'arrayB', SAC_HEADER_SIZE + length * bytesPerElement);
+  }
+
+  return buffer;
+}
+
 /**
  * Fetch SAC file from URL
  * @param {string} url - URL to fetch (typically image_url + '.sac')
+ * @param {Function} [onProgress] - Download progress callback (0-100), called when the size is known
  * @returns {Promise<ArrayBuffer>} SAC file contents
  */
-async function fetchSAC(url) {
+async function fetchSAC(url, onProgress = null) {
   try {
     const response = await fetch(url, {
       method: 'GET',
@@ -114,26 +321,288 @@ async function fetchSAC(url) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    return await response.arrayBuffer();
+    const total = Number(response.headers.get('Content-Length'));
+    if (!onProgress || !total || !response.body) {
+      return await response.arrayBuffer();
+    }
+
+    // Read the body in pieces to report progress on large masks
+    const bytes = new Uint8Array(total);
+    const reader = response.body.getReader();
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (received + value.length > total) {
+        throw new Error(`Response larger than Content-Length (${total} bytes)`);
+      }
+      bytes.set(value, received);
+      received += value.length;
+      onProgress(Math.round(received / total * 100));
+    }
+    return bytes.buffer.slice(0, received);
   } catch (error) {
     throw new Error(`Failed to fetch SAC from ${url}: ${error.message}`);
   }
 }
 
+// Tint modes color each pixel by its value; colormap modes look it up in a
+// 256-entry table (see sacColormap)
+const SAC_TINT_MODES = ['white', 'red', 'green', 'blue'];
+const SAC_COLORMAPS = ['rainbow', 'viridis', 'magma', 'diverging'];
+const SAC_COLOR_MODES = SAC_TINT_MODES.concat(SAC_COLORMAPS);
+
+// Value shown per pixel: array A, array B, magnitude sqrt(A² + B²) or
+// phase atan2(B, A)
+const SAC_CHANNELS = ['a', 'b', 'magnitude', 'phase'];
+
+// Percentiles used when autoContrast is `true`
+const SAC_AUTO_CONTRAST = [2, 98];
+
+// Colormap control points from t = 0 to t = 1, evenly spaced. 'diverging' is
+// cool-warm, with its neutral midpoint at zero for ranges that cross it.
+const SAC_COLORMAP_STOPS = {
+  viridis: [
+    [68, 1, 84], [72, 36, 117], [65, 68, 135], [53, 95, 141], [42, 120, 142], [33, 145, 140],
+    [34, 168, 132], [68, 191, 112], [122, 209, 81], [189, 223, 38], [253, 231, 37]
+  ],
+  magma: [
+    [0, 0, 4], [20, 14, 54], [59, 15, 112], [100, 26, 128], [140, 41, 129], [183, 55, 121],
+    [222, 73, 104], [247, 112, 92], [254, 159, 109], [254, 207, 146], [252, 253, 191]
+  ],
+  diverging: [
+    [59, 76, 192], [98, 130, 234], [141, 176, 254], [184, 208, 249], [221, 221, 221],
+    [245, 196, 173], [244, 154, 123], [222, 96, 77], [180, 4, 38]
+  ]
+};
+
+// Masks with at least this many pixels are decoded and rendered in a Web
+// Worker. ArtorizeConfig.SAC overrides these when present.
+const SAC_WORKER_DEFAULTS = {
+  WORKER_URL: 'sacWorker.js',
+  WORKER_THRESHOLD: 1048576
+};
+
+// Worker job currently drawing into each canvas, so a newer render can
+// replace a slower one that is still running
+const sacCanvasJobs = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+// Percentile ranges per parsed mask, so slider changes don't rescan the data
+const sacRangeCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+const sacColormapCache = {};
+
+/**
+ * 256-entry RGB lookup table for a colormap
+ * @param {string} name - 'rainbow', 'viridis', 'magma' or 'diverging'
+ * @returns {Uint8Array} 768 bytes (r, g, b per entry)
+ */
+function sacColormap(name) {
+  if (sacColormapCache[name]) return sacColormapCache[name];
+
+  const table = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    let rgb;
+    if (name === 'rainbow') {
+      rgb = hslToRgb(i / 255 * 360, 100, 50);
+    } else {
+      const stops = SAC_COLORMAP_STOPS[name];
+      const position = i / 255 * (stops.length - 1);
+      const index = Math.min(stops.length - 2, Math.floor(position));
+      const fraction = position - index;
+      rgb = stops[index].map((channel, c) => Math.round(channel + (stops[index + 1][c] - channel) * fraction));
+    }
+    table.set(rgb, i * 3);
+  }
+
+  sacColormapCache[name] = table;
+  return table;
+}
+
+/**
+ * Per-pixel value reader for a channel
+ * @returns {Function} (index) => value
+ */
+function sacChannelReader(sacData, channel) {
+  const { arrayA, arrayB } = sacData;
+  switch (channel) {
+    case 'b': return (i) => arrayB[i];
+    case 'magnitude': return arrayB ? (i) => Math.hypot(arrayA[i], arrayB[i]) : (i) => Math.abs(arrayA[i]);
+    case 'phase': return (i) => Math.atan2(arrayB[i], arrayA[i]);
+    default: return (i) => arrayA[i];
+  }
+}
+
+/**
+ * Theoretical value range of a channel. Integer types span their full range;
+ * float masks are expected in 0-1.
+ * @returns {{ min: number, max: number }}
+ */
+function fullValueRange(sacData, channel) {
+  if (channel === 'phase') return { min: -Math.PI, max: Math.PI };
+
+  const type = SAC_DATA_TYPES[sacDataTypeCode(sacData.dataType || 'int16')];
+  const min = type.integer ? type.min : 0;
+  const max = type.integer ? type.max : 1;
+  if (channel === 'magnitude') {
+    const peak = Math.max(Math.abs(min), Math.abs(max));
+    return { min: 0, max: sacData.arrayB ? Math.hypot(peak, peak) : peak };
+  }
+  return { min, max };
+}
+
 /**
- * Render SAC mask on canvas overlay
+ * Value range between two percentiles of a channel. Large masks are sampled
+ * (about a million values), which is plenty for contrast limits.
  * @param {Object} sacData - Parsed SAC data from parseSAC()
- * @param {HTMLCanvasElement} canvas - Canvas element to render on
- * @param {Object} options - Rendering options
- * @param {number} options.opacity - Mask opacity (0-1, default: 0.5)
- * @param {string} options.colorMode - 'white', 'red', 'green', 'blue', 'rainbow' (default: 'white')
- * @param {number} options.width - Canvas width (defaults to sacData.width)
- * @param {number} options.height - Canvas height (defaults to sacData.height)
+ * @param {Object} [options]
+ * @param {string} [options.channel] - 'a' (default), 'b', 'magnitude' or 'phase'
+ * @param {number[]} [options.percentiles] - [low, high] in 0-100 (default: [2, 98])
+ * @returns {{ min: number, max: number }}
  */
-function renderMask(sacData, canvas, options = {}) {
+function computeValueRange(sacData, { channel = 'a', percentiles = SAC_AUTO_CONTRAST } = {}) {
+  const cacheKey = `${channel}:${percentiles[0]}:${percentiles[1]}`;
+  const cached = sacRangeCache && sacRangeCache.get(sacData);
+  if (cached && cached[cacheKey]) return cached[cacheKey];
+
+  const read = sacChannelReader(sacData, channel);
+  const length = sacData.arrayA.length;
+  const stride = Math.max(1, Math.floor(length / 1000000));
+
+  // Pass 1: actual extent
+  let low = Infinity;
+  let high = -Infinity;
+  let count = 0;
+  for (let i = 0; i < length; i += stride) {
+    const value = read(i);
+    if (!Number.isFinite(value)) continue;
+    if (value < low) low = value;
+    if (value > high) high = value;
+    count++;
+  }
+  if (count === 0) return fullValueRange(sacData, channel);
+
+  // Pass 2: histogram over the extent, then walk it to the percentiles
+  const bins = new Uint32Array(4096);
+  const scale = high > low ? (bins.length - 1) / (high - low) : 0;
+  for (let i = 0; i < length; i += stride) {
+    const value = read(i);
+    if (Number.isFinite(value)) bins[Math.round((value - low) * scale)]++;
+  }
+
+  const binValue = (bin) => (scale ? low + bin / scale : low);
+  const lowTarget = count * percentiles[0] / 100;
+  const highTarget = count * percentiles[1] / 100;
+  let seen = 0;
+  let min = low;
+  let max = high;
+  let foundLow = false;
+  for (let bin = 0; bin < bins.length; bin++) {
+    seen += bins[bin];
+    if (!foundLow && seen > lowTarget) {
+      min = binValue(bin);
+      foundLow = true;
+    }
+    if (seen >= highTarget) {
+      max = binValue(bin);
+      break;
+    }
+  }
+
+  const range = { min, max };
+  if (sacRangeCache) sacRangeCache.set(sacData, { ...cached, [cacheKey]: range });
+  return range;
+}
+
+/**
+ * Convert mask arrays to RGBA pixels. Pure function shared by the main
+ * thread and sacWorker.js.
+ * @param {Object} sacData - Parsed SAC data from parseSAC()
+ * @param {Object} options - Resolved options from resolveRenderOptions()
+ * @param {Function} [onProgress] - Callback(percent)
+ * @returns {Uint8ClampedArray} RGBA pixels, width * height * 4 bytes
+ */
+function maskToPixels(sacData, options, onProgress = null) {
+  const { opacity, colorMode, channel, min, max, gamma, width, height } = options;
+  const pixelCount = width * height;
+  const data = new Uint8ClampedArray(pixelCount * 4);
+
+  const read = sacChannelReader(sacData, channel);
+  const scale = 1 / (max - min);
+  const table = SAC_COLORMAPS.includes(colorMode) ? sacColormap(colorMode) : null;
+  const alpha = 255 * opacity;
+  const batchSize = Math.max(65536, Math.ceil(pixelCount / 20));
+
+  for (let start = 0; start < pixelCount; start += batchSize) {
+    const end = Math.min(pixelCount, start + batchSize);
+
+    for (let i = start; i < end; i++) {
+      // Position within the value range, 0-1
+      let t = (read(i) - min) * scale;
+      t = t > 0 ? (t < 1 ? t : 1) : 0; // also maps NaN to 0
+      if (gamma !== 1) t = Math.pow(t, gamma);
+      const value = t * 255;
+
+      // Calculate pixel index in RGBA array
+      const pixelIdx = i * 4;
+
+      if (table) {
+        const entry = Math.round(value) * 3;
+        data[pixelIdx] = table[entry];
+        data[pixelIdx + 1] = table[entry + 1];
+        data[pixelIdx + 2] = table[entry + 2];
+        data[pixelIdx + 3] = alpha;
+        continue;
+      }
+
+      // Apply tint mode
+      switch (colorMode) {
+        case 'white':
+          // White overlay with alpha based on magnitude
+          data[pixelIdx] = 255;     // R
+          data[pixelIdx + 1] = 255; // G
+          data[pixelIdx + 2] = 255; // B
+          data[pixelIdx + 3] = value * opacity; // A
+          break;
+
+        case 'red':
+          data[pixelIdx] = value;
+          data[pixelIdx + 3] = alpha;
+          break;
+
+        case 'green':
+          data[pixelIdx + 1] = value;
+          data[pixelIdx + 3] = alpha;
+          break;
+
+        case 'blue':
+          data[pixelIdx + 2] = value;
+          data[pixelIdx + 3] = alpha;
+          break;
+      }
+    }
+
+    if (onProgress) {
+      onProgress(Math.round(end / pixelCount * 100));
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Check render options against the mask and work out the value range
+ * before any pixels are drawn
+ * @returns {Object} Resolved { opacity, colorMode, channel, min, max, gamma, width, height }
+ */
+function resolveRenderOptions(sacData, options) {
   const {
     opacity = 0.5,
     colorMode = 'white',
+    // The rainbow map has always shown the combined magnitude of A and B
+    channel = colorMode === 'rainbow' ? 'magnitude' : 'a',
+    gamma = 1,
+    autoContrast = false,
     width = sacData.width,
     height = sacData.height
   } = options;
@@ -145,81 +614,285 @@ function renderMask(sacData, canvas, options = {}) {
   const { arrayA, arrayB } = sacData;
   const pixelCount = width * height;
 
-  if (arrayA.length !== pixelCount || arrayB.length !== pixelCount) {
+  if (arrayA.length !== pixelCount || (arrayB && arrayB.length !== pixelCount)) {
     throw new Error(`Array size ${arrayA.length} doesn't match canvas ${width}x${height}=${pixelCount}`);
   }
+  if (!SAC_COLOR_MODES.includes(colorMode)) {
+    throw new Error(`Unknown color mode: ${colorMode}`);
+  }
+  if (!SAC_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown channel: ${channel} (expected ${SAC_CHANNELS.join(', ')})`);
+  }
+  if (!arrayB && (channel === 'b' || channel === 'phase')) {
+    throw new Error(`Channel "${channel}" needs array B, but this is a single-array mask`);
+  }
+  if (!Number.isFinite(gamma) || gamma <= 0) {
+    throw new Error(`Invalid gamma: ${gamma} (expected a number above 0)`);
+  }
+
+  // Value range: manual min/max win over auto-contrast, which wins over the
+  // data type's full range
+  let range;
+  if (autoContrast) {
+    const percentiles = Array.isArray(autoContrast) ? autoContrast : SAC_AUTO_CONTRAST;
+    if (!(percentiles[0] >= 0 && percentiles[1] <= 100 && percentiles[0] < percentiles[1])) {
+      throw new Error(`Invalid auto-contrast percentiles: ${percentiles.join(', ')}`);
+    }
+    range = computeValueRange(sacData, { channel, percentiles });
+  } else {
+    range = fullValueRange(sacData, channel);
+  }
 
+  let min = Number.isFinite(options.min) ? options.min : range.min;
+  let max = Number.isFinite(options.max) ? options.max : range.max;
+  if (!Number.isFinite(options.min) && !Number.isFinite(options.max) &&
+      colorMode === 'diverging' && min < 0 && max > 0) {
+    // Keep zero on the neutral midpoint
+    max = Math.max(-min, max);
+    min = -max;
+  }
+  if (max < min) {
+    throw new Error(`Invalid value range: min ${min} is above max ${max}`);
+  }
+  if (max === min) {
+    // Flat mask: avoid dividing by zero, everything maps to the low end
+    max = min + 1;
+  }
+
+  return { opacity, colorMode, channel, min, max, gamma, width, height };
+}
+
+/**
+ * Colorbar for the mask currently drawn, labelled with the value range
+ * @param {HTMLElement} container - Element the legend is rendered into (its content is replaced)
+ * @param {Object} info - Value returned by renderMask(): { colorMode, channel, min, max, gamma, opacity }
+ */
+function renderLegend(container, info) {
+  const { colorMode, channel, min, max, gamma = 1, opacity = 1 } = info;
+  const steps = 256;
+
+  const bar = document.createElement('canvas');
+  bar.width = steps;
+  bar.height = 1;
+  bar.className = 'sac-legend-bar';
+  bar.style.cssText = 'flex: 1; height: 0.5rem; image-rendering: pixelated; border-radius: 2px;';
+
+  // Same mapping as maskToPixels(), one column per step
+  const pixels = maskToPixels(
+    { arrayA: Float64Array.from({ length: steps }, (_, i) => i / (steps - 1)), arrayB: null },
+    { opacity: colorMode === 'white' ? 1 : opacity, colorMode, channel: 'a', min: 0, max: 1, gamma, width: steps, height: 1 }
+  );
+  const ctx = bar.getContext('2d');
+  const imageData = ctx.createImageData(steps, 1);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+
+  const channelNames = { a: 'A', b: 'B', magnitude: '|A, B|', phase: 'Phase' };
+  const format = (value) => (Math.abs(value) >= 1000 ? Math.round(value).toString() : Number(value.toPrecision(3)).toString());
+  const label = (text) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  };
+
+  container.textContent = '';
+  container.classList.add('sac-legend');
+  container.style.display = 'flex';
+  container.style.alignItems = 'center';
+  container.style.gap = '0.5rem';
+  container.append(
+    label(channelNames[channel] || channel),
+    label(format(min)),
+    bar,
+    label(format(max))
+  );
+}
+
+/**
+ * Draw worker or main-thread output onto a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} result - { width, height } plus either `bitmap` (ImageBitmap) or `pixels` (Uint8ClampedArray)
+ */
+function paintMask(canvas, { width, height, bitmap, pixels }) {
   // Set canvas dimensions
   canvas.width = width;
   canvas.height = height;
 
   const ctx = canvas.getContext('2d');
+  if (bitmap) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return;
+  }
+
   const imageData = ctx.createImageData(width, height);
-  const data = imageData.data;
-
-  // Render based on color mode
-  for (let i = 0; i < pixelCount; i++) {
-    const valueA = arrayA[i];
-    const valueB = arrayB[i];
-
-    // Normalize int16 values to 0-255 range
-    // Assuming int16 range: -32768 to 32767
-    const normalizeValue = (val) => Math.max(0, Math.min(255, ((val + 32768) / 65535) * 255));
-
-    const normA = normalizeValue(valueA);
-    const normB = normalizeValue(valueB);
-
-    // Calculate pixel index in RGBA array
-    const pixelIdx = i * 4;
-
-    // Apply color mode
-    switch (colorMode) {
-      case 'white':
-        // White overlay with alpha based on magnitude
-        data[pixelIdx] = 255;     // R
-        data[pixelIdx + 1] = 255; // G
-        data[pixelIdx + 2] = 255; // B
-        data[pixelIdx + 3] = normA * opacity; // A
-        break;
-
-      case 'red':
-        data[pixelIdx] = normA;
-        data[pixelIdx + 1] = 0;
-        data[pixelIdx + 2] = 0;
-        data[pixelIdx + 3] = 255 * opacity;
-        break;
-
-      case 'green':
-        data[pixelIdx] = 0;
-        data[pixelIdx + 1] = normA;
-        data[pixelIdx + 2] = 0;
-        data[pixelIdx + 3] = 255 * opacity;
-        break;
-
-      case 'blue':
-        data[pixelIdx] = 0;
-        data[pixelIdx + 1] = 0;
-        data[pixelIdx + 2] = normA;
-        data[pixelIdx + 3] = 255 * opacity;
-        break;
-
-      case 'rainbow':
-        // Map magnitude to hue (0-360 degrees)
-        const magnitude = Math.sqrt(normA * normA + normB * normB);
-        const hue = (magnitude / 255) * 360;
-        const rgb = hslToRgb(hue, 100, 50);
-        data[pixelIdx] = rgb[0];
-        data[pixelIdx + 1] = rgb[1];
-        data[pixelIdx + 2] = rgb[2];
-        data[pixelIdx + 3] = 255 * opacity;
-        break;
-
-      default:
-        throw new Error(`Unknown color mode: ${colorMode}`);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+}
+
+function sacWorkerConfig() {
+  const config = typeof ArtorizeConfig !== 'undefined' && ArtorizeConfig.SAC ? ArtorizeConfig.SAC : {};
+  return { ...SAC_WORKER_DEFAULTS, ...config };
+}
+
+/**
+ * @param {number} pixelCount - Size of the mask about to be processed
+ * @returns {boolean} True if the work should go to sacWorker.js
+ */
+function shouldUseSACWorker(pixelCount) {
+  const config = sacWorkerConfig();
+  return typeof window !== 'undefined' && typeof Worker !== 'undefined' &&
+    Boolean(config.WORKER_URL) && pixelCount >= config.WORKER_THRESHOLD;
+}
+
+/**
+ * Run one job in a fresh sacWorker.js. A newer job for the same canvas
+ * terminates this one; its promise then resolves with null.
+ * @param {HTMLCanvasElement} canvas - Canvas the result is for
+ * @param {Object} message - Worker request
+ * @param {Transferable[]} transfer - Buffers moved to the worker
+ * @param {Function} [onProgress] - Callback({ stage, percent })
+ * @returns {Promise<Object|null>} Worker result
+ */
+function runSACWorker(canvas, message, transfer, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(sacWorkerConfig().WORKER_URL);
+
+    cancelCanvasJob(canvas);
+
+    const finish = () => {
+      worker.terminate();
+      if (sacCanvasJobs && sacCanvasJobs.get(canvas) === job) {
+        sacCanvasJobs.delete(canvas);
+      }
+    };
+    const job = {
+      cancel: () => {
+        finish();
+        resolve(null);
+      }
+    };
+    if (sacCanvasJobs) sacCanvasJobs.set(canvas, job);
+
+    worker.onmessage = (event) => {
+      const result = event.data || {};
+      if (result.type === 'progress') {
+        if (onProgress) onProgress({ stage: result.stage, percent: result.percent });
+        return;
+      }
+      finish();
+      if (result.type === 'done') {
+        resolve(result);
+      } else {
+        reject(new Error(result.message || 'SAC worker failed'));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      // The worker itself could not run (e.g. script not found), as opposed
+      // to an error it reported about the mask
+      const error = new Error(event.message || 'SAC worker error');
+      error.workerFailed = true;
+      reject(error);
+    };
+
+    worker.postMessage(message, transfer);
+  });
+}
+
+/**
+ * Stop the worker job drawing into a canvas, if any
+ * @param {HTMLCanvasElement} canvas
+ */
+function cancelCanvasJob(canvas) {
+  const previous = sacCanvasJobs && sacCanvasJobs.get(canvas);
+  if (previous) previous.cancel();
+}
+
+/**
+ * Render SAC mask on canvas overlay. Drawn with WebGL2 when available
+ * (sacWebGL.js), which keeps the mask on the GPU so later calls with new
+ * options are instant; otherwise drawn on the main thread. The mask is on the
+ * canvas when this returns. Use renderMaskAsync() to convert large masks in a
+ * Web Worker instead.
+ * @param {Object} sacData - Parsed SAC data from parseSAC()
+ * @param {HTMLCanvasElement} canvas - Canvas element to render on
+ * @param {Object} options - Rendering options
+ * @param {number} options.opacity - Mask opacity (0-1, default: 0.5)
+ * @param {string} options.colorMode - 'white', 'red', 'green', 'blue' (tints) or
+ *   'rainbow', 'viridis', 'magma', 'diverging' (colormaps) (default: 'white')
+ * @param {string} options.channel - 'a', 'b', 'magnitude' or 'phase' (default: 'a', 'magnitude' for rainbow)
+ * @param {boolean|number[]} options.autoContrast - Fit the range to the [2, 98] percentiles, or to [low, high]
+ * @param {number} options.min - Value drawn at the low end of the color mode (overrides autoContrast)
+ * @param {number} options.max - Value drawn at the high end of the color mode (overrides autoContrast)
+ * @param {number} options.gamma - Exponent applied to the normalized value (default: 1, below 1 brightens)
+ * @param {number} options.width - Canvas width (defaults to sacData.width)
+ * @param {number} options.height - Canvas height (defaults to sacData.height)
+ * @returns {Object} { colorMode, channel, min, max, gamma, opacity } for renderLegend()
+ */
+function renderMask(sacData, canvas, options = {}) {
+  const renderOptions = resolveRenderOptions(sacData, options);
+  const { width, height } = renderOptions;
+
+  // Replaces any worker render still in flight
+  cancelCanvasJob(canvas);
+  if (typeof SACWebGL === 'undefined' || !SACWebGL.render(canvas, sacData, renderOptions)) {
+    paintMask(canvas, { width, height, pixels: maskToPixels(sacData, renderOptions) });
+  }
+  return renderInfo(renderOptions);
+}
+
+/**
+ * renderMask() that keeps the page responsive for large masks: without
+ * WebGL2, masks of at least ArtorizeConfig.SAC.WORKER_THRESHOLD pixels are
+ * converted in a Web Worker. Smaller masks are drawn before this returns.
+ * @param {Object} sacData - Parsed SAC data from parseSAC()
+ * @param {HTMLCanvasElement} canvas - Canvas element to render on
+ * @param {Object} options - renderMask() options, plus:
+ * @param {Function} options.onProgress - Callback({ stage: 'render', percent }) for large masks
+ * @returns {Promise<Object>} Resolves with renderMask()'s result once the mask is on the canvas
+ */
+function renderMaskAsync(sacData, canvas, options = {}) {
+  let renderOptions;
+  try {
+    renderOptions = resolveRenderOptions(sacData, options);
+    if (!shouldUseSACWorker(renderOptions.width * renderOptions.height)) {
+      return Promise.resolve(renderMask(sacData, canvas, options));
     }
+  } catch (error) {
+    return Promise.reject(error);
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  const { width, height } = renderOptions;
+  const onProgress = options.onProgress || null;
+  const info = renderInfo(renderOptions);
+
+  if (typeof SACWebGL !== 'undefined' && SACWebGL.render(canvas, sacData, renderOptions)) {
+    cancelCanvasJob(canvas);
+    return Promise.resolve(info);
+  }
+
+  // The arrays are copied, not transferred, so the caller's sacData stays usable
+  const { arrayA, arrayB, dataType } = sacData;
+  const message = { type: 'render', sacData: { arrayA, arrayB, dataType }, options: renderOptions };
+
+  return runSACWorker(canvas, message, [], onProgress)
+    .then(result => {
+      if (result) paintMask(canvas, result);
+      return info;
+    })
+    .catch(error => {
+      console.warn('[SAC] Render worker failed, rendering on main thread:', error.message);
+      const pixels = maskToPixels(sacData, renderOptions, onProgress && (percent => onProgress({ stage: 'render', percent })));
+      paintMask(canvas, { width, height, pixels });
+      return info;
+    });
+}
+
+function renderInfo({ colorMode, channel, min, max, gamma, opacity }) {
+  return { colorMode, channel, min, max, gamma, opacity };
 }
 
 /**
@@ -260,12 +933,14 @@ function hslToRgb(h, s, l) {
 }
 
 /**
- * Load image, fetch SAC mask, and render complete protected artwork
+ * Load image, fetch SAC mask, and render complete protected artwork. For large
+ * images the download, parsing and pixel conversion all happen in a Web Worker.
  * @param {HTMLImageElement} imgElement - The polluted image element
  * @param {string} sacUrl - URL to SAC mask file
  * @param {HTMLCanvasElement} maskCanvas - Canvas for rendering mask overlay
- * @param {Object} options - Rendering options (opacity, colorMode, etc.)
- * @returns {Promise<Object>} Parsed SAC data
+ * @param {Object} options - Rendering options (opacity, colorMode, etc.), plus
+ *   onProgress: Callback({ stage: 'download' | 'render', percent })
+ * @returns {Promise<Object|null>} Parsed SAC data (null if a newer render on the same canvas replaced this one)
  */
 async function loadMaskAndRender(imgElement, sacUrl, maskCanvas, options = {}) {
   try {
@@ -277,16 +952,29 @@ async function loadMaskAndRender(imgElement, sacUrl, maskCanvas, options = {}) {
       });
     }
 
+    const onProgress = options.onProgress || null;
+    const imageWidth = imgElement.naturalWidth;
+    const imageHeight = imgElement.naturalHeight;
+
+    if (shouldUseSACWorker(imageWidth * imageHeight)) {
+      try {
+        return await loadMaskInWorker(sacUrl, maskCanvas, options, imageWidth, imageHeight);
+      } catch (error) {
+        if (!error.workerFailed) throw error;
+        console.warn('[SAC] Worker unavailable, loading mask on main thread:', error.message);
+      }
+    }
+
     // Fetch and parse SAC
-    const sacBuffer = await fetchSAC(sacUrl);
+    const sacBuffer = await fetchSAC(sacUrl, onProgress && (percent => onProgress({ stage: 'download', percent })));
     const sacData = parseSAC(sacBuffer);
 
     // Use image dimensions if SAC doesn't specify
-    const width = sacData.width || imgElement.naturalWidth;
-    const height = sacData.height || imgElement.naturalHeight;
+    const width = sacData.width || imageWidth;
+    const height = sacData.height || imageHeight;
 
     // Render mask
-    renderMask(sacData, maskCanvas, {
+    await renderMaskAsync(sacData, maskCanvas, {
       ...options,
       width,
       height
@@ -299,13 +987,52 @@ async function loadMaskAndRender(imgElement, sacUrl, maskCanvas, options = {}) {
   }
 }
 
+async function loadMaskInWorker(sacUrl, maskCanvas, options, imageWidth, imageHeight) {
+  // Everything but the callback can be posted to the worker
+  const { onProgress, ...renderOptions } = options;
+  // Resolve against the page, not the worker script
+  const url = new URL(sacUrl, window.location.href).href;
+
+  // With WebGL the worker only downloads and parses; the GPU does the pixels
+  if (typeof SACWebGL !== 'undefined' && SACWebGL.isSupported(imageWidth, imageHeight)) {
+    const result = await runSACWorker(maskCanvas, { type: 'parse', url }, [], onProgress);
+    if (!result) return null;
+
+    const { sacData } = result;
+    await renderMaskAsync(sacData, maskCanvas, {
+      ...options,
+      width: sacData.width || imageWidth,
+      height: sacData.height || imageHeight
+    });
+    return sacData;
+  }
+
+  const message = {
+    type: 'load',
+    url,
+    options: { ...renderOptions, width: imageWidth, height: imageHeight }
+  };
+
+  const result = await runSACWorker(maskCanvas, message, [], onProgress);
+  if (!result) return null;
+
+  paintMask(maskCanvas, result);
+  return result.sacData;
+}
+
 // Export functions
 if (typeof window !== 'undefined') {
   window.SAC = {
     parseSAC,
+    writeSAC,
     fetchSAC,
     renderMask,
-    loadMaskAndRender
+    renderMaskAsync,
+    renderLegend,
+    computeValueRange,
+    loadMaskAndRender,
+    COLOR_MODES: SAC_COLOR_MODES,
+    CHANNELS: SAC_CHANNELS
   };
 }
 
@@ -313,8 +1040,14 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     parseSAC,
+    writeSAC,
     fetchSAC,
     renderMask,
-    loadMaskAndRender
+    renderMaskAsync,
+    renderLegend,
+    computeValueRange,
+    loadMaskAndRender,
+    COLOR_MODES: SAC_COLOR_MODES,
+    CHANNELS: SAC_CHANNELS
   };
 }
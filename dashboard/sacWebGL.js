@@ -0,0 +1,347 @@
+/**
+ * SAC WebGL Renderer
+ *
+ * WebGL2 path for renderMask(). The mask arrays are uploaded once per canvas
+ * as textures in their own data type. Channel, value range, gamma, color mode
+ * and opacity are applied in the fragment shader, so changing them only
+ * redraws. Colormaps use the same lookup tables as the Canvas2D path. Used
+ * automatically by sacParser.js when available; renderMask() falls back to
+ * Canvas2D otherwise.
+ *
+ * Requires sacParser.js (SAC_COLORMAPS, SAC_CHANNELS, sacColormap).
+ */
+
+const SACWebGL = (function() {
+  // Shader tint modes; every colormap is mode 4 with its table bound to u_colormap
+  const TINT_MODES = { white: 0, red: 1, green: 2, blue: 3 };
+  const COLORMAP_MODE = 4;
+
+  // Texture formats per SAC data type. Integer types keep their exact values
+  // and are read through an isampler2D / usampler2D.
+  const TEXTURE_FORMATS = {
+    int16: { sampler: 'i', internalFormat: 'R16I', format: 'RED_INTEGER', type: 'SHORT', ArrayType: Int16Array },
+    uint8: { sampler: 'u', internalFormat: 'R8UI', format: 'RED_INTEGER', type: 'UNSIGNED_BYTE', ArrayType: Uint8Array },
+    uint16: { sampler: 'u', internalFormat: 'R16UI', format: 'RED_INTEGER', type: 'UNSIGNED_SHORT', ArrayType: Uint16Array },
+    float16: { sampler: '', internalFormat: 'R32F', format: 'RED', type: 'FLOAT', ArrayType: Float32Array },
+    float32: { sampler: '', internalFormat: 'R32F', format: 'RED', type: 'FLOAT', ArrayType: Float32Array }
+  };
+
+  const VERTEX_SHADER = `#version 300 es
+    // One triangle covering the viewport, no vertex buffer needed
+    void main() {
+      vec2 position = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+      gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+    }`;
+
+  const fragmentShader = (sampler) => `#version 300 es
+    precision highp float;
+    precision highp sampler2D;
+    ${sampler ? `precision highp ${sampler}sampler2D;` : ''}
+
+    uniform ${sampler}sampler2D u_arrayA;
+    uniform ${sampler}sampler2D u_arrayB;
+    uniform sampler2D u_colormap;
+    uniform bool u_hasB;
+    uniform int u_channel;
+    uniform float u_min;
+    uniform float u_max;
+    uniform float u_gamma;
+    uniform float u_opacity;
+    uniform int u_mode;
+    uniform int u_height;
+
+    out vec4 outColor;
+
+    void main() {
+      // Row 0 of the mask is the top of the image
+      ivec2 pixel = ivec2(int(gl_FragCoord.x), u_height - 1 - int(gl_FragCoord.y));
+      float a = float(texelFetch(u_arrayA, pixel, 0).r);
+      float b = u_hasB ? float(texelFetch(u_arrayB, pixel, 0).r) : 0.0;
+
+      // Channel order matches SAC_CHANNELS: a, b, magnitude, phase
+      float value = a;
+      if (u_channel == 1) value = b;
+      else if (u_channel == 2) value = u_hasB ? length(vec2(a, b)) : abs(a);
+      else if (u_channel == 3) value = atan(b, a);
+
+      // Position within the value range, 0-1
+      float t = clamp((value - u_min) / (u_max - u_min), 0.0, 1.0);
+      if (u_gamma != 1.0) t = pow(t, u_gamma);
+
+      if (u_mode == 0) {
+        outColor = vec4(1.0, 1.0, 1.0, t * u_opacity);
+      } else if (u_mode == 1) {
+        outColor = vec4(t, 0.0, 0.0, u_opacity);
+      } else if (u_mode == 2) {
+        outColor = vec4(0.0, t, 0.0, u_opacity);
+      } else if (u_mode == 3) {
+        outColor = vec4(0.0, 0.0, t, u_opacity);
+      } else {
+        vec3 color = texelFetch(u_colormap, ivec2(int(t * 255.0 + 0.5), 0), 0).rgb;
+        outColor = vec4(color, u_opacity);
+      }
+    }`;
+
+  // Renderer state per canvas, or false once WebGL2 is known to be unusable on it
+  const renderers = new WeakMap();
+
+  let maxTextureSize;
+
+  /**
+   * Largest texture the browser supports, probed once on a throwaway canvas so
+   * the target canvas is never claimed by a context that can't draw the mask
+   * @returns {number} 0 if WebGL2 is unavailable
+   */
+  function getMaxTextureSize() {
+    if (maxTextureSize !== undefined) return maxTextureSize;
+
+    maxTextureSize = 0;
+    try {
+      const gl = typeof document !== 'undefined' && document.createElement('canvas').getContext('webgl2');
+      if (gl) {
+        maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+      }
+    } catch (e) {
+      // WebGL2 blocked or unsupported - Canvas2D is used instead
+    }
+    return maxTextureSize;
+  }
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @returns {boolean} True if a mask of this size can be drawn with WebGL2
+   */
+  function isSupported(width = 1, height = 1) {
+    const max = getMaxTextureSize();
+    return max > 0 && width <= max && height <= max;
+  }
+
+  function compile(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const log = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error(`Mask shader failed to compile: ${log}`);
+    }
+    return shader;
+  }
+
+  function createProgram(gl, sampler) {
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, fragmentShader(sampler)));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Mask shader failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+
+    const uniforms = {};
+    [
+      'u_arrayA', 'u_arrayB', 'u_colormap', 'u_hasB', 'u_channel',
+      'u_min', 'u_max', 'u_gamma', 'u_opacity', 'u_mode', 'u_height'
+    ].forEach(name => {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    });
+    return { program, uniforms };
+  }
+
+  function createTexture(gl, array, width, height, format) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl[format.internalFormat], width, height, 0,
+      gl[format.format], gl[format.type], array);
+    return texture;
+  }
+
+  /**
+   * (Re)build the program and textures for the state's current mask
+   */
+  function upload(state) {
+    const { gl, sacData, width, height } = state;
+    const dataType = sacData.dataType || 'int16';
+    const format = TEXTURE_FORMATS[dataType];
+
+    release(state);
+
+    // Program per sampler type ('' / 'i' / 'u'), kept across masks
+    if (!state.programs[format.sampler]) {
+      state.programs[format.sampler] = createProgram(gl, format.sampler);
+    }
+    state.current = state.programs[format.sampler];
+
+    // parseSAC output is used as is; plain arrays (or undecoded types) are converted
+    const asTextureData = (array) => (array instanceof format.ArrayType ? array : format.ArrayType.from(array));
+
+    state.textureA = createTexture(gl, asTextureData(sacData.arrayA), width, height, format);
+    state.textureB = sacData.arrayB ? createTexture(gl, asTextureData(sacData.arrayB), width, height, format) : null;
+    state.uploaded = true;
+  }
+
+  /**
+   * Colormap lookup table as a 256x1 RGB texture, created once per context
+   */
+  function colormapTexture(state, name) {
+    if (!state.colormaps[name]) {
+      const { gl } = state;
+      state.colormaps[name] = createTexture(gl, sacColormap(name), 256, 1,
+        { internalFormat: 'RGB8', format: 'RGB', type: 'UNSIGNED_BYTE' });
+    }
+    return state.colormaps[name];
+  }
+
+  function release(state) {
+    const { gl } = state;
+    if (state.textureA) gl.deleteTexture(state.textureA);
+    if (state.textureB) gl.deleteTexture(state.textureB);
+    state.textureA = null;
+    state.textureB = null;
+    state.uploaded = false;
+  }
+
+  function draw(state) {
+    const { gl, width, height, options } = state;
+    const { program, uniforms } = state.current;
+    const isColormap = SAC_COLORMAPS.includes(options.colorMode);
+
+    gl.viewport(0, 0, width, height);
+    gl.useProgram(program);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, state.textureA);
+    gl.activeTexture(gl.TEXTURE1);
+    // Single-array masks bind A twice; u_hasB keeps it out of the result
+    gl.bindTexture(gl.TEXTURE_2D, state.textureB || state.textureA);
+    gl.activeTexture(gl.TEXTURE2);
+    // Tint modes never read the colormap, but the sampler still needs a complete texture
+    gl.bindTexture(gl.TEXTURE_2D, colormapTexture(state, isColormap ? options.colorMode : 'viridis'));
+
+    gl.uniform1i(uniforms.u_arrayA, 0);
+    gl.uniform1i(uniforms.u_arrayB, 1);
+    gl.uniform1i(uniforms.u_colormap, 2);
+    gl.uniform1i(uniforms.u_hasB, state.textureB ? 1 : 0);
+    gl.uniform1i(uniforms.u_channel, SAC_CHANNELS.indexOf(options.channel));
+    gl.uniform1f(uniforms.u_min, options.min);
+    gl.uniform1f(uniforms.u_max, options.max);
+    gl.uniform1f(uniforms.u_gamma, options.gamma);
+    gl.uniform1f(uniforms.u_opacity, options.opacity);
+    gl.uniform1i(uniforms.u_mode, isColormap ? COLORMAP_MODE : TINT_MODES[options.colorMode]);
+    gl.uniform1i(uniforms.u_height, height);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  function createRenderer(canvas) {
+    // Unpremultiplied output to match putImageData(); the drawing buffer is
+    // preserved so the canvas can still be copied or exported after compositing
+    const gl = canvas.getContext('webgl2', { premultipliedAlpha: false, preserveDrawingBuffer: true, antialias: false });
+    if (!gl) return null;
+
+    const state = { gl, programs: {}, colormaps: {}, current: null, sacData: null, lost: false };
+
+    canvas.addEventListener('webglcontextlost', (event) => {
+      // Allow the browser to restore the context
+      event.preventDefault();
+      state.lost = true;
+      state.programs = {};
+      state.colormaps = {};
+      state.textureA = null;
+      state.textureB = null;
+      state.uploaded = false;
+    });
+
+    canvas.addEventListener('webglcontextrestored', () => {
+      state.lost = false;
+      if (state.sacData) {
+        try {
+          upload(state);
+          draw(state);
+        } catch (error) {
+          console.error('[SAC] Could not redraw mask after WebGL context restore:', error);
+        }
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Draw a mask with WebGL2. Textures are uploaded only when the mask or its
+   * size changes; option-only changes just redraw.
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} sacData - Parsed SAC data from parseSAC()
+   * @param {Object} options - Resolved { opacity, colorMode, width, height }
+   * @returns {boolean} False if WebGL2 can't be used on this canvas (draw with Canvas2D instead)
+   * @throws {Error} If the canvas already uses WebGL and the mask exceeds the texture size limit
+   */
+  function render(canvas, sacData, options) {
+    const { width, height } = options;
+    let state = renderers.get(canvas);
+    if (state === false) return false;
+
+    if (!isSupported(width, height)) {
+      if (state) {
+        throw new Error(`Mask ${width}x${height} exceeds the WebGL texture limit (${getMaxTextureSize()}px)`);
+      }
+      return false;
+    }
+
+    if (!state) {
+      state = createRenderer(canvas);
+      renderers.set(canvas, state || false);
+      if (!state) return false;
+    }
+
+    const changed = state.sacData !== sacData || state.width !== width || state.height !== height;
+    state.sacData = sacData;
+    state.width = width;
+    state.height = height;
+    state.options = options;
+
+    // Drawn once the context is restored
+    if (state.lost) return true;
+
+    if (changed || !state.uploaded) {
+      canvas.width = width;
+      canvas.height = height;
+      upload(state);
+    }
+    draw(state);
+    return true;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @returns {boolean} True if the canvas is drawn with WebGL2
+   */
+  function isActive(canvas) {
+    return Boolean(renderers.get(canvas));
+  }
+
+  return {
+    isSupported,
+    isActive,
+    render
+  };
+})();
+
+// Make renderer available globally
+if (typeof window !== 'undefined') {
+  window.SACWebGL = SACWebGL;
+}
+
+// Export for ES modules (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SACWebGL;
+}
@@ -0,0 +1,92 @@
+/**
+ * SAC Worker - Mask decoding and pixel conversion off the main thread
+ *
+ * Converting an 8K mask to RGBA loops over tens of millions of values, which
+ * freezes the page when done on the main thread. This worker reuses the
+ * parser and converter from sacParser.js and hands the result back without
+ * copying: an ImageBitmap when OffscreenCanvas is available, raw RGBA
+ * pixels otherwise.
+ *
+ * Messages in:  { type: 'load', url, options }           fetch, parse and render
+ *               { type: 'parse', url }                    fetch and parse only (WebGL renders)
+ *               { type: 'render', sacData, options }     render already parsed arrays
+ * Messages out: { type: 'progress', stage: 'download' | 'render', percent }
+ *               { type: 'done', width?, height?, bitmap?, pixels?, sacData? }
+ *               { type: 'error', message }
+ */
+
+importScripts('sacParser.js');
+
+/**
+ * Convert the arrays and post the result, transferring every buffer
+ * @param {Object} sacData - Arrays to render
+ * @param {Object} options - Render options; width/height fall back to the mask's own
+ * @param {boolean} includeData - Send the parsed arrays back too ('load' only)
+ */
+function renderAndPost(sacData, options, includeData) {
+  const renderOptions = resolveRenderOptions(sacData, {
+    ...options,
+    width: sacData.width || options.width,
+    height: sacData.height || options.height
+  });
+  const { width, height } = renderOptions;
+
+  const pixels = maskToPixels(sacData, renderOptions, (percent) => {
+    self.postMessage({ type: 'progress', stage: 'render', percent });
+  });
+
+  const result = { type: 'done', width, height };
+  const transfer = [];
+
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    result.bitmap = canvas.transferToImageBitmap();
+    transfer.push(result.bitmap);
+  } else {
+    result.pixels = pixels;
+    transfer.push(pixels.buffer);
+  }
+
+  if (includeData) {
+    result.sacData = sacData;
+    transfer.push(...arrayBuffers(sacData));
+  }
+
+  self.postMessage(result, transfer);
+}
+
+/**
+ * @param {Object} sacData - Parsed SAC data
+ * @returns {ArrayBuffer[]} Distinct buffers behind arrayA/arrayB (shared unless decoded)
+ */
+function arrayBuffers(sacData) {
+  const buffers = [];
+  [sacData.arrayA, sacData.arrayB].forEach(array => {
+    if (array && !buffers.includes(array.buffer)) buffers.push(array.buffer);
+  });
+  return buffers;
+}
+
+self.onmessage = async (event) => {
+  const { type, url, sacData, options = {} } = event.data || {};
+  try {
+    if (type === 'load') {
+      const buffer = await fetchSAC(url, (percent) => {
+        self.postMessage({ type: 'progress', stage: 'download', percent });
+      });
+      renderAndPost(parseSAC(buffer), options, true);
+    } else if (type === 'parse') {
+      const parsed = parseSAC(await fetchSAC(url, (percent) => {
+        self.postMessage({ type: 'progress', stage: 'download', percent });
+      }));
+      self.postMessage({ type: 'done', sacData: parsed }, arrayBuffers(parsed));
+    } else if (type === 'render') {
+      renderAndPost(sacData, options, false);
+    } else {
+      throw new Error(`Unknown SAC worker request: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'SAC worker failed' });
+  }
+};
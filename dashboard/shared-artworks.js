@@ -175,7 +175,7 @@
         const cdnUrl = window.ArtorizeConfig?.CDN_URL || 'https://cdn.artorizer.com';
 
         try {
-            const response = await fetch(`${apiUrl}/artworks/me?limit=100`, {
+            const response = await RateLimits.fetch(`${apiUrl}/artworks/me?limit=100`, {
                 method: 'GET',
                 credentials: 'include',
                 headers: { 'Content-Type': 'application/json' }
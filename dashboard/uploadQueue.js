@@ -0,0 +1,498 @@
+/**
+ * Upload Queue - Batch submission on top of ArtworkUploader
+ *
+ * Accepts many artworks at once, submits N at a time, and tracks every
+ * job independently so entries can be paused, resumed, reordered and
+ * cancelled while the batch is running. Files that have already been
+ * protected are skipped before any bytes are uploaded.
+ */
+
+const QUEUE_ITEM_STATES = {
+  QUEUED: 'queued',
+  PAUSED: 'paused', // held back by the user until resumed
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const QUEUE_TERMINAL_STATES = [
+  QUEUE_ITEM_STATES.COMPLETED,
+  QUEUE_ITEM_STATES.FAILED,
+  QUEUE_ITEM_STATES.CANCELLED
+];
+
+class UploadQueue {
+  /**
+   * @param {ArtworkUploader} uploader - Uploader used for every entry
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Max simultaneous jobs (defaults to config QUEUE.CONCURRENCY)
+   * @param {Function} [options.onItemUpdate] - Callback(item) on any per-item change
+   * @param {Function} [options.onQueueUpdate] - Callback(summary) on any queue change
+   */
+  constructor(uploader, options = {}) {
+    const queueConfig = (uploader.config && uploader.config.QUEUE) || {};
+
+    this.uploader = uploader;
+    this.concurrency = Math.max(1, options.concurrency || queueConfig.CONCURRENCY || 2);
+    this.onItemUpdate = options.onItemUpdate || null;
+    this.onQueueUpdate = options.onQueueUpdate || null;
+
+    this.items = [];
+    this.paused = false;
+    this._active = 0;
+    this._nextId = 1;
+    this._controllers = new Map(); // item ID -> AbortController of the running entry
+    this._budgetTimer = null;
+    this.waitingUntil = null; // set while queued entries wait for the upload budget (see RateLimits)
+  }
+
+  /**
+   * Add an artwork to the end of the queue
+   * @param {Object} params - Same parameters as ArtworkUploader.submitArtwork
+   * @returns {Object} Queue item
+   */
+  add(params) {
+    const item = {
+      id: `q${this._nextId++}`,
+      name: params.artwork_title || (params.imageFile && params.imageFile.name) || 'Artwork',
+      params,
+      state: QUEUE_ITEM_STATES.QUEUED,
+      uploadProgress: 0,
+      processingProgress: 0,
+      jobId: null,
+      status: null,
+      result: null,
+      error: null
+    };
+
+    this.items.push(item);
+    this._emitItem(item);
+    this._pump();
+    return item;
+  }
+
+  /**
+   * Add several artworks at once
+   * @param {Object[]} paramsList - Array of submitArtwork parameter objects
+   * @returns {Object[]} Queue items
+   */
+  addAll(paramsList) {
+    return paramsList.map(params => this.add(params));
+  }
+
+  /**
+   * Stop starting new entries. Jobs already running continue to completion.
+   */
+  pause() {
+    this.paused = true;
+    this._emitQueue();
+  }
+
+  /**
+   * Resume starting queued entries
+   */
+  resume() {
+    this.paused = false;
+    this._emitQueue();
+    this._pump();
+  }
+
+  /**
+   * Hold a waiting entry back. The rest of the queue keeps going.
+   * @param {string} id - Queue item ID
+   * @returns {boolean} True if the entry was paused
+   */
+  pauseItem(id) {
+    const item = this.getItem(id);
+    if (!item || item.state !== QUEUE_ITEM_STATES.QUEUED) {
+      return false;
+    }
+
+    item.state = QUEUE_ITEM_STATES.PAUSED;
+    this._emitItem(item);
+    return true;
+  }
+
+  /**
+   * Let a paused entry start again, from its current position
+   * @param {string} id - Queue item ID
+   * @returns {boolean} True if the entry was resumed
+   */
+  resumeItem(id) {
+    const item = this.getItem(id);
+    if (!item || item.state !== QUEUE_ITEM_STATES.PAUSED) {
+      return false;
+    }
+
+    item.state = QUEUE_ITEM_STATES.QUEUED;
+    this._emitItem(item);
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Queue an entry that finished as already protected again, uploading it
+   * with allow_duplicate this time
+   * @param {string} id - Queue item ID
+   * @returns {boolean} True if the entry was re-queued
+   */
+  reprotect(id) {
+    const item = this.getItem(id);
+    if (!item || !UploadQueue.isDuplicate(item)) {
+      return false;
+    }
+
+    item.params = { ...item.params, allow_duplicate: true };
+    item.result = null;
+    item.uploadProgress = 0;
+    item.processingProgress = 0;
+    item.state = QUEUE_ITEM_STATES.QUEUED;
+    this._emitItem(item);
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Cancel an entry. Queued and paused entries never start; running entries have their
+   * upload or tracking aborted, and a submitted job is cancelled on the router
+   * when it supports it.
+   * @param {string} id - Queue item ID
+   * @returns {boolean} True if the entry was cancelled
+   */
+  cancel(id) {
+    const item = this.getItem(id);
+    if (!item || QUEUE_TERMINAL_STATES.includes(item.state)) {
+      return false;
+    }
+
+    const wasProcessing = item.state === QUEUE_ITEM_STATES.PROCESSING;
+    item.state = QUEUE_ITEM_STATES.CANCELLED;
+
+    const controller = this._controllers.get(id);
+    if (controller) {
+      controller.abort();
+    }
+    if (wasProcessing && item.jobId) {
+      this.uploader.cancelJob(item.jobId).catch(error => {
+        console.warn(`[UploadQueue] Could not cancel job ${item.jobId} on the router:`, error);
+      });
+    }
+
+    this._emitItem(item);
+    return true;
+  }
+
+  /**
+   * Cancel every entry that has not finished yet
+   */
+  cancelAll() {
+    this.items.forEach(item => this.cancel(item.id));
+  }
+
+  /**
+   * Move a queued or paused entry to a new position
+   * @param {string} id - Queue item ID
+   * @param {number} toIndex - Target index in the queue
+   * @returns {boolean} True if the entry was moved
+   */
+  move(id, toIndex) {
+    const fromIndex = this.items.findIndex(item => item.id === id);
+    const state = fromIndex === -1 ? null : this.items[fromIndex].state;
+    if (state !== QUEUE_ITEM_STATES.QUEUED && state !== QUEUE_ITEM_STATES.PAUSED) {
+      return false;
+    }
+
+    const target = Math.max(0, Math.min(this.items.length - 1, toIndex));
+    const [item] = this.items.splice(fromIndex, 1);
+    this.items.splice(target, 0, item);
+    this._emitQueue();
+    return true;
+  }
+
+  /**
+   * Remove finished entries (completed, failed or cancelled)
+   */
+  clearFinished() {
+    this.items = this.items.filter(item => !QUEUE_TERMINAL_STATES.includes(item.state));
+    this._emitQueue();
+  }
+
+  /**
+   * @param {string} id - Queue item ID
+   * @returns {Object|undefined} Queue item
+   */
+  getItem(id) {
+    return this.items.find(item => item.id === id);
+  }
+
+  /**
+   * Aggregate progress across all entries
+   * @returns {Object} { total, queued, held, active, completed, duplicates, failed, cancelled, percentage, paused, done, waitingUntil }.
+   *   `held` counts entries paused one by one; `paused` is the whole queue.
+   *   `duplicates` counts completed entries skipped as already protected.
+   */
+  getSummary() {
+    const summary = {
+      total: this.items.length,
+      queued: 0,
+      held: 0,
+      active: 0,
+      completed: 0,
+      duplicates: 0,
+      failed: 0,
+      cancelled: 0,
+      percentage: 0,
+      paused: this.paused,
+      done: false,
+      waitingUntil: this.waitingUntil
+    };
+
+    let progressSum = 0;
+    this.items.forEach(item => {
+      switch (item.state) {
+        case QUEUE_ITEM_STATES.QUEUED:
+          summary.queued++;
+          break;
+        case QUEUE_ITEM_STATES.PAUSED:
+          summary.held++;
+          break;
+        case QUEUE_ITEM_STATES.UPLOADING:
+        case QUEUE_ITEM_STATES.PROCESSING:
+          summary.active++;
+          break;
+        default:
+          summary[item.state]++;
+      }
+      if (UploadQueue.isDuplicate(item)) {
+        summary.duplicates++;
+      }
+      progressSum += UploadQueue.itemPercentage(item);
+    });
+
+    if (summary.total > 0) {
+      summary.percentage = Math.round(progressSum / summary.total);
+    }
+    summary.done = summary.total > 0 && summary.queued === 0 && summary.held === 0 && summary.active === 0;
+
+    return summary;
+  }
+
+  /**
+   * Whether an entry was skipped because its artwork is already protected
+   * @param {Object} item - Queue item
+   * @returns {boolean}
+   */
+  static isDuplicate(item) {
+    return item.state === QUEUE_ITEM_STATES.COMPLETED && Boolean(item.result) && item.result.status === 'exists';
+  }
+
+  /**
+   * Overall completion of a single entry (upload counts for 30%, processing for 70%)
+   * @param {Object} item - Queue item
+   * @returns {number} Percentage 0-100
+   */
+  static itemPercentage(item) {
+    if (QUEUE_TERMINAL_STATES.includes(item.state)) {
+      return 100;
+    }
+    return Math.round(item.uploadProgress * 0.3 + item.processingProgress * 0.7);
+  }
+
+  /**
+   * Start queued entries until the concurrency limit is reached. Paused
+   * entries are passed over.
+   */
+  _pump() {
+    if (this.paused) return;
+
+    while (this._active < this.concurrency) {
+      const next = this.items.find(item => item.state === QUEUE_ITEM_STATES.QUEUED);
+      if (!next) break;
+
+      // Leave the rest queued while the rate-limit budget cannot cover another submission
+      const uploading = this.items.filter(item => item.state === QUEUE_ITEM_STATES.UPLOADING).length;
+      if (!RateLimits.canSpend('uploads', uploading + 1) || !RateLimits.canSpend('general')) {
+        this._waitForBudget();
+        break;
+      }
+
+      this._run(next);
+    }
+  }
+
+  /**
+   * Resume pumping once the rate-limit window resets. Budget held by
+   * in-flight uploads is released by their own completion instead.
+   */
+  _waitForBudget() {
+    const wait = Math.max(RateLimits.waitTime('uploads'), RateLimits.waitTime('general'));
+    if (wait === 0 || this._budgetTimer) return;
+
+    this.waitingUntil = Date.now() + wait;
+    this._budgetTimer = setTimeout(() => {
+      this._budgetTimer = null;
+      this.waitingUntil = null;
+      this._emitQueue();
+      this._pump();
+    }, wait);
+    this._emitQueue();
+  }
+
+  /**
+   * Upload and track a single entry
+   * @param {Object} item - Queue item
+   */
+  async _run(item) {
+    this._active++;
+    item.state = QUEUE_ITEM_STATES.UPLOADING;
+    this._emitItem(item);
+
+    const isCancelled = () => item.state === QUEUE_ITEM_STATES.CANCELLED;
+    const controller = new AbortController();
+    this._controllers.set(item.id, controller);
+
+    try {
+      // Skip files that have been protected before without sending any bytes;
+      // the router's own "exists" answer below catches anything this misses
+      const existing = await this._findExisting(item.params, controller.signal);
+      if (isCancelled()) return;
+      if (existing) {
+        this._completeAsDuplicate(item, { status: 'exists', artwork: existing });
+        return;
+      }
+
+      const submitResult = await this.uploader.submitArtwork({ ...item.params, signal: controller.signal }, (percent) => {
+        if (isCancelled()) return;
+        item.uploadProgress = Math.max(0, Math.min(100, Math.round(percent)));
+        this._emitItem(item);
+      });
+
+      if (isCancelled()) {
+        // The upload finished just before the cancel; stop the job it created
+        if (submitResult.job_id && submitResult.status !== 'exists') {
+          this.uploader.cancelJob(submitResult.job_id).catch(() => {});
+        }
+        return;
+      }
+
+      // The router already holds a protected copy; there is no job to track
+      if (submitResult.status === 'exists') {
+        this._completeAsDuplicate(item, submitResult);
+        return;
+      }
+
+      item.jobId = submitResult.job_id;
+      item.uploadProgress = 100;
+      item.state = QUEUE_ITEM_STATES.PROCESSING;
+      this._emitItem(item);
+
+      const result = await this.uploader.trackJob(item.jobId, (status) => {
+        if (isCancelled()) return;
+        item.status = status;
+        const percentage = status.progress && status.progress.percentage;
+        if (typeof percentage === 'number') {
+          item.processingProgress = Math.max(0, Math.min(100, percentage));
+        }
+        this._emitItem(item);
+      }, { signal: controller.signal });
+
+      if (isCancelled()) return;
+
+      item.result = result;
+      if (result.status === 'failed') {
+        item.state = QUEUE_ITEM_STATES.FAILED;
+        item.error = (result.error && result.error.message) || 'Processing failed';
+      } else if (result.status === 'cancelled') {
+        // Cancelled on the router by another client
+        item.state = QUEUE_ITEM_STATES.CANCELLED;
+      } else {
+        item.state = QUEUE_ITEM_STATES.COMPLETED;
+        item.processingProgress = 100;
+      }
+    } catch (error) {
+      if (isCancelled()) return;
+
+      // Rejected for the rate limit before a job existed: wait for the reset instead of failing
+      if (error.status === 429 && !item.jobId &&
+          (!RateLimits.canSpend('uploads') || !RateLimits.canSpend('general'))) {
+        console.warn(`[UploadQueue] ${item.name} hit the rate limit, re-queued`);
+        item.state = QUEUE_ITEM_STATES.QUEUED;
+        item.uploadProgress = 0;
+        return;
+      }
+
+      console.error(`[UploadQueue] ${item.name} failed:`, error);
+      item.state = QUEUE_ITEM_STATES.FAILED;
+      item.error = error.message;
+    } finally {
+      this._controllers.delete(item.id);
+      this._active--;
+      this._emitItem(item);
+      this._pump();
+    }
+  }
+
+  /**
+   * Look up an already protected copy of an entry's file before uploading it.
+   * Entries re-queued with allow_duplicate and remote images are not checked,
+   * and a failed lookup never blocks the upload.
+   * @param {Object} params - Entry's submitArtwork parameters
+   * @param {AbortSignal} signal - Entry's cancellation signal
+   * @returns {Promise<Object|null>} Matching artwork, or null
+   */
+  async _findExisting(params, signal) {
+    const uploadConfig = (this.uploader.config && this.uploader.config.UPLOAD) || {};
+    const checkConfig = uploadConfig.DUPLICATE_CHECK || {};
+    if (!checkConfig.ENABLED || !params.imageFile || params.allow_duplicate) {
+      return null;
+    }
+
+    try {
+      const { exists, matches } = await this.uploader.findExistingArtwork(params.imageFile, null, { signal });
+      return exists && matches.length > 0 ? matches[0] : null;
+    } catch (error) {
+      if (ArtworkUploader.isAbortError(error)) throw error;
+      console.warn(`[UploadQueue] Duplicate check for ${params.imageFile.name} skipped:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Finish an entry whose artwork is already protected; there is no job to track
+   * @param {Object} item - Queue item
+   * @param {Object} result - { status: 'exists', artwork?, job_id? }
+   */
+  _completeAsDuplicate(item, result) {
+    item.result = result;
+    item.uploadProgress = 100;
+    item.processingProgress = 100;
+    item.state = QUEUE_ITEM_STATES.COMPLETED;
+  }
+
+  _emitItem(item) {
+    if (this.onItemUpdate) {
+      this.onItemUpdate(item);
+    }
+    this._emitQueue();
+  }
+
+  _emitQueue() {
+    if (this.onQueueUpdate) {
+      this.onQueueUpdate(this.getSummary());
+    }
+  }
+}
+
+UploadQueue.STATES = QUEUE_ITEM_STATES;
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.UploadQueue = UploadQueue;
+}
+
+// ES module export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadQueue;
+}
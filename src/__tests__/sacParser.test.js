@@ -0,0 +1,219 @@
+/**
+ * Round-trip tests for the SAC writer and parser (dashboard/sacParser.js)
+ *
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSAC, writeSAC } = require('../../dashboard/sacParser.js');
+
+// Little-endian header fields of a written file
+function header(buffer) {
+  const view = new DataView(buffer);
+  return {
+    magic: String.fromCharCode(...new Uint8Array(buffer, 0, 4)),
+    flags: view.getUint8(4),
+    dataType: view.getUint8(5),
+    arrayCount: view.getUint8(6),
+    reserved: view.getUint8(7),
+    lengthA: view.getUint32(8, true),
+    lengthB: view.getUint32(12, true),
+    width: view.getUint32(16, true),
+    height: view.getUint32(20, true)
+  };
+}
+
+// Hand-built file for parser error cases
+function rawSAC({ magic = 'SAC1', flags = 0, dataType = 1, arrayCount = 2, lengthA = 0, lengthB = lengthA, width = 0, height = 0, payloadBytes } = {}) {
+  const bytes = payloadBytes ?? lengthA * 2 + lengthB * 2;
+  const buffer = new ArrayBuffer(24 + bytes);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) view.setUint8(i, magic.charCodeAt(i));
+  view.setUint8(4, flags);
+  view.setUint8(5, dataType);
+  view.setUint8(6, arrayCount);
+  view.setUint32(8, lengthA, true);
+  view.setUint32(12, lengthB, true);
+  view.setUint32(16, width, true);
+  view.setUint32(20, height, true);
+  return buffer;
+}
+
+test('int16 arrays round-trip as a v1.0 file', () => {
+  const arrayA = new Int16Array([0, 1, -1, 1234, -4321, 32767]);
+  const arrayB = new Int16Array([-32768, 5, -5, 0, 100, -100]);
+  const parsed = parseSAC(writeSAC({ arrayA, arrayB, width: 3, height: 2 }));
+
+  assert.deepEqual(Array.from(parsed.arrayA), Array.from(arrayA));
+  assert.deepEqual(Array.from(parsed.arrayB), Array.from(arrayB));
+  assert.ok(parsed.arrayA instanceof Int16Array);
+  assert.equal(parsed.width, 3);
+  assert.equal(parsed.height, 2);
+  assert.equal(parsed.dataType, 'int16');
+  assert.equal(parsed.version, '1.0');
+});
+
+test('int16 edge values survive a round trip', () => {
+  const arrayA = [-32768, -32767, -1, 0, 1, 32766, 32767];
+  const arrayB = [32767, 32766, 1, 0, -1, -32767, -32768];
+  const parsed = parseSAC(writeSAC({ arrayA, arrayB }));
+
+  assert.deepEqual(Array.from(parsed.arrayA), arrayA);
+  assert.deepEqual(Array.from(parsed.arrayB), arrayB);
+});
+
+test('empty arrays and missing dimensions round-trip', () => {
+  const parsed = parseSAC(writeSAC({ arrayA: [], arrayB: [] }));
+
+  assert.equal(parsed.arrayA.length, 0);
+  assert.equal(parsed.arrayB.length, 0);
+  assert.equal(parsed.width, null);
+  assert.equal(parsed.height, null);
+});
+
+test('writes the v1.0 header bytes', () => {
+  const buffer = writeSAC({ arrayA: [1, 2, 3, 4], arrayB: [5, 6, 7, 8], width: 2, height: 2 });
+
+  assert.equal(buffer.byteLength, 24 + 4 * 2 * 2);
+  assert.deepEqual(header(buffer), {
+    magic: 'SAC1',
+    flags: 0,
+    dataType: 1,
+    arrayCount: 2,
+    reserved: 0,
+    lengthA: 4,
+    lengthB: 4,
+    width: 2,
+    height: 2
+  });
+});
+
+test('writes the payload little-endian, array A before array B', () => {
+  const buffer = writeSAC({ arrayA: [0x0102, -2], arrayB: [0x0304, 0] });
+
+  assert.deepEqual(Array.from(new Uint8Array(buffer, 24)), [
+    0x02, 0x01, 0xFE, 0xFF,
+    0x04, 0x03, 0x00, 0x00
+  ]);
+});
+
+test('keeps reserved flag bits and the requested minor version', () => {
+  const buffer = writeSAC({ arrayA: [1], arrayB: [2], flags: 0xA1 });
+  const parsed = parseSAC(buffer);
+
+  assert.equal(header(buffer).flags, 0xA1);
+  assert.equal(parsed.version, '1.1');
+  assert.equal(parsed.metadata.flags, 0xA1);
+});
+
+test('v1.1 integer types round-trip at their limits', () => {
+  const cases = [
+    { dataType: 'uint8', code: 2, bytes: 1, arrayA: [0, 1, 127, 128, 254, 255], ArrayType: Uint8Array },
+    { dataType: 'uint16', code: 3, bytes: 2, arrayA: [0, 1, 255, 256, 65534, 65535], ArrayType: Uint16Array }
+  ];
+
+  cases.forEach(({ dataType, code, bytes, arrayA, ArrayType }) => {
+    const arrayB = arrayA.slice().reverse();
+    const buffer = writeSAC({ arrayA, arrayB, width: 3, height: 2, dataType });
+    const parsed = parseSAC(buffer);
+
+    assert.equal(buffer.byteLength, 24 + arrayA.length * bytes * 2, dataType);
+    assert.equal(header(buffer).dataType, code, dataType);
+    assert.equal(header(buffer).flags, 1, dataType);
+    assert.equal(parsed.version, '1.1', dataType);
+    assert.equal(parsed.dataType, dataType);
+    assert.ok(parsed.arrayA instanceof ArrayType, dataType);
+    assert.deepEqual(Array.from(parsed.arrayA), arrayA, dataType);
+    assert.deepEqual(Array.from(parsed.arrayB), arrayB, dataType);
+  });
+});
+
+test('float32 values round-trip exactly', () => {
+  const arrayA = new Float32Array([0, -0, 1.5, -2.25, 3.4028234663852886e38, -3.4028234663852886e38, 1e-45, Infinity]);
+  const arrayB = new Float32Array([NaN, -Infinity, 0.1, 123456.789, -1e-10, 0, 1, -1]);
+  const parsed = parseSAC(writeSAC({ arrayA, arrayB, dataType: 'float32' }));
+
+  assert.ok(parsed.arrayA instanceof Float32Array);
+  assert.deepEqual(Array.from(parsed.arrayA), Array.from(arrayA));
+  assert.deepEqual(Array.from(parsed.arrayB), Array.from(arrayB));
+  assert.ok(Object.is(parsed.arrayA[1], -0));
+});
+
+test('float16 values round-trip to the nearest half', () => {
+  const exact = [0, 1, -1, 0.5, 2048, 65504, -65504, Math.pow(2, -14), Math.pow(2, -24), Infinity, -Infinity];
+  const parsed = parseSAC(writeSAC({ arrayA: exact, arrayB: exact.map(value => -value), dataType: 'float16' }));
+
+  assert.equal(parsed.dataType, 'float16');
+  assert.ok(parsed.arrayA instanceof Float32Array);
+  assert.deepEqual(Array.from(parsed.arrayA), exact);
+  assert.deepEqual(Array.from(parsed.arrayB), exact.map(value => -value));
+
+  // 0.1 is not representable; the nearest half is 0.0999755859375
+  const rounded = parseSAC(writeSAC({ arrayA: [0.1, 1 / 3], dataType: 'float16' }));
+  assert.equal(rounded.arrayA[0], 0.0999755859375);
+  assert.ok(Math.abs(rounded.arrayA[1] - 1 / 3) < Math.pow(2, -11));
+
+  const nan = parseSAC(writeSAC({ arrayA: [NaN], dataType: 'float16' }));
+  assert.ok(Number.isNaN(nan.arrayA[0]));
+});
+
+test('single-array masks round-trip as v1.1', () => {
+  const arrayA = [0, 64, 128, 255];
+  const buffer = writeSAC({ arrayA, width: 2, height: 2, dataType: 'uint8' });
+  const parsed = parseSAC(buffer);
+
+  assert.equal(header(buffer).arrayCount, 1);
+  assert.equal(header(buffer).lengthB, 0);
+  assert.equal(buffer.byteLength, 24 + 4);
+  assert.equal(parsed.arrayB, null);
+  assert.equal(parsed.version, '1.1');
+  assert.deepEqual(Array.from(parsed.arrayA), arrayA);
+
+  // A single int16 array needs v1.1 too
+  assert.equal(parseSAC(writeSAC({ arrayA: [-1, 1] })).version, '1.1');
+});
+
+test('writeSAC rejects values and arguments it cannot encode', () => {
+  assert.throws(() => writeSAC(), /arrayA is required/);
+  assert.throws(() => writeSAC({ arrayA: [1, 2], arrayB: [1] }), /Array length mismatch: A=2, B=1/);
+  assert.throws(() => writeSAC({ arrayA: [1], dataType: 'int32' }), /Unsupported data type: int32/);
+  assert.throws(() => writeSAC({ arrayA: [1, 2, 3], width: 2, height: 2 }), /doesn't match dimensions 2x2=4/);
+  assert.throws(() => writeSAC({ arrayA: [1], width: -1 }), /Invalid width: -1/);
+  assert.throws(() => writeSAC({ arrayA: [1], height: 1.5 }), /Invalid height: 1.5/);
+  assert.throws(() => writeSAC({ arrayA: [1], flags: 256 }), /Invalid flags: 256/);
+  assert.throws(() => writeSAC({ arrayA: [1], flags: 2 }), /Unsupported SAC version 1.2/);
+
+  assert.throws(() => writeSAC({ arrayA: [32768], arrayB: [0] }), /Invalid int16 value in arrayA\[0\]: 32768/);
+  assert.throws(() => writeSAC({ arrayA: [0], arrayB: [-32769] }), /Invalid int16 value in arrayB\[0\]: -32769/);
+  assert.throws(() => writeSAC({ arrayA: [0, 1.5], arrayB: [0, 0] }), /Invalid int16 value in arrayA\[1\]: 1.5/);
+  assert.throws(() => writeSAC({ arrayA: [256], dataType: 'uint8' }), /Invalid uint8 value/);
+  assert.throws(() => writeSAC({ arrayA: [-1], dataType: 'uint16' }), /Invalid uint16 value/);
+  assert.throws(() => writeSAC({ arrayA: [65536], dataType: 'uint16' }), /Invalid uint16 value/);
+  assert.throws(() => writeSAC({ arrayA: [70000], dataType: 'float16' }), /Invalid float16 value/);
+  assert.throws(() => writeSAC({ arrayA: ['1'], dataType: 'float32' }), /Invalid float32 value/);
+});
+
+test('parseSAC rejects malformed files', () => {
+  assert.throws(() => parseSAC(new ArrayBuffer(23)), /SAC file too small: 23 bytes/);
+  assert.throws(() => parseSAC(rawSAC({ magic: 'SAC2' })), /Invalid SAC magic: expected "SAC1", got "SAC2"/);
+  assert.throws(() => parseSAC(rawSAC({ flags: 2 })), /Unsupported SAC version 1.2/);
+  assert.throws(() => parseSAC(rawSAC({ dataType: 9 })), /Unsupported data type: 9/);
+  assert.throws(() => parseSAC(rawSAC({ dataType: 2 })), /Data type uint8 requires SAC v1.1/);
+  assert.throws(() => parseSAC(rawSAC({ arrayCount: 1, lengthB: 0 })), /Single-array masks require SAC v1.1/);
+  assert.throws(() => parseSAC(rawSAC({ arrayCount: 3 })), /Invalid array count: 3/);
+  assert.throws(() => parseSAC(rawSAC({ flags: 1, arrayCount: 1, lengthA: 2, lengthB: 2 })), /non-empty array B/);
+  assert.throws(() => parseSAC(rawSAC({ lengthA: 2, lengthB: 3 })), /Array length mismatch: A=2, B=3/);
+  assert.throws(() => parseSAC(rawSAC({ lengthA: 3, width: 2, height: 2 })), /doesn't match dimensions 2x2=4/);
+  assert.throws(() => parseSAC(rawSAC({ lengthA: 4, payloadBytes: 15 })), /SAC file truncated: 39 bytes \(expected 40\)/);
+});
+
+test('parseSAC ignores trailing bytes after the payload', () => {
+  const written = new Uint8Array(writeSAC({ arrayA: [7, -7], arrayB: [1, -1] }));
+  const padded = new Uint8Array(written.length + 6);
+  padded.set(written);
+  const parsed = parseSAC(padded.buffer);
+
+  assert.deepEqual(Array.from(parsed.arrayA), [7, -7]);
+  assert.deepEqual(Array.from(parsed.arrayB), [1, -1]);
+});